@@ -13,7 +13,16 @@ const scriptsDir = path.join(__dirname, '../scripts');
 program
   .name('ui-canvas')
   .description('Three-Layer Architecture & Reusable Web Components Framework')
-  .version('0.1.0');
+  .version('0.1.0')
+  .option('-c, --config <path>', 'Path to ui-canvas.config.js (defaults to ./ui-canvas.config.js)');
+
+// Expose --config to every subsystem, including scripts run as child processes
+program.hook('preAction', () => {
+  const { config } = program.opts();
+  if (config) {
+    process.env.UI_CANVAS_CONFIG = path.resolve(config);
+  }
+});
 
 // Canvas staging commands
 const canvasCmd = program
@@ -23,57 +32,110 @@ const canvasCmd = program
 canvasCmd
   .command('stage <mockup>')
   .description('Stage mockup for development')
-  .action((mockup) => {
+  .action(async (mockup) => {
     console.log('🎨 Staging mockup:', mockup);
-    execSync(`bash ${scriptsDir}/canvas.sh stage "${mockup}"`, { stdio: 'inherit' });
+    const { canvasCommand } = await import('../scripts/canvas-manager.js');
+    await canvasCommand('stage', { mockup });
+  });
+
+canvasCmd
+  .command('unstage <mockup>')
+  .description('Remove mockup from staging')
+  .action(async (mockup) => {
+    const { canvasCommand } = await import('../scripts/canvas-manager.js');
+    await canvasCommand('unstage', { mockup });
   });
 
 canvasCmd
   .command('list')
   .description('List staged mockups')
-  .action(() => {
-    execSync(`bash ${scriptsDir}/canvas.sh list`, { stdio: 'inherit' });
+  .action(async () => {
+    const { canvasCommand } = await import('../scripts/canvas-manager.js');
+    await canvasCommand('list');
   });
 
 canvasCmd
   .command('archive <file> <name>')
   .description('Archive approved mockup')
-  .action((file, name) => {
+  .action(async (file, name) => {
     console.log('📁 Archiving:', file, 'as', name);
-    execSync(`bash ${scriptsDir}/canvas.sh archive "${file}" "${name}"`, { stdio: 'inherit' });
+    const { canvasCommand } = await import('../scripts/canvas-manager.js');
+    await canvasCommand('archive', { file, name });
+  });
+
+canvasCmd
+  .command('compare <a> <b>')
+  .description('Compare two mockup iterations (side-by-side, overlay diff, similarity score)')
+  .option('--output <path>', 'Overlay diff output path (side-by-side is written next to it)')
+  .option('--threshold <value>', 'Per-pixel color tolerance between 0 and 1', parseFloat)
+  .action(async (a, b, options) => {
+    const { canvasCommand } = await import('../scripts/canvas-manager.js');
+    await canvasCommand('compare', { a, b, ...options });
   });
 
 canvasCmd
   .command('clear')
   .description('Clear staging area')
-  .action(() => {
-    execSync(`bash ${scriptsDir}/canvas.sh clear`, { stdio: 'inherit' });
+  .action(async () => {
+    const { canvasCommand } = await import('../scripts/canvas-manager.js');
+    await canvasCommand('clear');
   });
 
 canvasCmd
   .command('status')
   .description('Show canvas status')
-  .action(() => {
-    execSync(`bash ${scriptsDir}/canvas.sh status`, { stdio: 'inherit' });
+  .action(async () => {
+    const { canvasCommand } = await import('../scripts/canvas-manager.js');
+    await canvasCommand('status');
   });
 
 // Architecture validation
 program
   .command('validate')
   .description('Validate three-layer architecture compliance')
-  .action(() => {
+  .option('--reporter <format>', 'Also write results as junit or json')
+  .option('--format <format>', 'Also write violations as a SARIF 2.1 log (sarif)')
+  .option('--output-file <path>', 'Where --reporter writes, or --format when used alone (default: ui-canvas-results.xml/.json/.sarif)')
+  .option('--sarif-file <path>', 'Where --format sarif writes (default: ui-canvas-results.sarif)')
+  .option('--fix', 'Fix inline styles, hardcoded values, raw component markup and unregistered components first')
+  .option('--dry-run', 'With --fix, show the diff without writing files')
+  .option('--baseline [file]', 'Only fail on violations not recorded in the baseline (default: .ui-canvas-baseline.json)')
+  .option('--changed [ref]', 'Only check files changed since a git ref (default: staged files) and files depending on them')
+  .action(async (options) => {
+    if (options.fix) {
+      const { autofixCommand } = await import('../scripts/autofix.js');
+      await autofixCommand(options);
+    }
     console.log('🔍 Validating architecture...');
-    execSync(`node ${scriptsDir}/validate-architecture.js`, { stdio: 'inherit' });
+    const { validateArchitecture } = await import('../scripts/validate-architecture.js');
+    await validateArchitecture(options);
   });
 
 // Development server
 program
   .command('serve')
   .description('Start development server with canvas preview')
-  .option('-p, --port <port>', 'Port number', '3000')
-  .action(() => {
+  .option('-p, --port <port>', 'Port number (defaults to server.port in config)')
+  .action((options) => {
     console.log('🚀 Starting development server...');
-    execSync(`node ${scriptsDir}/dev-server.js`, { stdio: 'inherit' });
+    const env = options.port ? { ...process.env, PORT: options.port } : process.env;
+    execSync(`node ${scriptsDir}/dev-server.js`, { stdio: 'inherit', env });
+  });
+
+// Configuration
+program
+  .command('config')
+  .description('Show the resolved ui-canvas.config.js (validated and merged with defaults)')
+  .action(async () => {
+    const { loadConfig } = await import('../scripts/config-loader.js');
+    try {
+      const config = await loadConfig();
+      console.log(`⚙️  Config: ${config.configPath || 'defaults (no ui-canvas.config.js found)'}`);
+      console.log(JSON.stringify(config, null, 2));
+    } catch (error) {
+      console.log(`❌ ${error.message}`);
+      process.exit(1);
+    }
   });
 
 // Screenshot command
@@ -90,19 +152,32 @@ program
   .command('init')
   .argument('[project-name]', 'Project name')
   .description('Initialize three-layer architecture project (no AI prompts modified)')
-  .action((projectName) => {
+  .action(async (projectName) => {
     console.log('🚀 Initializing UI Canvas Framework project...');
     if (projectName) {
       console.log(`📁 Project: ${projectName}`);
     }
     
     try {
+      const { loadConfig } = await import('../scripts/config-loader.js');
+      const { layers, canvas, validation } = await loadConfig();
+
       // Create directories
-      execSync('mkdir -p components/cards components/sections pages workflows mockups/approved mockups/iterations mockups/screenshots styles', { stdio: 'inherit' });
+      const dirs = [
+        path.join(layers.components, 'cards'),
+        path.join(layers.components, 'sections'),
+        layers.pages,
+        layers.workflows,
+        canvas.approvedDir,
+        canvas.iterationsDir,
+        canvas.screenshotsDir,
+        path.dirname(validation.cssSource)
+      ];
+      dirs.forEach(dir => fs.mkdirSync(dir, { recursive: true }));
       
       // Create basic files if they don't exist
-      if (!fs.existsSync('styles/main.css')) {
-        fs.writeFileSync('styles/main.css', `/* ${projectName || 'Project'} - Main CSS (Single Source of Truth) */\n\n/* Add your styles here */\n`);
+      if (!fs.existsSync(validation.cssSource)) {
+        fs.writeFileSync(validation.cssSource, `/* ${projectName || 'Project'} - Main CSS (Single Source of Truth) */\n\n/* Add your styles here */\n`);
       }
       
       if (!fs.existsSync('package.json')) {
@@ -331,12 +406,25 @@ registryCmd
     await registryCommand('docs', options);
   });
 
+registryCmd
+  .command('export')
+  .description('Export the registry for IDEs and documentation tools')
+  .option('--format <format>', 'Export format (custom-elements)', 'custom-elements')
+  .option('--output <path>', 'Output file', 'custom-elements.json')
+  .action(async (options) => {
+    const { registryCommand } = await import('../scripts/registry-manager.js');
+    await registryCommand('export', options);
+  });
+
 registryCmd
   .command('validate')
   .description('Validate component registry integrity')
-  .action(async () => {
+  .option('--reporter <format>', 'Also write results as junit or json')
+  .option('--output-file <path>', 'Where --reporter writes (default: ui-canvas-results.xml/.json)')
+  .option('--changed [ref]', 'Only check components changed since a git ref (default: staged files) and files depending on them')
+  .action(async (options) => {
     const { registryCommand } = await import('../scripts/registry-manager.js');
-    await registryCommand('validate');
+    await registryCommand('validate', options);
   });
 
 // Visual testing commands
@@ -345,41 +433,160 @@ program
   .description('Run visual regression tests')
   .option('--update-snapshots', 'Update visual snapshots instead of comparing')
   .option('--component <name>', 'Test specific component only')
+  .option('--browser <names>', 'Only run these configured browsers (comma separated)')
+  .option('--viewport <names>', 'Only run these configured viewports (comma separated)')
+  .option('--workers <count>', 'Parallel pages per browser (default: testing.workers)')
+  .option('--shard <index/total>', 'Run one slice of the snapshots, e.g. 2/4')
+  .option('--merge-reports [dirs...]', 'Merge shard reports into one (default: all shards in the report folder)')
+  .option('--approve <snapshots...>', 'Promote current screenshots from the last report to baselines')
+  .option('--prune', 'Delete baselines with no matching component, page or mockup')
+  .option('--dry-run', 'With --prune, list orphaned baselines without deleting them')
+  .option('--changed [ref]', 'Only run snapshots of files changed since a git ref (default: staged files) and files depending on them')
+  .option('--reporter <format>', 'Also write results as junit or json')
+  .option('--output-file <path>', 'Where --reporter writes (default: ui-canvas-results.xml/.json)')
   .action(async (options) => {
+    if (options.approve) {
+      const { approveSnapshots } = await import('../scripts/visual-report.js');
+      await approveSnapshots(options.approve);
+      return;
+    }
+
+    if (options.mergeReports) {
+      const { mergeReports } = await import('../scripts/visual-report.js');
+      await mergeReports(options.mergeReports === true ? [] : options.mergeReports);
+      return;
+    }
+
     const { testCommand } = await import('../scripts/visual-testing.js');
     await testCommand({
       updateSnapshots: options.updateSnapshots,
-      component: options.component
+      component: options.component,
+      browser: options.browser,
+      viewport: options.viewport,
+      workers: options.workers,
+      shard: options.shard,
+      prune: options.prune,
+      dryRun: options.dryRun,
+      changed: options.changed,
+      reporter: options.reporter,
+      outputFile: options.outputFile
     });
   });
 
+// Accessibility audit
+program
+  .command('a11y')
+  .description('Audit component stories, pages and approved mockups for accessibility')
+  .option('--component <name>', 'Audit a specific component only')
+  .option('--browser <name>', 'Configured browser to audit in (default: the first one)')
+  .option('--viewport <name>', 'Configured viewport to audit at (default: the first one)')
+  .option('--workers <count>', 'Parallel pages (default: testing.workers)')
+  .option('--fail-on <severity>', 'Lowest severity that fails: minor, moderate, serious, critical (default: a11y.failOn)')
+  .option('--report', 'Save all violations to a11y-report.json')
+  .option('--reporter <format>', 'Also write results as junit or json')
+  .option('--output-file <path>', 'Where --reporter writes (default: ui-canvas-results.xml/.json)')
+  .action(async (options) => {
+    const { a11yCommand } = await import('../scripts/a11y-audit.js');
+    await a11yCommand(options);
+  });
+
 // CSS token validation
 program
   .command('tokens')
   .description('Validate CSS tokens and design system consistency')
   .option('--report', 'Generate detailed token usage report')
+  .option('--reporter <format>', 'Also write results as junit or json')
+  .option('--format <format>', 'Also write violations as a SARIF 2.1 log (sarif)')
+  .option('--output-file <path>', 'Where --reporter writes, or --format when used alone (default: ui-canvas-results.xml/.json/.sarif)')
+  .option('--sarif-file <path>', 'Where --format sarif writes (default: ui-canvas-results.sarif)')
+  .option('--baseline [file]', 'Only fail on violations not recorded in the baseline (default: .ui-canvas-baseline.json)')
+  .option('--changed [ref]', 'Only check files changed since a git ref (default: staged files) and files depending on them')
   .action(async (options) => {
     const { validateTokens } = await import('../scripts/css-token-validator.js');
     await validateTokens(options);
   });
 
+// Violation baseline
+program
+  .command('baseline')
+  .description('Record current architecture and token violations so --baseline only fails on new ones')
+  .option('--file <path>', 'Baseline file to write', '.ui-canvas-baseline.json')
+  .action(async (options) => {
+    const { baselineCommand } = await import('../scripts/violation-baseline.js');
+    await baselineCommand(options);
+  });
+
 // Complete validation suite
 program
   .command('validate-all')
-  .description('Run all validation checks (architecture, registry, tokens, visual)')
-  .option('--fix', 'Automatically fix issues where possible')
+  .description('Run all validation checks (architecture, registry, tokens, visual, accessibility)')
+  .option('--fix', 'Fix inline styles, hardcoded values, raw component markup and unregistered components first')
+  .option('--dry-run', 'With --fix, show the diff without writing files')
+  .option('--baseline [file]', 'Ignore architecture and token violations recorded in the baseline (default: .ui-canvas-baseline.json)')
+  .option('--changed [ref]', 'Limit architecture, registry, token and visual checks to files changed since a git ref (default: staged files) and their dependents')
+  .option('--reporter <format>', 'Also write every stage\'s results as junit or json')
+  .option('--format <format>', 'Also write architecture and token violations as a SARIF 2.1 log (sarif)')
+  .option('--output-file <path>', 'Where --reporter writes, or --format when used alone (default: ui-canvas-results.xml/.json/.sarif)')
+  .option('--sarif-file <path>', 'Where --format sarif writes (default: ui-canvas-results.sarif)')
   .action(async (options) => {
+    const { loadConfig } = await import('../scripts/config-loader.js');
+    const reporters = await import('../scripts/result-reporters.js');
+    const sarif = await import('../scripts/sarif.js');
+    const { openBaseline } = await import('../scripts/violation-baseline.js');
+    const { openChangeSet } = await import('../scripts/changed-files.js');
+    let config;
+    let baseline;
+    let changes;
+    try {
+      reporters.assertReporter(options.reporter);
+      sarif.assertFormat(options);
+      config = await loadConfig();
+      baseline = openBaseline(options.baseline);
+      changes = openChangeSet(options.changed, config);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+
     console.log('🔍 Running complete validation suite...\n');
     
     let allPassed = true;
+    const suites = [];
+    const sarifSources = [];
+    const cwd = process.cwd();
+    let started;
+    
+    if (options.fix) {
+      try {
+        console.log('🔧 Autofix');
+        console.log('==========');
+        const { runAutofix } = await import('../scripts/autofix.js');
+        await runAutofix(config, options, cwd);
+      } catch (error) {
+        suites.push(reporters.errorSuite('autofix', error));
+        console.log(`❌ Autofix failed: ${error.message}\n`);
+        allPassed = false;
+      }
+    }
     
     try {
       // 1. Architecture validation
       console.log('1️⃣ Architecture Validation');
       console.log('==========================');
-      execSync('node scripts/validate-architecture.js', { stdio: 'inherit', cwd: process.cwd() });
-      console.log('✅ Architecture validation passed\n');
+      const { ArchitectureValidator } = await import('../scripts/validate-architecture.js');
+      const validator = new ArchitectureValidator(config);
+      started = Date.now();
+      const passed = await validator.validate({ baseline, changes });
+      suites.push(reporters.architectureSuite(validator.violations, Date.now() - started));
+      sarifSources.push(sarif.architectureResults(validator.violations, validator.rules));
+      if (passed) {
+        console.log('✅ Architecture validation passed\n');
+      } else {
+        console.log('❌ Architecture validation failed\n');
+        allPassed = false;
+      }
     } catch (error) {
+      suites.push(reporters.errorSuite('architecture', error));
       console.log('❌ Architecture validation failed\n');
       allPassed = false;
     }
@@ -388,13 +595,16 @@ program
       // 2. Component registry validation
       console.log('2️⃣ Component Registry Validation');
       console.log('=================================');
-      const { registryCommand } = await import('../scripts/registry-manager.js');
-      const registryResults = await registryCommand('validate');
+      const { RegistryManager } = await import('../scripts/registry-manager.js');
+      started = Date.now();
+      const registryResults = await new RegistryManager(cwd, config).validateRegistry(changes);
+      suites.push(reporters.registrySuite(registryResults, Date.now() - started));
       if (registryResults.issues.length > 0) {
         allPassed = false;
       }
       console.log('');
     } catch (error) {
+      suites.push(reporters.errorSuite('registry', error));
       console.log('❌ Registry validation failed\n');
       allPassed = false;
     }
@@ -403,13 +613,17 @@ program
       // 3. CSS token validation
       console.log('3️⃣ CSS Token Validation');
       console.log('========================');
-      const { validateTokens } = await import('../scripts/css-token-validator.js');
-      const tokenResults = await validateTokens();
+      const { CSSTokenValidator, TOKEN_RULES } = await import('../scripts/css-token-validator.js');
+      started = Date.now();
+      const tokenResults = await new CSSTokenValidator(cwd, config).validateTokens({ baseline, changes });
+      suites.push(reporters.tokenSuite(tokenResults, Date.now() - started));
+      sarifSources.push(sarif.tokenResults(tokenResults.issues, TOKEN_RULES));
       if (tokenResults.violations > 0) {
         allPassed = false;
       }
       console.log('');
     } catch (error) {
+      suites.push(reporters.errorSuite('tokens', error));
       console.log('❌ Token validation failed\n');
       allPassed = false;
     }
@@ -418,17 +632,48 @@ program
       // 4. Visual regression tests
       console.log('4️⃣ Visual Regression Tests');
       console.log('===========================');
-      const { testCommand } = await import('../scripts/visual-testing.js');
-      const visualResults = await testCommand({ updateSnapshots: false });
-      if (visualResults.failed > 0) {
+      const { VisualTestRunner } = await import('../scripts/visual-testing.js');
+      started = Date.now();
+      const visualResults = await new VisualTestRunner(cwd, config).runAllTests({ updateSnapshots: false, changes });
+      suites.push(reporters.visualSuite(visualResults, Date.now() - started));
+      if (visualResults.failed > 0 || visualResults.errors.length > 0) {
         allPassed = false;
       }
       console.log('');
     } catch (error) {
+      suites.push(reporters.errorSuite('visual', error));
       console.log('❌ Visual tests failed\n');
       allPassed = false;
     }
     
+    try {
+      // 5. Accessibility audit
+      console.log('5️⃣ Accessibility Audit');
+      console.log('=======================');
+      const { AccessibilityAuditor, SEVERITIES } = await import('../scripts/a11y-audit.js');
+      started = Date.now();
+      const a11yResults = await new AccessibilityAuditor(cwd, config).auditAll();
+      suites.push(reporters.a11ySuite(a11yResults, SEVERITIES, Date.now() - started));
+      if (a11yResults.failed > 0 || a11yResults.errors.length > 0) {
+        allPassed = false;
+      }
+      console.log('');
+    } catch (error) {
+      suites.push(reporters.errorSuite('a11y', error));
+      console.log('❌ Accessibility audit failed\n');
+      allPassed = false;
+    }
+    
+    if (options.reporter) {
+      reporters.writeReport(options.reporter, suites, options.outputFile);
+      console.log('');
+    }
+    
+    if (options.format) {
+      sarif.writeSarif(sarif.createSarifLog(sarifSources), sarif.sarifFile(options));
+      console.log('');
+    }
+    
     // Summary
     console.log('🎯 Validation Summary');
     console.log('=====================');
@@ -0,0 +1,7 @@
+import { defineConfig } from '@playwright/test';
+
+// Specs for the framework's own scripts. templates/ holds the specs copied
+// into generated projects, which only run there.
+export default defineConfig({
+  testDir: './tests'
+});
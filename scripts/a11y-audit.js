@@ -0,0 +1,374 @@
+#!/usr/bin/env node
+
+/**
+ * Accessibility Audit
+ * Runs the bundled axe-core rule engine against every component story,
+ * page and approved mockup, plus a keyboard-trap check axe can't do
+ * statically. Pages are served and stabilized exactly like visual tests.
+ */
+
+import fs from 'fs';
+import { createRequire } from 'module';
+import { loadConfig, DEFAULT_CONFIG } from './config-loader.js';
+import { VisualTestRunner } from './visual-testing.js';
+import { gotoStable } from './snapshot-stabilizer.js';
+import { a11ySuite, writeReport, assertReporter } from './result-reporters.js';
+
+const require = createRequire(import.meta.url);
+const AXE_SCRIPT = require.resolve('axe-core/axe.min.js');
+
+export const SEVERITIES = ['minor', 'moderate', 'serious', 'critical'];
+const SEVERITY_ICONS = { minor: '⚪', moderate: '🟡', serious: '🟠', critical: '🔴' };
+
+// Rules about the whole document; a story only renders one component
+const PAGE_LEVEL_RULES = ['document-title', 'html-has-lang', 'landmark-one-main', 'page-has-heading-one', 'region', 'bypass'];
+
+const KEYBOARD_TRAP_HELP = 'https://www.w3.org/WAI/WCAG21/Understanding/no-keyboard-trap.html';
+
+export class AccessibilityAuditor {
+  constructor(basePath = process.cwd(), config = DEFAULT_CONFIG) {
+    this.basePath = basePath;
+    this.config = config;
+    this.settings = config.a11y;
+    // Planning, the dev server, browsers and the worker pool are shared with visual tests
+    this.runner = new VisualTestRunner(basePath, config);
+  }
+
+  async auditAll(options = {}) {
+    console.log('♿ Running accessibility audit...');
+
+    const failOn = options.failOn || this.settings.failOn;
+    if (!SEVERITIES.includes(failOn)) {
+      throw new Error(`Invalid severity "${failOn}". Use: ${SEVERITIES.join(', ')}`);
+    }
+
+    const { browsers, viewports } = this.runner.resolveMatrix(options);
+    const concurrency = this.runner.resolveConcurrency(options);
+
+    const results = {
+      failOn,
+      audited: 0,
+      failed: 0,
+      violations: [],
+      errors: []
+    };
+
+    const { targets, testPages } = await this.planTargets(options, results);
+    const outcomes = new Array(targets.length);
+    const workerCount = Math.min(concurrency, targets.length);
+
+    // Accessibility doesn't depend on the engine, so one browser and viewport is enough
+    const browserName = browsers[0];
+    const viewport = viewports[0];
+    console.log(`📋 ${targets.length} target(s) in ${browserName} at ${viewport.name} (${viewport.width}x${viewport.height})`);
+
+    try {
+      if (targets.length > 0) {
+        await this.runner.startServer();
+        await this.runner.launchBrowser(browserName);
+        await this.runner.runPool(targets, workerCount, async (worker, target) => {
+          if (!worker.viewport) {
+            await worker.page.setViewportSize({ width: viewport.width, height: viewport.height });
+            worker.viewport = viewport.name;
+          }
+          outcomes[target.index] = await this.auditTarget(worker.page, target);
+        });
+      }
+    } catch (error) {
+      results.errors.push(`Browser ${browserName}: ${error.message}`);
+    } finally {
+      await this.runner.cleanup();
+      await this.runner.stopServer();
+      testPages.forEach(testPage => {
+        if (fs.existsSync(testPage)) fs.unlinkSync(testPage);
+      });
+    }
+
+    // Merge in plan order, not completion order
+    outcomes.filter(Boolean).forEach(outcome => {
+      if (outcome.error) {
+        results.errors.push(outcome.error);
+      } else {
+        results.audited++;
+        results.violations.push(...outcome.violations);
+      }
+    });
+
+    const threshold = SEVERITIES.indexOf(failOn);
+    results.failed = results.violations.filter(violation => SEVERITIES.indexOf(violation.severity) >= threshold).length;
+
+    this.printResults(results, failOn);
+    return results;
+  }
+
+  /**
+   * Component stories (resting state only), pages and approved mockups in
+   * the same order visual tests use
+   */
+  async planTargets(options, results) {
+    fs.mkdirSync(this.runner.tempDir, { recursive: true });
+
+    const testPages = [];
+    const targets = [
+      ...(await this.runner.planComponents(options, results, testPages))
+        .filter(snapshot => !snapshot.testCase.state),
+      ...(options.component ? [] : this.runner.planPages()),
+      ...(options.component ? [] : this.runner.planMockups())
+    ].map((snapshot, index) => ({
+      index,
+      id: snapshot.meta.type === 'component' ? `${snapshot.meta.group}/${snapshot.testCase.name}` : snapshot.snapshotName,
+      urlPath: snapshot.urlPath,
+      testCase: snapshot.testCase,
+      type: snapshot.meta.type,
+      source: snapshot.meta.source
+    }));
+
+    return { targets, testPages };
+  }
+
+  async auditTarget(page, target) {
+    const { testCase } = target;
+    const stabilize = { ...this.runner.stabilization, ...testCase.stabilize };
+
+    try {
+      await gotoStable(page, `${this.runner.server.url}${target.urlPath}`, stabilize, testCase.selector);
+      if (testCase.interactions?.length > 0) {
+        await this.runner.runInteractions(page, testCase);
+      }
+
+      const violations = await this.runRules(page, testCase.selector);
+      if (this.settings.keyboardTraps) {
+        const trap = await this.findKeyboardTrap(page, testCase.selector);
+        if (trap) violations.push(trap);
+      }
+
+      return {
+        violations: violations.map(violation => ({
+          target: target.id,
+          type: target.type,
+          source: target.source,
+          ...violation
+        }))
+      };
+    } catch (error) {
+      return { error: `${target.id}: ${error.message}` };
+    }
+  }
+
+  /**
+   * Run axe-core inside the page. Stories are audited within their
+   * [data-test-case] container; pages and mockups as whole documents.
+   */
+  async runRules(page, scopeSelector) {
+    await page.addScriptTag({ path: AXE_SCRIPT });
+
+    const disabled = [...this.settings.disableRules, ...(scopeSelector ? PAGE_LEVEL_RULES : [])];
+    const axeOptions = {
+      runOnly: { type: 'tag', values: this.settings.tags },
+      rules: Object.fromEntries(disabled.map(rule => [rule, { enabled: false }])),
+      resultTypes: ['violations']
+    };
+
+    const violations = await page.evaluate(async ({ scopeSelector, axeOptions }) => {
+      const context = scopeSelector ? { include: [scopeSelector] } : document;
+      const { violations } = await window.axe.run(context, axeOptions);
+      return violations.map(violation => ({
+        rule: violation.id,
+        help: violation.help,
+        helpUrl: violation.helpUrl,
+        nodes: violation.nodes.map(node => ({
+          // Shadow DOM targets are nested arrays: [host, ...inner]
+          selector: node.target.flat().join(' >>> '),
+          severity: node.impact || violation.impact,
+          message: node.failureSummary
+        }))
+      }));
+    }, { scopeSelector, axeOptions });
+
+    return violations.flatMap(violation => violation.nodes.map(node => ({
+      rule: violation.rule,
+      severity: node.severity,
+      selector: node.selector,
+      message: violation.help,
+      details: node.message,
+      helpUrl: violation.helpUrl
+    })));
+  }
+
+  /**
+   * Tab through the scope and report focus that cycles without ever
+   * leaving it (WCAG 2.1.2). Focus moving past the last element, or into
+   * the next story, means there's no trap.
+   */
+  async findKeyboardTrap(page, scopeSelector) {
+    const tabbables = await page.evaluate(installFocusProbe, scopeSelector);
+    if (tabbables === 0) return null;
+
+    let entered = false;
+    for (let press = 0; press < tabbables + 2; press++) {
+      await page.keyboard.press('Tab');
+      const step = await page.evaluate(() => window.__uiCanvasFocusProbe.step());
+
+      if (step.outside) {
+        if (entered) return null;
+        continue;
+      }
+
+      entered = true;
+      if (step.cycle) {
+        return {
+          rule: 'keyboard-trap',
+          severity: 'critical',
+          selector: step.cycle[0],
+          message: 'Keyboard focus must not be trapped',
+          details: `Tab cycles through ${step.cycle.join(' → ')} and never moves on`,
+          helpUrl: KEYBOARD_TRAP_HELP
+        };
+      }
+    }
+
+    return null;
+  }
+
+  printResults(results, failOn) {
+    console.log('\n♿ Accessibility Results:');
+
+    const byTarget = new Map();
+    results.violations.forEach(violation => {
+      if (!byTarget.has(violation.target)) byTarget.set(violation.target, []);
+      byTarget.get(violation.target).push(violation);
+    });
+
+    const threshold = SEVERITIES.indexOf(failOn);
+    byTarget.forEach((violations, target) => {
+      const failing = violations.some(violation => SEVERITIES.indexOf(violation.severity) >= threshold);
+      console.log(`\n${failing ? '❌' : '⚠️ '} ${target} (${violations[0].source})`);
+
+      violations.forEach(violation => {
+        console.log(`   ${SEVERITY_ICONS[violation.severity]} ${violation.severity.padEnd(8)} ${violation.rule}: ${violation.message}`);
+        console.log(`      ${violation.selector}`);
+      });
+    });
+
+    if (results.errors.length > 0) {
+      console.log('\n🚨 Errors:');
+      results.errors.forEach(error => console.log(`   ${error}`));
+    }
+
+    const counts = SEVERITIES
+      .map(severity => [severity, results.violations.filter(violation => violation.severity === severity).length])
+      .filter(([, count]) => count > 0)
+      .reverse()
+      .map(([severity, count]) => `${count} ${severity}`);
+
+    console.log(`\n📊 Audited ${results.audited} target(s): ${results.violations.length} violation(s)${counts.length > 0 ? ` (${counts.join(', ')})` : ''}`);
+    if (results.failed > 0) {
+      console.log(`❌ ${results.failed} violation(s) at "${failOn}" or above`);
+    } else if (results.errors.length === 0) {
+      console.log(`✅ No violations at "${failOn}" or above`);
+    }
+  }
+}
+
+// Runs in the browser - must stay self-contained. Returns the number of
+// tabbable elements in scope and leaves focus just before it.
+function installFocusProbe(scopeSelector) {
+  const scope = scopeSelector ? document.querySelector(scopeSelector) : document.body;
+
+  const isTabbable = el => el.tabIndex >= 0 && !el.disabled && !el.closest('[inert]') &&
+    el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden';
+  const collect = root => [...root.querySelectorAll('*')].flatMap(el => [
+    ...(isTabbable(el) ? [el] : []),
+    ...(el.shadowRoot ? collect(el.shadowRoot) : [])
+  ]);
+
+  const deepActive = () => {
+    let el = document.activeElement;
+    while (el && el.shadowRoot && el.shadowRoot.activeElement) el = el.shadowRoot.activeElement;
+    return el;
+  };
+
+  const describe = el => {
+    const parts = [];
+    let node = el;
+    while (node && node.nodeType === Node.ELEMENT_NODE && node !== document.documentElement) {
+      if (node.id) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+      } else {
+        const sameTag = node.parentNode ? [...node.parentNode.children].filter(sibling => sibling.localName === node.localName) : [];
+        parts.unshift(sameTag.length > 1 ? `${node.localName}:nth-of-type(${sameTag.indexOf(node) + 1})` : node.localName);
+      }
+      const parent = node.parentNode;
+      if (parent instanceof ShadowRoot) {
+        parts.unshift('>>>');
+        node = parent.host;
+      } else {
+        node = node.id ? null : parent;
+      }
+    }
+    return parts.join(' ');
+  };
+
+  const visited = [];
+  window.__uiCanvasFocusProbe = {
+    step() {
+      const host = document.activeElement;
+      if (!host || host === document.body || !scope.contains(host)) {
+        return { outside: true };
+      }
+      const el = deepActive();
+      const seen = visited.indexOf(el);
+      if (seen !== -1) {
+        return { cycle: visited.slice(seen).map(describe) };
+      }
+      visited.push(el);
+      return {};
+    }
+  };
+
+  // Start just before the scope so the first Tab moves into it
+  if (document.activeElement) document.activeElement.blur();
+  if (scopeSelector) {
+    const start = document.createElement('span');
+    start.tabIndex = 0;
+    scope.before(start);
+    start.focus();
+  }
+
+  return collect(scope).length;
+}
+
+// CLI interface
+export async function a11yCommand(options = {}) {
+  try {
+    const config = await loadConfig();
+    const auditor = new AccessibilityAuditor(process.cwd(), config);
+
+    assertReporter(options.reporter);
+    const started = Date.now();
+    const results = await auditor.auditAll(options);
+
+    if (options.reporter) {
+      writeReport(options.reporter, [a11ySuite(results, SEVERITIES, Date.now() - started)], options.outputFile);
+    }
+
+    if (options.report) {
+      fs.writeFileSync('a11y-report.json', JSON.stringify(results, null, 2));
+      console.log('\n📋 Accessibility report saved to a11y-report.json');
+    }
+
+    if (results.failed > 0 || results.errors.length > 0) {
+      process.exit(1);
+    }
+
+    return results;
+  } catch (error) {
+    console.error('❌ Accessibility audit failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run directly: node scripts/a11y-audit.js
+if (process.argv[1] && process.argv[1].endsWith('a11y-audit.js')) {
+  a11yCommand();
+}
@@ -0,0 +1,283 @@
+/**
+ * Architecture Rules
+ * The rule plugin API behind `ui-canvas validate`, the built-in rules and
+ * loading of project rules from validation.plugins
+ *
+ * A rule is a plain object:
+ *   id           stable ID used in output, reports, SARIF and validation.rules
+ *   description  one line explaining what the rule enforces
+ *   severity     'error' fails validation, 'warning' is reported only
+ *   files        globs (or config => globs) of files to check one at a time;
+ *                leave out to run check() once for the whole project
+ *   check(ctx)   calls ctx.report(message, { index } | { line }) per violation;
+ *                project-wide rules pass { file } too. With --changed,
+ *                per-file rules only see affected files; project-wide rules
+ *                can ask ctx.changes?.affects(file) themselves.
+ *                await ctx.componentApi() maps tag names to the typed
+ *                attributes and properties of each component
+ *   enabled      optional config => boolean
+ *
+ * Instead of check(), a rule can list `patterns` (RegExps or plain strings,
+ * optionally { pattern, name }) that must not appear in its files. Pattern
+ * rules need no code, so they also work from ui-canvas.config.json.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { ModuleGraph, LAYER_NAMES, formatChain } from './module-graph.js';
+import { attributeValueError } from './component-analyzer.js';
+
+export const SEVERITIES = ['error', 'warning'];
+
+export const BUILTIN_RULES = [
+  {
+    id: 'MISSING_MAIN_CSS',
+    description: 'The CSS source of truth file must exist',
+    severity: 'error',
+    async check({ cssSource, report }) {
+      try {
+        await fs.access(cssSource);
+      } catch {
+        report(`Main CSS file missing - create ${cssSource} as single source of truth`, { file: cssSource });
+      }
+    }
+  },
+  {
+    id: 'INLINE_CSS_DETECTED',
+    description: 'Components must not contain inline styles',
+    severity: 'error',
+    enabled: config => config.validation.blockInlineCSS,
+    files: config => [`${config.layers.components}/**/*.js`],
+    check({ content, cssSource, report }) {
+      const patterns = [
+        { pattern: /style\s*=\s*["'][^"']*["']/g, name: 'style attribute' },
+        { pattern: /<style[^>]*>[\s\S]*?<\/style>/g, name: '<style> tag' },
+        { pattern: /\.style\./g, name: 'element.style usage' },
+        { pattern: /\.innerHTML\s*=.*style/g, name: 'innerHTML with style' }
+      ];
+
+      const found = patterns
+        .map(({ pattern, name }) => ({ name, matches: content.match(pattern), index: content.search(pattern) }))
+        .filter(({ matches }) => matches);
+
+      if (found.length > 0) {
+        report(
+          `Component contains inline CSS: ${found.map(({ name, matches }) => `${name}: ${matches.join(', ')}`).join('; ')}. Move all styles to ${cssSource}`,
+          { index: Math.min(...found.map(({ index }) => index)) }
+        );
+      }
+    }
+  },
+  {
+    id: 'CSS_DUPLICATION',
+    description: 'Component styles must only be defined in the CSS source of truth',
+    severity: 'error',
+    enabled: config => config.validation.preventDuplication,
+    files: ['**/*.css', '**/*.js', '**/*.html'],
+    async check({ file, content, cssSource, componentTags, readFile, report }) {
+      if (path.normalize(file) === path.normalize(cssSource)) return;
+
+      // Component selectors (block, __element, --modifier) already in the source of truth
+      const source = await readFile(cssSource);
+      if (!source) return;
+      const defined = new Set(
+        [...source.matchAll(/\.([a-z][\w-]*)(?=[^{}]*\{)/g)]
+          .map(match => match[1])
+          .filter(className => componentTags.has(className.split(/__|--/)[0]))
+      );
+
+      for (const className of defined) {
+        const index = content.search(new RegExp(`\\.${escapeRegExp(className)}(?![\\w-])[^{};'"\`]*\\{`));
+        if (index !== -1) {
+          report(`Duplicate component styles found: .${className} styles. Move to ${cssSource}`, { index });
+        }
+      }
+    }
+  },
+  {
+    id: 'RAW_HTML_DETECTED',
+    description: 'Pages and workflows must use web components instead of raw component markup',
+    severity: 'error',
+    enabled: config => config.validation.enforceWebComponents,
+    files: config => [`${config.layers.pages}/**/*.html`, `${config.layers.workflows}/**/*.html`],
+    check({ content, componentTags, report }) {
+      const reported = new Set();
+
+      for (const match of content.matchAll(/<div\b[^>]*?\sclass\s*=\s*["']\s*([\w-]+)/gi)) {
+        const tagName = match[1];
+        if (componentTags.has(tagName) && !reported.has(tagName)) {
+          reported.add(tagName);
+          report(`Raw ${tagName} HTML found. Replace with the <${tagName}> web component`, { index: match.index });
+        }
+      }
+    }
+  },
+  {
+    id: 'INVALID_ATTRIBUTE_VALUE',
+    description: 'Component attributes in pages and workflows must match the types their @attr tags document',
+    severity: 'error',
+    files: config => [`${config.layers.pages}/**/*.html`, `${config.layers.workflows}/**/*.html`],
+    async check({ content, componentApi, report }) {
+      const api = await componentApi();
+      const markup = content.replace(/<!--[\s\S]*?-->/g, comment => comment.replace(/[^\n]/g, ' '));
+
+      for (const match of markup.matchAll(/<([a-z][\w]*-[\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/gi)) {
+        const tagName = match[1].toLowerCase();
+        const documented = api.get(tagName)?.attributes || [];
+        // Markup built in template literals is only known at runtime
+        if (documented.length === 0 || /\$\{|\{\{/.test(match[2])) continue;
+
+        const used = tagAttributes(match[2], match.index + match[1].length + 1);
+        documented.filter(attribute => attribute.required && !used.some(({ name }) => name === attribute.name))
+          .forEach(attribute => report(`<${tagName}> is missing required attribute ${attribute.name}`, { index: match.index }));
+
+        used.forEach(({ name, value, index }) => {
+          const attribute = documented.find(candidate => candidate.name === name);
+          const error = attribute && attributeValueError(attribute, value);
+          if (error) report(`<${tagName}> ${error}`, { index });
+        });
+      }
+    }
+  },
+  {
+    id: 'LAYER_VIOLATION',
+    description: 'Layers may only depend on the layers validation.layerDependencies allows',
+    severity: 'error',
+    enabled: config => config.validation.enforceLayerDependencies,
+    async check({ config, layers, findFiles, changes, report }) {
+      const graph = new ModuleGraph(process.cwd(), config);
+      const files = (await findFiles(`{${Object.values(layers).join(',')}}/**/*.{js,mjs,html}`))
+        .filter(file => !changes || changes.affects(file));
+
+      for (const file of files) {
+        graph.findViolations(file, config.validation.layerDependencies).forEach(({ layer, targetLayer, chain }) => {
+          report(
+            `${LAYER_NAMES[layer]} cannot depend on ${LAYER_NAMES[targetLayer]}: ${formatChain(chain)}`,
+            { file, line: chain[1].line }
+          );
+        });
+      }
+    }
+  }
+];
+
+/**
+ * Turn a `patterns` list into a check() that reports the first match of each
+ * pattern per file
+ */
+export function patternRule({ patterns, message, ...rule }) {
+  const compiled = patterns.map(entry => {
+    const { pattern, name } = typeof entry === 'object' && !(entry instanceof RegExp) ? entry : { pattern: entry };
+    return {
+      pattern: pattern instanceof RegExp ? pattern : new RegExp(escapeRegExp(pattern)),
+      name: name || String(pattern)
+    };
+  });
+
+  return {
+    ...rule,
+    check({ content, report }) {
+      for (const { pattern, name } of compiled) {
+        const index = content.search(pattern);
+        if (index !== -1) {
+          report(message ? message.replace('{name}', name) : `${name} found`, { index });
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Check a rule's shape and fill in pattern checks. Throws a descriptive error.
+ */
+export function defineRule(rule, source = 'rule') {
+  const label = `${source}${rule?.id ? ` "${rule.id}"` : ''}`;
+  const fail = problem => {
+    throw new Error(`Invalid architecture rule ${label}: ${problem}`);
+  };
+
+  if (!rule || typeof rule !== 'object') fail('must be an object');
+  if (typeof rule.id !== 'string' || !/^[\w-]+$/.test(rule.id)) fail('id must be a string of letters, digits, _ or -');
+  if (typeof rule.description !== 'string' || !rule.description) fail('description is required');
+  if (!SEVERITIES.includes(rule.severity)) fail(`severity must be one of ${SEVERITIES.join(', ')}`);
+  if (rule.files !== undefined && typeof rule.files !== 'function' &&
+      !(Array.isArray(rule.files) && rule.files.every(glob => typeof glob === 'string'))) {
+    fail('files must be an array of globs or a function returning one');
+  }
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'function') fail('enabled must be a function');
+
+  if (rule.patterns !== undefined) {
+    if (!Array.isArray(rule.patterns) || rule.patterns.length === 0) fail('patterns must be a non-empty array');
+    if (rule.check) fail('use either patterns or check, not both');
+    if (!rule.files) fail('patterns need files to search');
+    return patternRule(rule);
+  }
+
+  if (typeof rule.check !== 'function') fail('check must be a function (or use patterns)');
+  return rule;
+}
+
+/**
+ * Built-in rules plus validation.plugins, with validation.rules severity
+ * overrides applied and disabled rules removed
+ */
+export async function loadRules(config, basePath = process.cwd()) {
+  const { plugins = [], rules: overrides = {} } = config.validation;
+  const configDir = config.configPath ? path.dirname(config.configPath) : basePath;
+  const rules = BUILTIN_RULES.map(rule => defineRule(rule, 'built-in'));
+
+  for (const [index, plugin] of plugins.entries()) {
+    const loaded = typeof plugin === 'string'
+      ? await importRules(path.resolve(configDir, plugin), plugin)
+      : [{ rule: plugin, source: `validation.plugins[${index}]` }];
+
+    for (const { rule, source } of loaded) {
+      const defined = defineRule(rule, source);
+      if (rules.some(existing => existing.id === defined.id)) {
+        throw new Error(`Duplicate architecture rule "${defined.id}" in ${source}`);
+      }
+      rules.push(defined);
+    }
+  }
+
+  for (const id of Object.keys(overrides)) {
+    if (!rules.some(rule => rule.id === id)) {
+      throw new Error(`Unknown architecture rule "${id}" in validation.rules. Known: ${rules.map(rule => rule.id).join(', ')}`);
+    }
+  }
+
+  return rules
+    .map(rule => overrides[rule.id] ? { ...rule, severity: overrides[rule.id] } : rule)
+    .filter(rule => rule.severity !== 'off' && (!rule.enabled || rule.enabled(config)));
+}
+
+async function importRules(file, specifier) {
+  let module;
+  try {
+    module = await import(pathToFileURL(file).href);
+  } catch (error) {
+    throw new Error(`Failed to load architecture rules from ${specifier}: ${error.message}`);
+  }
+
+  // export default rule | [rules], or export const rules = [...]
+  const exported = module.default ?? module.rules;
+  if (!exported) {
+    throw new Error(`${specifier} must export a rule or an array of rules (export default ...)`);
+  }
+  return [].concat(exported).map(rule => ({ rule, source: specifier }));
+}
+
+// ' a="1" b' -> [{ name: 'a', value: '1', index }, { name: 'b', value: '', index }]
+function tagAttributes(text, offset) {
+  return [...text.matchAll(/([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g)]
+    .map(match => ({
+      name: match[1].toLowerCase(),
+      value: match[2] ?? match[3] ?? match[4] ?? '',
+      index: offset + match.index
+    }));
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
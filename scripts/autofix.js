@@ -0,0 +1,586 @@
+/**
+ * Autofix
+ * Rewrites what `validate` and `validate-all` can fix mechanically: inline
+ * styles, hardcoded colors and sizes, raw component markup and unregistered
+ * component files. Every change is shown as a diff before it is written.
+ * Violations under a disable comment or in the baseline are left as they are.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadConfig, DEFAULT_CONFIG } from './config-loader.js';
+import { ArchitectureValidator } from './validate-architecture.js';
+import { CSSTokenValidator, skipsHardcodedCheck } from './css-token-validator.js';
+import { STORIES_SUFFIX } from './component-stories.js';
+import { FileWalker } from './file-walker.js';
+import { BUILTIN_RULES } from './architecture-rules.js';
+import { applySuppressions, openBaseline } from './violation-baseline.js';
+
+// How far a literal may be from a token's value and still be replaced by it
+const MAX_COLOR_DISTANCE = 8; // Euclidean distance in RGBA (0-255 per channel)
+const MAX_LENGTH_DIFFERENCE = 1; // px
+const ROOT_FONT_SIZE = 16;
+
+const TAG_WITH_STYLE = /<([a-zA-Z][\w-]*)([^<>]*?)\s+style\s*=\s*(?:"([^"]*)"|'([^']*)')([^<>]*)>/g;
+const CLASS_ATTRIBUTE = /(\sclass\s*=\s*)(["'])([^"']*)\2/;
+const DECLARATION = /(^|[\s{;])([a-zA-Z][\w-]*)(\s*:\s*)([^;{}"'`]+)/g;
+const LITERAL = /#[0-9a-fA-F]{3,8}\b|rgba?\([^)]*\)|(?<![\w.#-])\d*\.?\d+(?:px|rem)\b/g;
+
+export class AutoFixer {
+  constructor(basePath = process.cwd(), config = DEFAULT_CONFIG, { baseline = null } = {}) {
+    this.basePath = basePath;
+    this.config = config;
+    this.layers = config.layers;
+    this.cssSource = config.validation.cssSource;
+    this.baseline = baseline; // loaded ViolationBaseline
+    this.files = new Map(); // relative path -> { original, content, fixes }
+    this.tokens = [];
+  }
+
+  /**
+   * Work out every fix in memory. Nothing is written until apply().
+   */
+  async collectFixes() {
+    const { validation } = this.config;
+
+    await this.loadTokens();
+    if (validation.blockInlineCSS) {
+      await this.fixInlineStyles();
+    }
+    await this.fixHardcodedValues();
+    if (validation.enforceWebComponents) {
+      await this.fixRawComponentMarkup();
+    }
+    await this.registerStrayComponents();
+
+    return this.changes();
+  }
+
+  async loadTokens() {
+    const validator = new CSSTokenValidator(this.basePath, this.config);
+    await validator.extractTokens();
+
+    // Follow aliases like --card-bg: var(--color-white)
+    const resolve = (value, depth = 0) => {
+      const alias = value.match(/^var\((--[\w-]+)\)$/);
+      return alias && depth < 5 && validator.tokens.has(alias[1])
+        ? resolve(validator.tokens.get(alias[1]).value, depth + 1)
+        : value;
+    };
+
+    this.tokens = [...validator.tokens]
+      .map(([name, { value, category }]) => ({ name, category, value, parsed: parseLiteral(resolve(value)) }))
+      .filter(token => token.parsed);
+  }
+
+  /**
+   * style="..." in component markup -> a generated BEM class in the CSS
+   * source of truth. Styles built from ${} expressions are left alone.
+   */
+  async fixInlineStyles() {
+    const files = await this.findArchitectureFiles(`${this.layers.components}/**/*.js`);
+    const cssFile = this.relative(this.cssSource);
+    const usedClasses = new Set([...(this.read(cssFile) || '').matchAll(/\.([a-zA-Z_][\w-]*)/g)].map(match => match[1]));
+    const inlineRule = BUILTIN_RULES.find(rule => rule.id === 'INLINE_CSS_DETECTED');
+
+    for (const file of files) {
+      const content = this.read(file);
+
+      // The validator reports one violation per file; skip files where it is silenced
+      const violations = [];
+      inlineRule.check({ content, cssSource: this.cssSource, report: (message, { index }) => violations.push(violationAt(inlineRule.id, file, content, index)) });
+      if (this.reported('architecture', violations).length === 0) continue;
+
+      const block = path.basename(file).replace(STORIES_SUFFIX, '').replace(/\.js$/, '').toLowerCase();
+      const generated = new Map(); // declarations -> class name
+      const rules = [];
+      const fixes = [];
+
+      [...content.matchAll(/class(?:Name)?\s*=\s*["'`]([^"'`]*)/g)]
+        .flatMap(match => match[1].split(/\s+/))
+        .forEach(className => usedClasses.add(className));
+
+      const updated = content.replace(TAG_WITH_STYLE, (match, tag, before, doubleQuoted, singleQuoted, after, offset) => {
+        if (this.suppressed(violationAt(inlineRule.id, file, content, offset))) return match;
+
+        const declarations = (doubleQuoted ?? singleQuoted)
+          .split(';')
+          .map(declaration => declaration.trim())
+          .filter(Boolean);
+        if (declarations.length === 0 || declarations.some(declaration => declaration.includes('${') || !declaration.includes(':'))) {
+          return match;
+        }
+
+        const css = declarations
+          .map(declaration => this.replaceLiterals(declaration.replace(/\s*:\s*/, ': ')).line)
+          .join(';\n  ');
+        let className = generated.get(css);
+        if (!className) {
+          className = uniqueName(`${block}__${tag.toLowerCase()}`, usedClasses);
+          usedClasses.add(className);
+          generated.set(css, className);
+          rules.push(`.${className} {\n  ${css};\n}`);
+        }
+        fixes.push(`Moved inline style on <${tag}> to .${className} in ${this.cssSource}`);
+
+        const addClass = (attributes) => attributes.replace(CLASS_ATTRIBUTE, (attribute, prefix, quote, classes) =>
+          `${prefix}${quote}${[classes.trim(), className].filter(Boolean).join(' ')}${quote}`);
+        if (CLASS_ATTRIBUTE.test(before)) return `<${tag}${addClass(before)}${after}>`;
+        if (CLASS_ATTRIBUTE.test(after)) return `<${tag}${before}${addClass(after)}>`;
+        return `<${tag}${before} class="${className}"${after}>`;
+      });
+
+      if (rules.length > 0) {
+        this.write(file, updated, fixes);
+        const css = this.read(cssFile) || '';
+        this.write(
+          cssFile,
+          `${css.replace(/\s*$/, css.trim() ? '\n\n' : '')}/* Moved from inline styles in ${toPosix(file)} */\n${rules.join('\n\n')}\n`,
+          [`Added ${rules.length} rule(s) for inline styles from ${toPosix(file)}`]
+        );
+      }
+    }
+  }
+
+  /**
+   * Hardcoded colors and sizes in CSS declarations -> var(--token) when a
+   * token's value matches closely enough
+   */
+  async fixHardcodedValues() {
+    if (this.tokens.length === 0) return;
+
+    // Same files `ui-canvas tokens` checks for hardcoded values
+    const validator = new CSSTokenValidator(this.basePath, this.config);
+    const cssFiles = await validator.findFiles('**/*.css', { exclude: ['node_modules', 'tests', this.cssSource] });
+    const jsFiles = await validator.findFiles(`${this.layers.components}/**/*.js`);
+
+    const files = [...cssFiles, ...jsFiles].map(file => this.relative(file));
+
+    // Lines the token check would report, one violation each
+    const candidates = files.flatMap(file => this.read(file).split('\n')
+      .map((line, index) => ({ type: 'hardcoded-value', file, line: index + 1, text: line }))
+      .filter(({ text }) => !skipsHardcodedCheck(text) && this.replaceLiterals(text).replaced.length > 0));
+    const fixable = new Set(this.reported('tokens', candidates).map(({ file, line }) => `${file}:${line}`));
+
+    for (const file of files) {
+      const fixes = [];
+      const lines = this.read(file).split('\n').map((line, index) => {
+        if (!fixable.has(`${file}:${index + 1}`)) return line;
+
+        const result = this.replaceLiterals(line);
+        result.replaced.forEach(({ literal, token }) => {
+          const approximate = normalize(literal) === normalize(token.value) ? '' : ` (${token.value})`;
+          fixes.push(`Line ${index + 1}: ${literal} -> var(${token.name})${approximate}`);
+        });
+        return result.line;
+      });
+
+      if (fixes.length > 0) {
+        this.write(file, lines.join('\n'), fixes);
+      }
+    }
+  }
+
+  /**
+   * Replace literals inside `property: value` declarations of one line
+   */
+  replaceLiterals(line) {
+    const replaced = [];
+
+    const updated = line.replace(DECLARATION, (declaration, lead, property, separator, value) => {
+      if (value.includes('url(')) return declaration;
+
+      // var(--token, 0.5rem) fallbacks already go through a token
+      const fallbacks = varSpans(value);
+      const newValue = value.replace(LITERAL, (literal, offset) => {
+        if (fallbacks.some(([start, end]) => offset > start && offset < end)) return literal;
+        const token = this.nearestToken(literal, property);
+        if (!token) return literal;
+        replaced.push({ literal, token });
+        return `var(${token.name})`;
+      });
+      return `${lead}${property}${separator}${newValue}`;
+    });
+
+    return { line: updated, replaced };
+  }
+
+  /**
+   * Closest token for a literal. Lengths only match tokens of the property's
+   * category (a radius never becomes a spacing token); colors prefer color
+   * tokens but accept any.
+   */
+  nearestToken(literal, property) {
+    const parsed = parseLiteral(literal);
+    if (!parsed || (parsed.kind === 'length' && parsed.value === 0)) return null;
+
+    const preferred = parsed.kind === 'color' ? 'color' : propertyCategory(property);
+    const limit = parsed.kind === 'color' ? MAX_COLOR_DISTANCE : MAX_LENGTH_DIFFERENCE;
+
+    return this.tokens
+      .filter(token => token.parsed.kind === parsed.kind && (parsed.kind === 'color' || token.category === preferred))
+      .map(token => ({ token, distance: distance(parsed, token.parsed) }))
+      .filter(candidate => candidate.distance <= limit)
+      .sort((a, b) =>
+        (a.token.category !== preferred) - (b.token.category !== preferred) ||
+        a.distance - b.distance ||
+        a.token.name.localeCompare(b.token.name))[0]?.token || null;
+  }
+
+  /**
+   * <div class="card-compact ..."> ... </div> in pages and workflows ->
+   * <card-compact class="..."> ... </card-compact> for any component that exists
+   */
+  async fixRawComponentMarkup() {
+    const componentTags = await new ArchitectureValidator(this.config).findComponentTags();
+    if (componentTags.size === 0) return;
+
+    const files = [
+      ...await this.findArchitectureFiles(`${this.layers.pages}/**/*.html`),
+      ...await this.findArchitectureFiles(`${this.layers.workflows}/**/*.html`)
+    ];
+
+    for (const file of files) {
+      let content = this.read(file);
+      const fixes = [];
+      const openTag = /<div\b([^>]*?)\sclass\s*=\s*(["'])([^"']*)\2([^>]*)>/gi;
+      let match;
+
+      // The validator reports the first raw markup of each tag; skip tags where it is silenced
+      const firstUses = new Map();
+      for (const { index, 3: classes } of content.matchAll(openTag)) {
+        const tagName = classes.trim().split(/\s+/)[0];
+        if (componentTags.has(tagName) && !firstUses.has(tagName)) {
+          firstUses.set(tagName, { ...violationAt('RAW_HTML_DETECTED', file, content, index), tagName });
+        }
+      }
+      const reportedTags = new Set(this.reported('architecture', [...firstUses.values()]).map(violation => violation.tagName));
+
+      while ((match = openTag.exec(content))) {
+        const [tag, before, quote, classes, after] = match;
+        const [tagName, ...otherClasses] = classes.trim().split(/\s+/);
+        if (!reportedTags.has(tagName) || this.suppressed(violationAt('RAW_HTML_DETECTED', file, content, match.index))) continue;
+
+        const close = findClosingDiv(content, match.index + tag.length);
+        if (!close) continue;
+
+        const classAttribute = otherClasses.length > 0 ? ` class=${quote}${otherClasses.join(' ')}${quote}` : '';
+        content = content.slice(0, match.index) +
+          `<${tagName}${before}${classAttribute}${after}>` +
+          content.slice(match.index + tag.length, close.start) +
+          `</${tagName}>` +
+          content.slice(close.end);
+        fixes.push(`Line ${lineAt(content, match.index)}: raw ${tagName} markup -> <${tagName}>`);
+        openTag.lastIndex = match.index;
+      }
+
+      if (fixes.length > 0) {
+        this.write(file, content, fixes);
+      }
+    }
+  }
+
+  /**
+   * Add component files that have no manifest entry to the registry
+   */
+  async registerStrayComponents() {
+    const { RegistryManager } = await import('./registry-manager.js');
+    const registry = new RegistryManager(this.basePath, this.config);
+    const fixes = [];
+
+    for (const file of await registry.findUnregistered()) {
+      const result = await registry.analyzeComponent(file);
+      if (result) {
+        registry.addToManifest(result);
+        fixes.push(`Registered ${result.name} (${toPosix(file)})`);
+      }
+    }
+
+    if (fixes.length > 0) {
+      this.write(this.relative(registry.manifestPath), registry.serializeManifest(), fixes);
+    }
+  }
+
+  /**
+   * Violations validate would still report once disable comments and the
+   * baseline are applied. Lines are looked up in the files on disk.
+   */
+  reported(tool, violations) {
+    const { kept } = applySuppressions(violations, this.basePath);
+    return this.baseline ? this.baseline.filter(tool, kept).kept : kept;
+  }
+
+  suppressed(violation) {
+    return applySuppressions([violation], this.basePath).suppressed.length > 0;
+  }
+
+  async findArchitectureFiles(pattern) {
+    return new FileWalker(this.basePath, this.config).find(pattern).map(file => this.relative(file));
+  }
+
+  relative(file) {
+    return path.relative(this.basePath, path.resolve(this.basePath, file));
+  }
+
+  /**
+   * Current content of a file, including fixes made so far (null if missing)
+   */
+  read(file) {
+    if (this.files.has(file)) return this.files.get(file).content;
+
+    const fullPath = path.join(this.basePath, file);
+    return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null;
+  }
+
+  write(file, content, fixes) {
+    if (!this.files.has(file)) {
+      this.files.set(file, { original: this.read(file), content, fixes: [] });
+    }
+    const entry = this.files.get(file);
+    entry.content = content;
+    entry.fixes.push(...fixes);
+  }
+
+  changes() {
+    return [...this.files]
+      .filter(([, entry]) => entry.content !== entry.original)
+      .map(([file, entry]) => ({ file, ...entry }));
+  }
+
+  printChanges(changes) {
+    const count = changes.reduce((sum, change) => sum + change.fixes.length, 0);
+    console.log(`🔧 ${count} fix(es) in ${changes.length} file(s)\n`);
+
+    changes.forEach(change => {
+      console.log(`📝 ${toPosix(change.file)}`);
+      change.fixes.forEach(fix => console.log(`   • ${fix}`));
+      console.log('');
+      console.log(unifiedDiff(toPosix(change.file), change.original, change.content));
+    });
+  }
+
+  apply(changes) {
+    changes.forEach(change => {
+      const fullPath = path.join(this.basePath, change.file);
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+      fs.writeFileSync(fullPath, change.content);
+    });
+  }
+}
+
+function parseLiteral(value) {
+  const text = value.trim().toLowerCase();
+
+  const hex = text.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    const digits = hex[1].length <= 4 ? [...hex[1]].map(digit => digit + digit) : hex[1].match(/../g);
+    const [r, g, b, a = 'ff'] = digits;
+    return { kind: 'color', value: [r, g, b, a].map(channel => parseInt(channel, 16)) };
+  }
+
+  const rgb = text.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)(?:\s*[,/]\s*([\d.]+)(%?))?\s*\)$/);
+  if (rgb) {
+    const alpha = rgb[4] === undefined ? 1 : parseFloat(rgb[4]) / (rgb[5] ? 100 : 1);
+    return { kind: 'color', value: [+rgb[1], +rgb[2], +rgb[3], Math.round(alpha * 255)] };
+  }
+
+  const length = text.match(/^(\d*\.?\d+)(px|rem)$/);
+  if (length) {
+    return { kind: 'length', value: parseFloat(length[1]) * (length[2] === 'rem' ? ROOT_FONT_SIZE : 1) };
+  }
+
+  return null;
+}
+
+function distance(a, b) {
+  if (a.kind === 'length') return Math.abs(a.value - b.value);
+  return Math.sqrt(a.value.reduce((sum, channel, index) => sum + (channel - b.value[index]) ** 2, 0));
+}
+
+function normalize(value) {
+  return value.trim().toLowerCase().replace(/\s+/g, '');
+}
+
+function propertyCategory(property) {
+  if (/font|line-height|letter-spacing/.test(property)) return 'typography';
+  if (/radius|border|outline/.test(property)) return 'border';
+  if (/margin|padding|gap|inset|^(top|right|bottom|left)$/.test(property)) return 'spacing';
+  if (/width|height|size/.test(property)) return 'size';
+  return 'other';
+}
+
+// [start, end) of every var(...) in a value, nested parentheses included
+function varSpans(value) {
+  const spans = [];
+  for (const match of value.matchAll(/var\(/g)) {
+    let depth = 0;
+    for (let i = match.index + 3; i < value.length; i++) {
+      if (value[i] === '(') depth++;
+      else if (value[i] === ')' && --depth === 0) {
+        spans.push([match.index, i + 1]);
+        break;
+      }
+    }
+  }
+  return spans;
+}
+
+function uniqueName(base, used) {
+  let name = base;
+  for (let n = 2; used.has(name); n++) {
+    name = `${base}-${n}`;
+  }
+  return name;
+}
+
+function findClosingDiv(content, from) {
+  const tags = /<div\b[^>]*>|<\/div\s*>/gi;
+  tags.lastIndex = from;
+  let depth = 1;
+  let match;
+
+  while ((match = tags.exec(content))) {
+    depth += match[0].startsWith('</') ? -1 : 1;
+    if (depth === 0) {
+      return { start: match.index, end: match.index + match[0].length };
+    }
+  }
+  return null;
+}
+
+function lineAt(content, index) {
+  return content.slice(0, index).split('\n').length;
+}
+
+function violationAt(type, file, content, index) {
+  return { type, file, line: lineAt(content, index) };
+}
+
+function toPosix(file) {
+  return file.split(path.sep).join('/');
+}
+
+/**
+ * Unified diff with three lines of context. `before` is null for new files.
+ */
+function unifiedDiff(file, before, after) {
+  const toLines = text => text.replace(/\n$/, '').split('\n');
+  const oldLines = before === null ? [] : toLines(before);
+  const newLines = toLines(after);
+
+  // Fixes are local: only run the LCS over the part that differs
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) suffix++;
+
+  const ops = [
+    ...oldLines.slice(0, prefix).map(line => [' ', line]),
+    ...diffLines(oldLines.slice(prefix, oldLines.length - suffix), newLines.slice(prefix, newLines.length - suffix)),
+    ...oldLines.slice(oldLines.length - suffix).map(line => [' ', line])
+  ];
+
+  const context = 3;
+  const output = [`--- ${before === null ? '/dev/null' : `a/${file}`}`, `+++ b/${file}`];
+  let oldLine = 1;
+  let newLine = 1;
+  let index = 0;
+
+  while (index < ops.length) {
+    if (ops[index][0] === ' ') {
+      oldLine++;
+      newLine++;
+      index++;
+      continue;
+    }
+
+    // Open a hunk with leading context and extend it while changes are close together
+    const start = Math.max(0, index - context);
+    oldLine -= index - start;
+    newLine -= index - start;
+    let end = index;
+    let lastChange = index;
+    while (end < ops.length && (ops[end][0] !== ' ' || end - lastChange <= context * 2)) {
+      if (ops[end][0] !== ' ') lastChange = end;
+      end++;
+    }
+    end = Math.min(ops.length, lastChange + context + 1);
+
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter(([op]) => op !== '+').length;
+    const newCount = hunk.filter(([op]) => op !== '-').length;
+    output.push(`@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`);
+    hunk.forEach(([op, line]) => output.push(`${op}${line}`));
+
+    oldLine += oldCount;
+    newLine += newCount;
+    index = end;
+  }
+
+  return output.join('\n') + '\n';
+}
+
+function diffLines(oldLines, newLines) {
+  // Longest common subsequence table, filled from the end
+  const width = newLines.length + 1;
+  const table = new Uint32Array((oldLines.length + 1) * width);
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      table[i * width + j] = oldLines[i] === newLines[j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length || j < newLines.length) {
+    if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+      ops.push([' ', oldLines[i++]]);
+      j++;
+    } else if (j < newLines.length && (i === oldLines.length || table[i * width + j + 1] > table[(i + 1) * width + j])) {
+      ops.push(['+', newLines[j++]]);
+    } else {
+      ops.push(['-', oldLines[i++]]);
+    }
+  }
+  return ops;
+}
+
+/**
+ * Collect, preview and (unless dryRun) write fixes. Violations recorded in
+ * the `options.baseline` file are left alone. Returns the changes.
+ */
+export async function runAutofix(config, options = {}, basePath = process.cwd()) {
+  const fixer = new AutoFixer(basePath, config, { baseline: openBaseline(options.baseline, basePath) });
+  const changes = await fixer.collectFixes();
+
+  if (changes.length === 0) {
+    console.log('✨ Nothing to fix automatically\n');
+    return changes;
+  }
+
+  fixer.printChanges(changes);
+
+  if (options.dryRun) {
+    console.log('🔍 Dry run: no files written. Re-run without --dry-run to apply these fixes.\n');
+  } else {
+    fixer.apply(changes);
+    console.log(`✅ Fixed ${changes.length} file(s)\n`);
+  }
+  return changes;
+}
+
+// CLI interface
+export async function autofixCommand(options = {}) {
+  try {
+    const config = await loadConfig();
+    console.log('🔧 Looking for automatic fixes...');
+    return await runAutofix(config, options);
+  } catch (error) {
+    console.error('❌ Autofix failed:', error.message);
+    process.exit(1);
+  }
+}
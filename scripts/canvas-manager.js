@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+
+/**
+ * Canvas Manager - Mockup Staging Workflow
+ * Stages, lists, archives and clears SuperDesign mockups
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadConfig, DEFAULT_CONFIG } from './config-loader.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const templatesDir = path.join(__dirname, '../templates');
+
+export class CanvasManager {
+  constructor(basePath = process.cwd(), config = DEFAULT_CONFIG) {
+    this.basePath = basePath;
+    this.config = config;
+    this.stagingDir = path.join(basePath, config.canvas.stagingDir);
+    this.approvedDir = path.join(basePath, config.canvas.approvedDir);
+    this.screenshotsDir = path.join(basePath, config.canvas.screenshotsDir);
+    this.iterationsDir = path.join(basePath, config.canvas.iterationsDir);
+    this.baseUrl = `http://localhost:${config.server.port}`;
+  }
+
+  ensureDirectories() {
+    [this.stagingDir, this.approvedDir, this.screenshotsDir, this.iterationsDir].forEach(dir => {
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+    });
+  }
+
+  /**
+   * Stage a mockup. Existing HTML files are copied into the staging area,
+   * unknown names get a fresh starter template.
+   */
+  stage(mockup) {
+    if (!mockup) {
+      throw new Error('File name required. Usage: ui-canvas canvas stage <file.html>');
+    }
+
+    this.ensureDirectories();
+
+    const sourcePath = path.resolve(this.basePath, withHtmlExtension(mockup));
+    const file = path.basename(sourcePath);
+    const stagedPath = path.join(this.stagingDir, file);
+
+    if (fs.existsSync(stagedPath)) {
+      console.log(`⚠️  File already staged: ${file}`);
+      return { file, path: stagedPath, created: false, alreadyStaged: true };
+    }
+
+    let created = false;
+    if (fs.existsSync(sourcePath)) {
+      fs.copyFileSync(sourcePath, stagedPath);
+      console.log(`✅ Staged mockup: ${file}`);
+    } else {
+      fs.writeFileSync(stagedPath, this.createMockupTemplate(path.basename(file, '.html')));
+      created = true;
+      console.log(`✅ Created new mockup template: ${file}`);
+    }
+
+    console.log(`🌐 View at: ${this.baseUrl}/canvas/${file}`);
+    return { file, path: stagedPath, created, alreadyStaged: false };
+  }
+
+  createMockupTemplate(name) {
+    const template = fs.readFileSync(path.join(templatesDir, 'canvas/mockup-template.html'), 'utf8');
+    const { width, height } = this.config.canvas.viewport;
+
+    // The dev server always mounts the CSS source directory at /styles
+    const cssHref = `/styles/${path.basename(this.config.validation.cssSource)}`;
+
+    return template
+      .replace(/\{\{name\}\}/g, name)
+      .replace(/\{\{cssHref\}\}/g, cssHref)
+      .replace(/\{\{width\}\}/g, width)
+      .replace(/\{\{height\}\}/g, height);
+  }
+
+  unstage(mockup) {
+    if (!mockup) {
+      throw new Error('File name required. Usage: ui-canvas canvas unstage <file.html>');
+    }
+
+    const file = path.basename(withHtmlExtension(mockup));
+    const stagedPath = path.join(this.stagingDir, file);
+
+    if (!fs.existsSync(stagedPath)) {
+      throw new Error(`File not staged: ${file}`);
+    }
+
+    fs.unlinkSync(stagedPath);
+    console.log(`✅ Unstaged mockup: ${file}`);
+    return { file };
+  }
+
+  listStaged() {
+    return listHtmlFiles(this.stagingDir)
+      .map(file => {
+        const stats = fs.statSync(path.join(this.stagingDir, file));
+        return { file, size: stats.size, modified: stats.mtime };
+      })
+      .sort((a, b) => b.modified - a.modified);
+  }
+
+  listApproved() {
+    return listHtmlFiles(this.approvedDir).map(file => {
+      const name = path.basename(file, '.html');
+      const screenshot = path.join(this.screenshotsDir, `${name}.png`);
+      return {
+        file,
+        name,
+        modified: fs.statSync(path.join(this.approvedDir, file)).mtime,
+        hasScreenshot: fs.existsSync(screenshot)
+      };
+    });
+  }
+
+  /**
+   * Archive a staged (or arbitrary) mockup into the approved directory and
+   * capture its reference screenshots through MockupTools.
+   */
+  async archive(mockup, name) {
+    if (!mockup || !name) {
+      throw new Error('File and name required. Usage: ui-canvas canvas archive <file.html> <archive-name>');
+    }
+
+    const file = withHtmlExtension(mockup);
+    let sourcePath = path.join(this.stagingDir, path.basename(file));
+    if (!fs.existsSync(sourcePath)) {
+      sourcePath = path.resolve(this.basePath, file); // Try direct path
+      if (!fs.existsSync(sourcePath)) {
+        throw new Error(`Source file not found: ${file}`);
+      }
+    }
+
+    this.ensureDirectories();
+
+    const approvedPath = path.join(this.approvedDir, `${name}.html`);
+    const result = { approved: approvedPath, screenshot: null, mockupName: name };
+
+    console.log('📸 Taking reference screenshots...');
+
+    const { default: MockupTools } = await import('./mockup-tools.js');
+    const tools = new MockupTools(this.config);
+
+    try {
+      await tools.init();
+      Object.assign(result, await tools.archiveMockup(sourcePath, name));
+    } catch (error) {
+      console.log(`⚠️  Screenshot capture failed: ${error.message}`);
+    } finally {
+      await tools.close();
+    }
+
+    // MockupTools copies before screenshotting; make sure the archive exists either way
+    if (!fs.existsSync(approvedPath)) {
+      fs.copyFileSync(sourcePath, approvedPath);
+      console.log(`✅ Archived mockup: ${path.relative(this.basePath, approvedPath)}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Resolve a mockup reference: a direct path, or a name in the staging,
+   * approved or iterations directory
+   */
+  resolveMockup(mockup) {
+    const file = withHtmlExtension(mockup);
+    const candidates = [
+      path.resolve(this.basePath, mockup),
+      path.resolve(this.basePath, file),
+      path.join(this.stagingDir, path.basename(file)),
+      path.join(this.approvedDir, path.basename(file)),
+      path.join(this.iterationsDir, path.basename(file))
+    ];
+
+    const found = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+    if (!found) {
+      throw new Error(`Mockup not found: ${mockup} (looked in staging, approved and iterations)`);
+    }
+    return found;
+  }
+
+  /**
+   * Compare two mockup iterations and write side-by-side and overlay images
+   */
+  async compare(mockupA, mockupB, options = {}) {
+    if (!mockupA || !mockupB) {
+      throw new Error('Two mockups required. Usage: ui-canvas canvas compare <a> <b>');
+    }
+
+    const pathA = this.resolveMockup(mockupA);
+    const pathB = this.resolveMockup(mockupB);
+    const nameA = path.basename(pathA, '.html');
+    const nameB = path.basename(pathB, '.html');
+    const output = options.output
+      ? path.resolve(this.basePath, options.output)
+      : path.join(this.screenshotsDir, 'comparisons', `${nameA}-vs-${nameB}.png`);
+
+    const { default: MockupTools } = await import('./mockup-tools.js');
+    const tools = new MockupTools(this.config);
+
+    try {
+      await tools.init();
+      return await tools.compareMockups(pathA, pathB, output, options);
+    } finally {
+      await tools.close();
+    }
+  }
+
+  clear() {
+    const staged = listHtmlFiles(this.stagingDir);
+
+    if (staged.length === 0) {
+      console.log('⚠️  Canvas already empty');
+      return { cleared: 0 };
+    }
+
+    staged.forEach(file => fs.unlinkSync(path.join(this.stagingDir, file)));
+    console.log(`✅ Canvas cleared (${staged.length} mockups removed)`);
+    return { cleared: staged.length };
+  }
+
+  status() {
+    const staged = this.listStaged();
+    const approved = this.listApproved();
+    const missingScreenshots = approved.filter(mockup => !mockup.hasScreenshot);
+
+    return { staged, approved, missingScreenshots };
+  }
+
+  printList() {
+    console.log('📋 Staged Mockups');
+    console.log('==================');
+
+    const staged = this.listStaged();
+    if (staged.length === 0) {
+      console.log('No mockups staged');
+      return staged;
+    }
+
+    staged.forEach(({ file, size, modified }) => {
+      console.log(`  ${file} (${formatSize(size)}) - ${formatDate(modified)}`);
+    });
+
+    return staged;
+  }
+
+  printStatus() {
+    const status = this.status();
+
+    console.log('📊 Canvas Status');
+    console.log('==================');
+    console.log(`Staged mockups: ${status.staged.length}`);
+    console.log(`Approved mockups: ${status.approved.length}`);
+    console.log(`Screenshots missing: ${status.missingScreenshots.length}`);
+
+    if (status.staged.length > 0) {
+      console.log('');
+      console.log('📋 Recent Activity:');
+      status.staged.slice(0, 5).forEach(({ file, modified }) => {
+        console.log(`  ${formatDate(modified)} ${file}`);
+      });
+    }
+
+    if (status.missingScreenshots.length > 0) {
+      console.log('');
+      console.log('📸 Approved mockups without reference screenshots:');
+      status.missingScreenshots.forEach(({ file }) => {
+        console.log(`  ${file}`);
+      });
+      console.log('   Capture with: npx ui-canvas screenshot <file>');
+    }
+
+    return status;
+  }
+}
+
+function withHtmlExtension(file) {
+  return file.endsWith('.html') ? file : `${file}.html`;
+}
+
+function listHtmlFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(file => file.endsWith('.html'));
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes}B`;
+  return `${Math.round(bytes / 1024 * 10) / 10}K`;
+}
+
+function formatDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// CLI interface
+export async function canvasCommand(action, options = {}) {
+  try {
+    const config = await loadConfig();
+    const canvas = new CanvasManager(process.cwd(), config);
+
+    switch (action) {
+      case 'stage':
+        return canvas.stage(options.mockup);
+
+      case 'unstage':
+        return canvas.unstage(options.mockup);
+
+      case 'list':
+        return canvas.printList();
+
+      case 'archive':
+        return await canvas.archive(options.file, options.name);
+
+      case 'compare':
+        return await canvas.compare(options.a, options.b, options);
+
+      case 'clear':
+        return canvas.clear();
+
+      case 'status':
+        return canvas.printStatus();
+
+      default:
+        throw new Error(`Unknown canvas action: ${action}`);
+    }
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
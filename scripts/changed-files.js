@@ -0,0 +1,108 @@
+/**
+ * Changed Files
+ * The files git reports as changed since a ref (or staged for commit), plus
+ * the files that depend on them, so validators and visual tests can limit
+ * themselves to what a change can affect
+ */
+
+import { execFileSync } from 'child_process';
+import path from 'path';
+import { ModuleGraph } from './module-graph.js';
+
+export class ChangeSet {
+  /**
+   * `ref` is a git ref, or null for the staging area
+   */
+  constructor(basePath = process.cwd(), config, { ref = null, changed = [], dependents = [] } = {}) {
+    this.basePath = basePath;
+    this.config = config;
+    this.ref = ref;
+    this.changed = changed.map(normalize);
+    this.dependents = dependents.map(normalize);
+    this.affected = new Set([...this.changed, ...this.dependents]);
+
+    // Every file's result depends on the CSS source of truth and the config
+    const globalInputs = [config.validation.cssSource, config.configPath && path.relative(basePath, config.configPath)]
+      .filter(Boolean)
+      .map(normalize);
+    this.global = globalInputs.filter(file => this.affected.has(file));
+  }
+
+  /**
+   * Changed files from git, with their dependents from the module graph
+   */
+  static fromGit(ref, basePath = process.cwd(), config) {
+    const changed = changedFiles(ref, basePath);
+    const dependents = changed.length > 0 ? new ModuleGraph(basePath, config).dependents(changed) : [];
+    return new ChangeSet(basePath, config, { ref, changed, dependents });
+  }
+
+  get isGlobal() {
+    return this.global.length > 0;
+  }
+
+  /**
+   * Whether a result built from any of these project-relative files can have
+   * changed
+   */
+  affects(...files) {
+    return this.isGlobal || files.some(file => file && this.affected.has(normalize(file)));
+  }
+
+  describe() {
+    const since = this.ref ? `since ${this.ref}` : 'staged';
+    const summary = `${this.changed.length} file(s) ${since}, ${this.dependents.length} dependent(s)`;
+    return this.isGlobal ? `${summary} - ${this.global.join(', ')} changed, checking everything` : summary;
+  }
+}
+
+/**
+ * Project-relative paths git reports as added, modified, renamed or deleted:
+ * against `ref` (working tree and untracked files included), or in the
+ * staging area when there is no ref
+ */
+export function changedFiles(ref, basePath = process.cwd()) {
+  const run = args => {
+    try {
+      return execFileSync('git', args, { cwd: basePath, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+    } catch (error) {
+      throw new Error(`git ${args[0]} failed: ${(error.stderr || error.message).trim()}`);
+    }
+  };
+  const lines = output => output.split('\n').filter(Boolean);
+
+  try {
+    run(['rev-parse', '--is-inside-work-tree']);
+  } catch {
+    throw new Error('--changed needs a git repository');
+  }
+
+  if (!ref) {
+    return lines(run(['diff', '--cached', '--name-only', '--no-renames', '--relative']));
+  }
+
+  try {
+    run(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+  } catch {
+    throw new Error(`Unknown git ref "${ref}"`);
+  }
+
+  return [...new Set([
+    ...lines(run(['diff', ref, '--name-only', '--no-renames', '--relative', '--'])),
+    ...lines(run(['ls-files', '--others', '--exclude-standard']))
+  ])].sort();
+}
+
+/**
+ * --changed [ref] from the CLI: true means the staging area
+ */
+export function openChangeSet(option, config, basePath = process.cwd()) {
+  if (!option) return null;
+  const changes = ChangeSet.fromGit(option === true ? null : option, basePath, config);
+  console.log(`🔀 Changed files only: ${changes.describe()}\n`);
+  return changes;
+}
+
+function normalize(file) {
+  return path.normalize(file).replace(/^\.\//, '');
+}
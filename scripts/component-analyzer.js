@@ -0,0 +1,445 @@
+/**
+ * Component Analyzer
+ * Parses a component module into an AST and reads what the registry records
+ * about it: tag name, class and base class, observed attributes, public
+ * properties, events, slots, CSS parts, BEM classes and JSDoc tags.
+ * `@attr` / `@prop` tags type attributes and properties:
+ *
+ *   @attr {'low'|'medium'|'high'} [priority=medium] - Task priority
+ *   @attr {string} task-id - Required, since the name has no brackets
+ */
+
+import path from 'path';
+import { parse } from 'acorn';
+
+// JSDoc tags that document parts of the component's API
+const EVENT_TAGS = ['fires', 'event'];
+const SLOT_TAGS = ['slot'];
+const PART_TAGS = ['csspart'];
+const ATTRIBUTE_TAGS = ['attr', 'attribute'];
+const PROPERTY_TAGS = ['prop', 'property'];
+
+/**
+ * Metadata for one component module. Throws when the file can't be parsed.
+ */
+export function analyzeComponentSource(content, filePath = 'component.js') {
+  const comments = [];
+  let ast;
+  try {
+    ast = parse(content, { ecmaVersion: 'latest', sourceType: 'module', locations: true, onComment: comments });
+  } catch (error) {
+    throw new Error(`Cannot parse ${filePath}: ${error.message}`);
+  }
+
+  const source = node => content.slice(node.start, node.end);
+  const constants = moduleConstants(ast);
+  const imports = moduleImports(ast);
+  const classes = [];
+  const defines = [];
+  const dependencies = [];
+  const strings = [];
+  const classNames = [];
+  const events = new Map();
+
+  walk(ast, node => {
+    switch (node.type) {
+      case 'ClassDeclaration':
+      case 'ClassExpression':
+        classes.push(node);
+        break;
+
+      case 'ImportDeclaration':
+      case 'ExportNamedDeclaration':
+      case 'ExportAllDeclaration':
+      case 'ImportExpression':
+        if (typeof node.source?.value === 'string') dependencies.push(node.source.value);
+        break;
+
+      case 'Literal':
+        if (typeof node.value === 'string') strings.push(node.value);
+        break;
+
+      case 'TemplateLiteral':
+        // Interpolations become a placeholder so markup around them still parses
+        strings.push(node.quasis.map(quasi => quasi.value.cooked ?? quasi.value.raw).join('\u0000'));
+        break;
+
+      case 'AssignmentExpression':
+        if (propertyName(node.left) === 'className') {
+          classNames.push(...classTokens(staticText(node.right)));
+        }
+        break;
+
+      case 'CallExpression': {
+        const callee = node.callee;
+        const method = propertyName(callee);
+
+        if (method === 'define' && propertyName(callee.object) === 'customElements') {
+          // customElements.define(TAG, ...) with `const TAG = 'task-card'`
+          const tagName = staticText(resolveConstant(node.arguments[0], constants));
+          const target = node.arguments[1];
+          if (tagName && !tagName.includes('\u0000')) {
+            defines.push({ tagName, className: target?.type === 'Identifier' ? target.name : target?.id?.name || null, node: target });
+          }
+        } else if (method === 'emit' && callee.object?.type === 'ThisExpression') {
+          addEvent(events, staticText(node.arguments[0]), 'CustomEvent');
+        } else if (method === 'dispatchEvent' && node.arguments[0]?.type === 'NewExpression') {
+          const event = node.arguments[0];
+          addEvent(events, staticText(event.arguments[0]), event.callee.type === 'Identifier' ? event.callee.name : 'Event');
+        } else if (method === 'add' && propertyName(callee.object) === 'classList') {
+          node.arguments.forEach(argument => classNames.push(...classTokens(staticText(argument))));
+        }
+        break;
+      }
+    }
+  });
+
+  const name = path.basename(filePath, '.js');
+  const define = defines.find(entry => entry.tagName === name) || defines[0] || null;
+  const componentClass = findComponentClass(classes, define);
+  const jsdoc = parseJSDoc(findJSDoc(comments, componentClass, ast));
+  const markup = strings.filter(text => text.includes('<'));
+
+  const tags = tag => jsdoc.tags.filter(entry => tag.includes(entry.tag)).map(entry => namedTag(entry.text));
+  const typed = tag => jsdoc.tags.filter(entry => tag.includes(entry.tag)).map(entry => typedTag(entry.text)).filter(Boolean);
+  tags(EVENT_TAGS).forEach(({ name: eventName, description }) => addEvent(events, eventName, null, description));
+
+  return {
+    tagName: define?.tagName || (name.includes('-') ? name : null),
+    className: componentClass?.id?.name || define?.className || null,
+    baseClass: componentClass?.superClass ? source(componentClass.superClass) : null,
+    baseClassImport: componentClass?.superClass?.type === 'Identifier' ? imports.get(componentClass.superClass.name) || null : null,
+    description: jsdoc.description,
+    version: jsdoc.tags.find(entry => entry.tag === 'version')?.text || '1.0.0',
+    attributes: mergeTyped(componentClass ? observedAttributes(componentClass, constants).map(attribute => ({ name: attribute })) : [], typed(ATTRIBUTE_TAGS)),
+    properties: mergeTyped(componentClass ? publicProperties(componentClass, source) : [], typed(PROPERTY_TAGS)),
+    events: [...events.values()],
+    slots: mergeDocumented(markupSlots(markup), tags(SLOT_TAGS)),
+    cssParts: mergeDocumented(markupParts(markup), tags(PART_TAGS)),
+    jsdoc: jsdoc.tags,
+    exports: moduleExports(ast),
+    dependencies: [...new Set(dependencies.filter(dependency => /^\.\.?\//.test(dependency)).map(dependency => dependency.replace(/^\.\//, '')))],
+    bemClasses: [...new Set([...classNames, ...markup.flatMap(markupClasses)])]
+  };
+}
+
+/**
+ * Names listed by `static get observedAttributes()` or a
+ * `static observedAttributes = [...]` field. Identifiers are followed to
+ * module-level array constants.
+ */
+function observedAttributes(componentClass, constants) {
+  const member = componentClass.body.body.find(node =>
+    node.static && keyName(node) === 'observedAttributes' &&
+    (node.type === 'PropertyDefinition' || (node.type === 'MethodDefinition' && node.kind === 'get'))
+  );
+  if (!member) return [];
+
+  let value = member.type === 'PropertyDefinition' ? member.value : null;
+  if (member.type === 'MethodDefinition') {
+    walk(member.value.body, node => {
+      if (node.type === 'ReturnStatement' && !value) value = node.argument;
+    });
+  }
+
+  return arrayStrings(value, constants);
+}
+
+function arrayStrings(node, constants, seen = new Set()) {
+  if (node?.type === 'Identifier' && constants.has(node.name) && !seen.has(node.name)) {
+    seen.add(node.name);
+    return arrayStrings(constants.get(node.name), constants, seen);
+  }
+  if (node?.type !== 'ArrayExpression') return [];
+
+  return node.elements.flatMap(element => {
+    if (element?.type === 'SpreadElement') return arrayStrings(element.argument, constants, seen);
+    const text = staticText(element);
+    return text ? [text] : [];
+  });
+}
+
+/**
+ * Public instance fields and accessors; _underscored and #private members
+ * are implementation details
+ */
+function publicProperties(componentClass, source) {
+  const properties = new Map();
+
+  componentClass.body.body.forEach(node => {
+    const name = keyName(node);
+    if (node.static || !name || name.startsWith('_') || node.key?.type === 'PrivateIdentifier') return;
+
+    if (node.type === 'PropertyDefinition') {
+      properties.set(name, { name, ...(node.value && { default: source(node.value) }) });
+    } else if (node.type === 'MethodDefinition' && (node.kind === 'get' || node.kind === 'set')) {
+      const existing = properties.get(name) || { name, readonly: true };
+      if (node.kind === 'set') delete existing.readonly;
+      properties.set(name, existing);
+    }
+  });
+
+  return [...properties.values()];
+}
+
+// The class customElements.define registers, else the first one extending something
+function findComponentClass(classes, define) {
+  if (define?.node?.type === 'ClassExpression') return define.node;
+  return classes.find(node => define?.className && node.id?.name === define.className) ||
+    classes.find(node => node.superClass) ||
+    classes[0] ||
+    null;
+}
+
+/**
+ * The JSDoc block right above the component class (or its export), else the
+ * first one in the file
+ */
+function findJSDoc(comments, componentClass, ast) {
+  const blocks = comments.filter(comment => comment.type === 'Block' && comment.value.startsWith('*'));
+  if (componentClass) {
+    const statement = ast.body.find(node => node.start <= componentClass.start && node.end >= componentClass.end);
+    const start = statement ? Math.min(statement.start, componentClass.start) : componentClass.start;
+    const above = blocks.filter(comment => comment.end <= start).pop();
+    const between = above && ast.body.some(node => node.start >= above.end && node.end <= start);
+    if (above && !between) return above.value;
+  }
+  return blocks[0]?.value || '';
+}
+
+/**
+ * "* Text\n * @tag value" -> { description, tags: [{ tag, text }] }
+ */
+export function parseJSDoc(value) {
+  const lines = value
+    .split('\n')
+    .map(line => line.replace(/^\s*\*+ ?/, '').trimEnd())
+    .filter((line, index, all) => !(index === 0 && !line) && !(index === all.length - 1 && !line.trim()));
+
+  const description = [];
+  const tags = [];
+  lines.forEach(line => {
+    const tag = line.match(/^\s*@(\w+)\s*(.*)$/);
+    if (tag) {
+      tags.push({ tag: tag[1], text: tag[2].trim() });
+    } else if (tags.length > 0) {
+      const last = tags[tags.length - 1];
+      last.text = `${last.text}\n${line.trim()}`.trim();
+    } else {
+      description.push(line.trim());
+    }
+  });
+
+  return { description: description.join('\n').trim(), tags };
+}
+
+// "name - description", "{Type} name description"
+function namedTag(text) {
+  const match = text.replace(/^\{[^}]*\}\s*/, '').match(/^([^\s]+)(?:\s+-)?\s*([\s\S]*)$/);
+  return { name: match?.[1] || '', description: match?.[2].trim() || '' };
+}
+
+/**
+ * "{Type} [name=default] - description" -> { name, type, values, default,
+ * required, description }. As in JSDoc, a name without brackets is required;
+ * a union of literals ('a'|'b', 1|2) lists the allowed values.
+ */
+export function typedTag(text) {
+  const match = text.match(/^(?:\{([^}]*)\}\s*)?(?:\[\s*([^\]=\s]+)\s*(?:=\s*([^\]]*))?\]|([^\s\[\]]+))(?:\s+-)?\s*([\s\S]*)$/);
+  if (!match) return null;
+
+  const [, type, optionalName, defaultValue, requiredName, description] = match;
+  const values = type ? literalValues(type) : null;
+  return {
+    name: optionalName || requiredName,
+    ...(type && { type: type.trim() }),
+    ...(values && { values }),
+    ...(defaultValue !== undefined && defaultValue.trim() && { default: unquote(defaultValue.trim()) }),
+    required: Boolean(requiredName),
+    ...(description.trim() && { description: description.trim() })
+  };
+}
+
+/**
+ * Why `value` is not valid for a typed attribute, or null when it is.
+ * Untyped attributes and free-form types accept anything.
+ */
+export function attributeValueError(attribute, value) {
+  if (attribute.values) {
+    return attribute.values.includes(value)
+      ? null
+      : `"${value}" is not a valid ${attribute.name} - expected ${attribute.values.map(allowed => `"${allowed}"`).join(', ')}`;
+  }
+  if (attribute.type === 'number' && (value.trim() === '' || Number.isNaN(Number(value)))) {
+    return `"${value}" is not a valid ${attribute.name} - expected a number`;
+  }
+  if (attribute.type === 'boolean' && !['', 'true', 'false', attribute.name].includes(value)) {
+    return `"${value}" is not a valid ${attribute.name} - boolean attributes take no value (or "true"/"false")`;
+  }
+  return null;
+}
+
+// 'low'|'medium'|"high" -> ['low', 'medium', 'high']; null unless every member is a literal
+function literalValues(type) {
+  const members = type.split('|').map(member => member.trim());
+  const literal = /^(?:'[^']*'|"[^"]*"|-?\d+(?:\.\d+)?)$/;
+  return members.length > 0 && members.every(member => literal.test(member))
+    ? members.map(unquote)
+    : null;
+}
+
+function unquote(value) {
+  return value.replace(/^(['"`])([\s\S]*)\1$/, '$2');
+}
+
+// Documented entries add type information to what the code declares
+function mergeTyped(found, documented) {
+  const merged = new Map(found.map(entry => [entry.name, entry]));
+  documented.forEach(({ name, ...details }) => {
+    merged.set(name, { ...merged.get(name), name, ...details });
+  });
+  return [...merged.values()];
+}
+
+function addEvent(events, name, type, description) {
+  if (!name) return;
+  const event = events.get(name) || { name };
+  if (type && !event.type) event.type = type;
+  if (description) event.description = description;
+  events.set(name, event);
+}
+
+function mergeDocumented(found, documented) {
+  const merged = new Map(found.map(name => [name, { name }]));
+  documented.forEach(({ name, description }) => {
+    const slotName = name === '-' || name === '(default)' ? '' : name;
+    merged.set(slotName, { name: slotName, ...(description && { description }) });
+  });
+  return [...merged.values()];
+}
+
+function markupSlots(markup) {
+  return unique(markup.flatMap(text => [...text.matchAll(/<slot\b([^>]*)>/gi)]
+    .map(match => match[1].match(/\bname\s*=\s*["']([^"'\u0000]*)["']/i)?.[1] ?? '')));
+}
+
+function markupParts(markup) {
+  return unique(markup.flatMap(text => [...text.matchAll(/\spart\s*=\s*["']([^"']*)["']/gi)]
+    .flatMap(match => classTokens(match[1]))));
+}
+
+function markupClasses(text) {
+  return [...text.matchAll(/\sclass\s*=\s*["']([^"']*)["']/gi)].flatMap(match => classTokens(match[1]));
+}
+
+// Whitespace-separated names. A name followed by an interpolation counts
+// ('card' + modifiers) unless it is a prefix ('card--' + state); names with
+// interpolations inside are left out.
+function classTokens(text) {
+  return (text || '')
+    .split(/\s+/)
+    .map(token => token.replace(/^([\w-]*[a-zA-Z0-9])\u0000+$/, '$1'))
+    .filter(token => token && /^-?[a-zA-Z_][\w-]*$/.test(token));
+}
+
+/**
+ * Text of a string literal, a template literal (interpolations become a
+ * placeholder) or a string concatenation's literal parts
+ */
+function staticText(node) {
+  if (!node) return null;
+  if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node.type === 'TemplateLiteral') return node.quasis.map(quasi => quasi.value.cooked ?? quasi.value.raw).join('\u0000');
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    return `${staticText(node.left) ?? '\u0000'}${staticText(node.right) ?? '\u0000'}`;
+  }
+  return null;
+}
+
+function resolveConstant(node, constants) {
+  return node?.type === 'Identifier' && constants.has(node.name) ? constants.get(node.name) : node;
+}
+
+function moduleConstants(ast) {
+  const constants = new Map();
+  ast.body.forEach(statement => {
+    const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+    if (declaration?.type !== 'VariableDeclaration' || declaration.kind !== 'const') return;
+    declaration.declarations.forEach(declarator => {
+      if (declarator.id.type === 'Identifier' && declarator.init) constants.set(declarator.id.name, declarator.init);
+    });
+  });
+  return constants;
+}
+
+// Local name -> module specifier of every import binding
+function moduleImports(ast) {
+  const imports = new Map();
+  ast.body
+    .filter(statement => statement.type === 'ImportDeclaration')
+    .forEach(statement => statement.specifiers.forEach(specifier => imports.set(specifier.local.name, statement.source.value)));
+  return imports;
+}
+
+/**
+ * What the module exports: [{ name, declaration }] where declaration is the
+ * local name ("default" exports of anonymous classes use the class name, if any)
+ */
+function moduleExports(ast) {
+  const exports = [];
+  const add = (name, declaration) => exports.push({ name, declaration: declaration || name });
+
+  ast.body.forEach(statement => {
+    if (statement.type === 'ExportNamedDeclaration') {
+      const declaration = statement.declaration;
+      if (declaration?.type === 'VariableDeclaration') {
+        declaration.declarations.forEach(declarator => declarator.id.type === 'Identifier' && add(declarator.id.name));
+      } else if (declaration?.id) {
+        add(declaration.id.name);
+      }
+      if (!statement.source) {
+        statement.specifiers.forEach(specifier => add(keyText(specifier.exported), specifier.local.name));
+      }
+    } else if (statement.type === 'ExportDefaultDeclaration') {
+      const declaration = statement.declaration;
+      add('default', declaration.type === 'Identifier' ? declaration.name : declaration.id?.name || null);
+    }
+  });
+
+  return exports.filter(entry => entry.declaration);
+}
+
+function keyText(node) {
+  return node.type === 'Identifier' ? node.name : node.value;
+}
+
+function propertyName(node) {
+  if (node?.type === 'Identifier') return node.name;
+  if (node?.type !== 'MemberExpression') return null;
+  return node.computed ? staticText(node.property) : node.property.name;
+}
+
+function keyName(node) {
+  if (!node.key) return null;
+  if (node.key.type === 'Identifier' || node.key.type === 'PrivateIdentifier') return node.computed ? null : node.key.name;
+  return staticText(node.key);
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+// Depth-first over every AST node
+function walk(node, visit) {
+  if (!node || typeof node.type !== 'string') return;
+  visit(node);
+  for (const key of Object.keys(node)) {
+    if (key === 'loc') continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(item => walk(item, visit));
+    } else if (child && typeof child === 'object') {
+      walk(child, visit);
+    }
+  }
+}
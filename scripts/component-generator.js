@@ -3,6 +3,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { loadConfig } from './config-loader.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,6 +18,9 @@ export async function createComponent(name, options) {
     process.exit(1);
   }
   
+  const config = await loadConfig();
+  const { layers } = config;
+  const cssSource = config.validation.cssSource;
   const layer = options.layer || 'component';
   const props = options.props ? options.props.split(',').map(p => p.trim()) : [];
   
@@ -24,13 +28,13 @@ export async function createComponent(name, options) {
   let targetDir;
   switch (layer) {
     case 'component':
-      targetDir = name.includes('card') ? 'components/cards' : 'components/sections';
+      targetDir = path.join(layers.components, name.includes('card') ? 'cards' : 'sections');
       break;
     case 'page':
-      targetDir = 'pages';
+      targetDir = layers.pages;
       break;
     case 'workflow':
-      targetDir = 'workflows';
+      targetDir = layers.workflows;
       break;
     default:
       console.error(`❌ Invalid layer: ${layer}. Use: component, page, workflow`);
@@ -61,13 +65,22 @@ export async function createComponent(name, options) {
     const templateContent = generateHTMLTemplate(name, props);
     fs.writeFileSync(templatePath, templateContent);
     console.log(`✅ Created: ${templatePath}`);
+    
+    const storiesPath = path.join(targetDir, `${name}.stories.js`);
+    fs.writeFileSync(storiesPath, generateStoriesContent(name, props));
+    console.log(`✅ Created: ${storiesPath}`);
   }
   
-  // Generate CSS template to add to main.css
-  const cssContent = generateComponentCSS(name, props, layer);
-  const cssPath = path.join(targetDir, `${name}.css`);
-  fs.writeFileSync(cssPath, cssContent);
-  console.log(`✅ Created: ${cssPath} (add to styles/main.css)`);
+  // Add the BEM styles to the CSS source of truth; a copy anywhere else
+  // would fail validation as duplicate component styles
+  const css = fs.existsSync(cssSource) ? fs.readFileSync(cssSource, 'utf8') : '';
+  if (new RegExp(`\\.${name}\\s*\\{`).test(css)) {
+    console.log(`⚠️  ${cssSource} already has .${name} styles`);
+  } else {
+    fs.mkdirSync(path.dirname(cssSource), { recursive: true });
+    fs.writeFileSync(cssSource, `${css.replace(/\s*$/, css.trim() ? '\n\n' : '')}${generateComponentCSS(name, props, layer)}`);
+    console.log(`✅ Added .${name} styles to ${cssSource}`);
+  }
   
   console.log('');
   console.log('📋 Usage:');
@@ -75,7 +88,7 @@ export async function createComponent(name, options) {
   // Update component registry
   try {
     const { RegistryManager } = await import('./registry-manager.js');
-    const registry = new RegistryManager();
+    const registry = new RegistryManager(process.cwd(), config);
     await registry.scanComponents();
     console.log('✅ Updated component registry');
   } catch (error) {
@@ -85,7 +98,7 @@ export async function createComponent(name, options) {
   console.log('');
   console.log('🔧 Next steps:');
   console.log('1. Import component: <script src="' + componentPath + '"></script>');
-  console.log('2. Add CSS from ' + cssPath + ' to styles/main.css');
+  console.log('2. Adjust the .' + name + ' styles in ' + cssSource);
   console.log('3. Run: npx ui-canvas registry docs  # Generate component documentation');
   if (layer === 'component') {
     const templatePath = path.join(targetDir, `${name}.html`);
@@ -96,12 +109,39 @@ export async function createComponent(name, options) {
   console.log('5. Validate: npx ui-canvas validate-all  # Run regression prevention checks');
 }
 
+// Generate a stories file declaring the states visual tests, docs and the playground render
+function generateStoriesContent(name, props) {
+  const sampleAttributes = props.map(prop => `        '${prop}': 'Sample ${prop}'`).join(',\n');
+  
+  return `/**
+ * ${name} stories
+ * Each named story is a visual test case, a docs example and a playground entry.
+ * Stories accept: description, attributes, properties, slot, interactions, states, comparison
+ */
+export default {
+  component: '${name}',
+  stories: {
+    default: {
+      description: 'Default state',
+      // Also snapshot the interactive styles from the generated CSS
+      states: ['hover', 'focus', 'active', 'disabled']
+    }${props.length > 0 ? `,
+    'all-props': {
+      description: 'Every attribute set',
+      attributes: {
+${sampleAttributes}
+      }
+    }` : ''}
+  }
+};
+`;
+}
+
 // Generate BEM-compliant CSS for the component
 function generateComponentCSS(name, props, layer) {
   const bemBase = name;
   
   return `/* ${name} Component Styles (BEM)
- * Add this to styles/main.css to maintain single source of truth
  * Layer: ${layer}
  */
 
@@ -0,0 +1,278 @@
+/**
+ * Component Stories
+ * Loads <component>.stories.js files: named states with attributes,
+ * properties, slot content and interactions. Shared by the visual test
+ * runner, the docs generator and the dev server playground.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { TEST_CASE_STABILIZE_KEYS } from './snapshot-stabilizer.js';
+import { analyzeComponentSource } from './component-analyzer.js';
+
+export const STORIES_SUFFIX = '.stories.js';
+
+const STORY_KEYS = ['description', 'attributes', 'properties', 'slot', 'interactions', 'states', 'mask', 'stabilize', 'comparison'];
+export const INTERACTION_STATES = ['hover', 'focus', 'active', 'disabled'];
+const INTERACTION_ACTIONS = ['hover', 'focus', 'click', 'type', 'press', 'wait'];
+const STORY_NAME = /^[a-z0-9][a-z0-9-]*$/i;
+
+export function isStoriesFile(file) {
+  return file.endsWith(STORIES_SUFFIX);
+}
+
+export function storiesPathFor(componentFile) {
+  return componentFile.replace(/\.js$/, STORIES_SUFFIX);
+}
+
+/**
+ * Load the stories declared next to a component file.
+ * Components without a stories file get a default story plus one story
+ * per observed attribute, matching the old generated test cases.
+ */
+export async function loadStories(basePath, componentFile) {
+  const componentName = path.basename(componentFile, '.js');
+  const storiesFile = storiesPathFor(componentFile);
+  const storiesPath = path.join(basePath, storiesFile);
+
+  if (!fs.existsSync(storiesPath)) {
+    const content = fs.readFileSync(path.join(basePath, componentFile), 'utf8');
+    return {
+      component: componentName,
+      file: null,
+      stories: defaultStories(extractObservedAttributes(content, componentFile))
+    };
+  }
+
+  let module;
+  try {
+    // Cache-bust so the dev server picks up edits without a restart
+    module = await import(`${pathToFileURL(storiesPath).href}?t=${fs.statSync(storiesPath).mtimeMs}`);
+  } catch (error) {
+    throw new Error(`Failed to load ${storiesFile}: ${error.message}`);
+  }
+
+  const definition = module.default;
+  const errors = validateStories(definition);
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid stories in ${storiesFile}:\n` +
+      errors.map(error => `  - ${error}`).join('\n')
+    );
+  }
+
+  return {
+    component: definition.component || componentName,
+    file: storiesFile,
+    stories: Object.entries(definition.stories).map(([name, story]) => normalizeStory(name, story))
+  };
+}
+
+/**
+ * Validate a stories module's default export.
+ * Returns a list of human-readable errors (empty when valid).
+ */
+export function validateStories(definition) {
+  const errors = [];
+
+  if (!isPlainObject(definition)) {
+    return ['stories file must export an object (use "export default { stories: { ... } }")'];
+  }
+
+  if (definition.component !== undefined && (typeof definition.component !== 'string' || !definition.component.includes('-'))) {
+    errors.push('component must be a custom element tag name containing a hyphen');
+  }
+
+  if (!isPlainObject(definition.stories) || Object.keys(definition.stories).length === 0) {
+    errors.push('stories must be an object with at least one named story');
+    return errors;
+  }
+
+  for (const [name, story] of Object.entries(definition.stories)) {
+    const label = `stories.${name}`;
+
+    if (!STORY_NAME.test(name)) {
+      errors.push(`${label}: story names may only contain letters, numbers and hyphens`);
+    }
+
+    if (!isPlainObject(story)) {
+      errors.push(`${label} must be an object`);
+      continue;
+    }
+
+    for (const key of Object.keys(story)) {
+      if (!STORY_KEYS.includes(key)) {
+        errors.push(`Unknown option "${label}.${key}". Allowed: ${STORY_KEYS.join(', ')}`);
+      }
+    }
+
+    for (const key of ['attributes', 'properties', 'stabilize', 'comparison']) {
+      if (story[key] !== undefined && !isPlainObject(story[key])) {
+        errors.push(`${label}.${key} must be an object`);
+      }
+    }
+
+    if (story.properties && !isSerializable(story.properties)) {
+      errors.push(`${label}.properties must be JSON-serializable (no functions or class instances)`);
+    }
+
+    for (const key of ['description', 'slot']) {
+      if (story[key] !== undefined && typeof story[key] !== 'string') {
+        errors.push(`${label}.${key} must be a string`);
+      }
+    }
+
+    if (story.mask !== undefined && (!Array.isArray(story.mask) || story.mask.some(selector => typeof selector !== 'string'))) {
+      errors.push(`${label}.mask must be an array of CSS selectors`);
+    }
+
+    if (isPlainObject(story.stabilize)) {
+      for (const key of Object.keys(story.stabilize)) {
+        if (!TEST_CASE_STABILIZE_KEYS.includes(key)) {
+          errors.push(`Unknown option "${label}.stabilize.${key}". Allowed: ${TEST_CASE_STABILIZE_KEYS.join(', ')}`);
+        }
+      }
+    }
+
+    if (story.states !== undefined) {
+      if (!Array.isArray(story.states)) {
+        errors.push(`${label}.states must be an array`);
+      } else {
+        story.states
+          .filter(state => !INTERACTION_STATES.includes(state))
+          .forEach(state => errors.push(`${label}.states: unknown state "${state}". Use: ${INTERACTION_STATES.join(', ')}`));
+      }
+    }
+
+    if (story.interactions !== undefined) {
+      if (!Array.isArray(story.interactions)) {
+        errors.push(`${label}.interactions must be an array`);
+      } else {
+        story.interactions.forEach((step, index) => {
+          errors.push(...validateInteraction(step, `${label}.interactions[${index}]`));
+        });
+      }
+    }
+  }
+
+  return errors;
+}
+
+function validateInteraction(step, label) {
+  if (!isPlainObject(step) || !INTERACTION_ACTIONS.includes(step.action)) {
+    return [`${label}.action must be one of ${INTERACTION_ACTIONS.map(a => `"${a}"`).join(', ')}`];
+  }
+
+  const errors = [];
+  if (step.selector !== undefined && typeof step.selector !== 'string') {
+    errors.push(`${label}.selector must be a string`);
+  }
+  if (step.action === 'type' && typeof step.text !== 'string') {
+    errors.push(`${label}.text is required for "type"`);
+  }
+  if (step.action === 'press' && typeof step.key !== 'string') {
+    errors.push(`${label}.key is required for "press"`);
+  }
+  if (step.action === 'wait' && typeof step.ms !== 'number') {
+    errors.push(`${label}.ms is required for "wait"`);
+  }
+  return errors;
+}
+
+function normalizeStory(name, story) {
+  return {
+    name,
+    description: story.description || '',
+    attributes: story.attributes || {},
+    properties: story.properties || {},
+    slot: story.slot || '',
+    interactions: story.interactions || [],
+    // Undefined states fall back to testing.states from the config
+    ...(story.states && { states: story.states }),
+    ...(story.mask && { mask: story.mask }),
+    ...(story.stabilize && { stabilize: story.stabilize }),
+    ...(story.comparison && { comparison: story.comparison })
+  };
+}
+
+export function defaultStories(props) {
+  return [
+    normalizeStory('default', {}),
+    ...props.map(prop => normalizeStory(prop, { attributes: { [prop]: `Test ${prop}` } })),
+    normalizeStory('all-props', {
+      attributes: Object.fromEntries(props.map(prop => [prop, `Sample ${prop}`]))
+    })
+  ];
+}
+
+export function extractObservedAttributes(content, filePath) {
+  return analyzeComponentSource(content, filePath).attributes.map(attribute => attribute.name);
+}
+
+/**
+ * Markup for a story as a user would write it (properties can't be
+ * expressed in HTML and are listed separately by callers)
+ */
+export function storyMarkup(tagName, story) {
+  const attributes = Object.entries(story.attributes)
+    .filter(([, value]) => value !== false && value !== null && value !== undefined)
+    .map(([key, value]) => value === true ? ` ${key}` : ` ${key}="${String(value).replace(/"/g, '&quot;')}"`)
+    .join('');
+
+  return `<${tagName}${attributes}>${story.slot}</${tagName}>`;
+}
+
+/**
+ * Inline <script> that renders stories into a page. Every story gets a
+ * [data-test-case="<name>"] container so screenshots can target it.
+ */
+export function storiesScript(tagName, stories) {
+  // Escape "<" so slot markup can't close the surrounding <script> tag
+  const data = JSON.stringify(stories).replace(/</g, '\\u003c');
+
+  return `${renderStories.toString()}
+
+        customElements.whenDefined('${tagName}').then(() => {
+            renderStories(document.getElementById('test-cases'), '${tagName}', ${data});
+        });`;
+}
+
+// Runs in the browser - must stay self-contained
+function renderStories(container, tagName, stories) {
+  stories.forEach(story => {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'test-case';
+
+    const label = document.createElement('div');
+    label.className = 'test-label';
+    label.textContent = story.name;
+
+    const target = document.createElement('div');
+    target.className = 'test-component';
+    target.dataset.testCase = story.name;
+
+    const element = document.createElement(tagName);
+    Object.entries(story.attributes).forEach(([key, value]) => {
+      if (value === true) element.setAttribute(key, '');
+      else if (value !== false && value !== null && value !== undefined) element.setAttribute(key, value);
+    });
+    Object.assign(element, story.properties);
+    if (story.slot) element.innerHTML = story.slot;
+
+    target.appendChild(element);
+    wrapper.append(label, target);
+    container.appendChild(wrapper);
+  });
+}
+
+function isSerializable(value) {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) return true;
+  if (Array.isArray(value)) return value.every(isSerializable);
+  return isPlainObject(value) && Object.values(value).every(isSerializable);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    [Object.prototype, null].includes(Object.getPrototypeOf(value));
+}
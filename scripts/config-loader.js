@@ -0,0 +1,472 @@
+#!/usr/bin/env node
+
+/**
+ * Config Loader
+ * Loads ui-canvas.config.js (or .json), merges it over the framework defaults
+ * and validates it before any command runs
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export const CONFIG_FILES = [
+  'ui-canvas.config.js',
+  'ui-canvas.config.mjs',
+  'ui-canvas.config.json'
+];
+
+export const DEFAULT_CONFIG = {
+  framework: 'vanilla',
+
+  layers: {
+    components: 'components',
+    pages: 'pages',
+    workflows: 'workflows'
+  },
+
+  ignore: [],                // Globs every validator skips, on top of .gitignore and node_modules
+
+  canvas: {
+    stagingDir: '.superdesign/design_iterations',
+    approvedDir: 'mockups/approved',
+    screenshotsDir: 'mockups/screenshots',
+    iterationsDir: 'mockups/iterations',
+    viewport: { width: 375, height: 667 }
+  },
+
+  validation: {
+    cssSource: 'styles/main.css',
+    enforceWebComponents: true,
+    blockInlineCSS: true,
+    preventDuplication: true,
+    enforceLayerDependencies: true,
+    layerDependencies: {     // Layers each layer may import (JS imports, <script src>, <link href>)
+      component: ['component'],
+      page: ['component', 'page'],
+      workflow: ['component', 'page', 'workflow']
+    },
+    aliases: {},             // Import aliases resolved like paths, e.g. { '@components': 'components' }
+    rules: {},               // Architecture rule ID -> 'error', 'warning' or 'off'
+    plugins: []              // Project rules: rule objects or module paths (see architecture-rules.js)
+  },
+
+  testing: {
+    browsers: ['chromium'],
+    viewports: [
+      { name: 'desktop', width: 1280, height: 720 },
+      { name: 'tablet', width: 768, height: 1024 },
+      { name: 'mobile', width: 375, height: 667 }
+    ],
+    states: [],              // Extra interaction-state snapshots per story: hover, focus, active, disabled
+    workers: 0,              // Parallel pages per browser (0 = half the CPU cores)
+    fidelity: [],            // Component/page -> approved mockup region mappings
+    snapshotsDir: 'tests/visual/snapshots',
+    tempDir: 'tests/visual/temp',
+    outputDir: 'tests/visual/output',   // Current/diff images of failed snapshots (safe to delete)
+    reportDir: 'tests/visual/report',
+    comparison: {
+      threshold: 0.1,
+      includeAA: false,
+      maxDiffPixels: 0,
+      maxDiffPercentage: 0
+    },
+    stabilize: {
+      waitForNetworkIdle: true,
+      waitForFonts: true,
+      disableAnimations: true,
+      hideCaret: true,
+      freezeTime: true,
+      time: '2024-01-01T12:00:00.000Z',
+      freezeRandom: true,
+      randomSeed: 42,
+      mask: [],
+      maskColor: '#FF00FF',
+      timeout: 10000
+    }
+  },
+
+  a11y: {
+    tags: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'best-practice'],
+    disableRules: [],        // axe-core rule IDs to skip, e.g. 'color-contrast'
+    failOn: 'serious',       // Lowest severity that fails the run: minor, moderate, serious, critical
+    keyboardTraps: true      // Tab through every story/page and flag focus that can't escape
+  },
+
+  server: {
+    port: 3000
+  }
+};
+
+const viewportSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    width: { type: 'number', min: 1 },
+    height: { type: 'number', min: 1 }
+  },
+  required: ['width', 'height']
+};
+
+const regionSchema = {
+  type: 'object',
+  properties: {
+    x: { type: 'number', min: 0 },
+    y: { type: 'number', min: 0 },
+    width: { type: 'number', min: 1 },
+    height: { type: 'number', min: 1 }
+  },
+  required: ['x', 'y', 'width', 'height']
+};
+
+const fidelitySchema = {
+  type: 'object',
+  properties: {
+    component: { type: 'string' },
+    story: { type: 'string' },
+    page: { type: 'string' },
+    target: { type: 'string' },
+    mockup: { type: 'string' },
+    selector: { type: 'string' },
+    region: regionSchema,
+    minSimilarity: { type: 'number', min: 0, max: 100 }
+  },
+  required: ['mockup']
+};
+
+const comparisonSchema = {
+  type: 'object',
+  properties: {
+    threshold: { type: 'number', min: 0, max: 1 },
+    includeAA: { type: 'boolean' },
+    maxDiffPixels: { type: 'number', min: 0 },
+    maxDiffPercentage: { type: 'number', min: 0, max: 100 }
+  }
+};
+
+const layerListSchema = {
+  type: 'array',
+  items: { type: 'string', enum: ['component', 'page', 'workflow'] }
+};
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    framework: { type: 'string', enum: ['vanilla', 'react', 'vue', 'angular'] },
+    layers: {
+      type: 'object',
+      properties: {
+        components: { type: 'string' },
+        pages: { type: 'string' },
+        workflows: { type: 'string' }
+      }
+    },
+    ignore: { type: 'array', items: { type: 'string' } },
+    canvas: {
+      type: 'object',
+      properties: {
+        stagingDir: { type: 'string' },
+        approvedDir: { type: 'string' },
+        screenshotsDir: { type: 'string' },
+        iterationsDir: { type: 'string' },
+        viewport: viewportSchema
+      }
+    },
+    validation: {
+      type: 'object',
+      properties: {
+        cssSource: { type: 'string' },
+        enforceWebComponents: { type: 'boolean' },
+        blockInlineCSS: { type: 'boolean' },
+        preventDuplication: { type: 'boolean' },
+        enforceLayerDependencies: { type: 'boolean' },
+        layerDependencies: {
+          type: 'object',
+          properties: {
+            component: layerListSchema,
+            page: layerListSchema,
+            workflow: layerListSchema
+          }
+        },
+        aliases: { type: 'object', values: { type: 'string' } },
+        rules: { type: 'object', values: { type: 'string', enum: ['error', 'warning', 'off'] } },
+        plugins: { type: 'array', items: { type: ['string', 'object'] } }
+      }
+    },
+    testing: {
+      type: 'object',
+      properties: {
+        browsers: {
+          type: 'array',
+          minItems: 1,
+          items: { type: 'string', enum: ['chromium', 'firefox', 'webkit'] }
+        },
+        viewports: { type: 'array', minItems: 1, items: viewportSchema },
+        states: {
+          type: 'array',
+          items: { type: 'string', enum: ['hover', 'focus', 'active', 'disabled'] }
+        },
+        workers: { type: 'number', min: 0 },
+        fidelity: { type: 'array', items: fidelitySchema },
+        snapshotsDir: { type: 'string' },
+        tempDir: { type: 'string' },
+        outputDir: { type: 'string' },
+        reportDir: { type: 'string' },
+        comparison: comparisonSchema,
+        stabilize: {
+          type: 'object',
+          properties: {
+            waitForNetworkIdle: { type: 'boolean' },
+            waitForFonts: { type: 'boolean' },
+            disableAnimations: { type: 'boolean' },
+            hideCaret: { type: 'boolean' },
+            freezeTime: { type: 'boolean' },
+            time: { type: 'string' },
+            freezeRandom: { type: 'boolean' },
+            randomSeed: { type: 'number' },
+            mask: { type: 'array', items: { type: 'string' } },
+            maskColor: { type: 'string' },
+            timeout: { type: 'number', min: 0 }
+          }
+        }
+      }
+    },
+    a11y: {
+      type: 'object',
+      properties: {
+        tags: { type: 'array', minItems: 1, items: { type: 'string' } },
+        disableRules: { type: 'array', items: { type: 'string' } },
+        failOn: { type: 'string', enum: ['minor', 'moderate', 'serious', 'critical'] },
+        keyboardTraps: { type: 'boolean' }
+      }
+    },
+    server: {
+      type: 'object',
+      properties: {
+        port: { type: 'number', min: 0 }
+      }
+    }
+  }
+};
+
+const cache = new Map();
+
+/**
+ * Load, merge and validate the project config. Results are cached per
+ * project directory so every subsystem in one process sees the same object.
+ */
+export async function loadConfig(basePath = process.cwd(), options = {}) {
+  const configPath = findConfigFile(basePath, options.configPath || process.env.UI_CANVAS_CONFIG);
+  const cacheKey = `${basePath}::${configPath || ''}`;
+
+  if (!options.reload && cache.has(cacheKey)) {
+    return cache.get(cacheKey);
+  }
+
+  const userConfig = configPath ? await readConfigFile(configPath) : {};
+  const errors = validateConfig(userConfig);
+
+  if (errors.length > 0) {
+    const source = path.relative(basePath, configPath) || configPath;
+    throw new Error(
+      `Invalid configuration in ${source}:\n` +
+      errors.map(error => `  - ${error}`).join('\n')
+    );
+  }
+
+  const config = mergeConfig(DEFAULT_CONFIG, userConfig);
+  config.configPath = configPath;
+
+  cache.set(cacheKey, config);
+  return config;
+}
+
+export function findConfigFile(basePath = process.cwd(), explicitPath) {
+  if (explicitPath) {
+    const resolved = path.resolve(basePath, explicitPath);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Config file not found: ${explicitPath}`);
+    }
+    return resolved;
+  }
+
+  for (const file of CONFIG_FILES) {
+    const candidate = path.join(basePath, file);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+async function readConfigFile(configPath) {
+  let config;
+
+  try {
+    if (configPath.endsWith('.json')) {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } else {
+      // Cache-bust so edits are picked up when the same process reloads
+      const url = `${pathToFileURL(configPath).href}?t=${fs.statSync(configPath).mtimeMs}`;
+      const module = await import(url);
+      config = module.default ?? module.config;
+    }
+  } catch (error) {
+    throw new Error(`Failed to load config ${path.basename(configPath)}: ${error.message}`);
+  }
+
+  if (typeof config === 'function') {
+    config = await config();
+  }
+
+  if (!isPlainObject(config)) {
+    throw new Error(`Config ${path.basename(configPath)} must export an object (use "export default { ... }")`);
+  }
+
+  return config;
+}
+
+/**
+ * Validate a user config against the schema.
+ * Returns a list of human-readable errors (empty when valid).
+ */
+export function validateConfig(config, schema = SCHEMA, keyPath = '') {
+  const errors = [];
+  const label = keyPath || 'config';
+
+  if (!matchesType(config, schema.type)) {
+    errors.push(`${label} must be ${describeType(schema.type)}, got ${describeValue(config)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(config)) {
+    errors.push(`${label} must be one of ${schema.enum.map(v => `"${v}"`).join(', ')}, got "${config}"`);
+  }
+
+  if (schema.type === 'number' && schema.min !== undefined && config < schema.min) {
+    errors.push(`${label} must be at least ${schema.min}, got ${config}`);
+  }
+
+  if (schema.type === 'number' && schema.max !== undefined && config > schema.max) {
+    errors.push(`${label} must be at most ${schema.max}, got ${config}`);
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems && config.length < schema.minItems) {
+      errors.push(`${label} must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      config.forEach((item, index) => {
+        errors.push(...validateConfig(item, schema.items, `${label}[${index}]`));
+      });
+    }
+  }
+
+  if (schema.type === 'object' && schema.values) {
+    for (const [key, value] of Object.entries(config)) {
+      errors.push(...validateConfig(value, schema.values, keyPath ? `${keyPath}.${key}` : key));
+    }
+  }
+
+  if (schema.type === 'object' && schema.properties) {
+    for (const key of schema.required || []) {
+      if (config[key] === undefined) {
+        errors.push(`${keyPath ? `${keyPath}.` : ''}${key} is required`);
+      }
+    }
+
+    for (const [key, value] of Object.entries(config)) {
+      const childPath = keyPath ? `${keyPath}.${key}` : key;
+      const childSchema = schema.properties[key];
+
+      if (!childSchema) {
+        errors.push(`Unknown option "${childPath}". Allowed: ${Object.keys(schema.properties).join(', ')}`);
+        continue;
+      }
+
+      errors.push(...validateConfig(value, childSchema, childPath));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Deep merge user config over defaults. Arrays replace rather than concatenate
+ * so a project can narrow e.g. testing.browsers to a single engine.
+ */
+export function mergeConfig(defaults, overrides) {
+  const result = {};
+
+  for (const [key, value] of Object.entries(defaults)) {
+    result[key] = isPlainObject(value) ? mergeConfig(value, {}) : Array.isArray(value) ? [...value] : value;
+  }
+
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = mergeConfig(result[key], value);
+    } else if (value !== undefined) {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Map a project-relative path to its layer using the configured directories
+ */
+export function layerForPath(filePath, config = DEFAULT_CONFIG) {
+  const normalized = toPosix(filePath).replace(/^\.\//, '');
+
+  if (isInside(normalized, config.layers.pages)) return 'page';
+  if (isInside(normalized, config.layers.workflows)) return 'workflow';
+  return 'component';
+}
+
+export function isInside(filePath, dir) {
+  const normalizedDir = toPosix(dir).replace(/^\.\//, '').replace(/\/$/, '');
+  return filePath === normalizedDir || filePath.startsWith(`${normalizedDir}/`);
+}
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+function matchesType(value, type) {
+  if (Array.isArray(type)) return type.some(option => matchesType(value, option));
+
+  switch (type) {
+    case 'object': return isPlainObject(value);
+    case 'array': return Array.isArray(value);
+    case 'number': return typeof value === 'number' && !Number.isNaN(value);
+    default: return typeof value === type;
+  }
+}
+
+function describeType(type) {
+  if (Array.isArray(type)) return type.map(describeType).join(' or ');
+  return type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`;
+}
+
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  return typeof value === 'string' ? `"${value}"` : typeof value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// CLI interface
+if (process.argv[1] && process.argv[1].endsWith('config-loader.js')) {
+  loadConfig().then(config => {
+    console.log(`⚙️  Config: ${config.configPath || 'defaults (no ui-canvas.config.js found)'}`);
+    console.log(JSON.stringify(config, null, 2));
+  }).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -3,20 +3,55 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { loadConfig, DEFAULT_CONFIG } from './config-loader.js';
+import { FileWalker } from './file-walker.js';
+import { tokenSuite, writeReport, assertReporter } from './result-reporters.js';
+import { createSarifLog, tokenResults, writeSarif, assertFormat, sarifFile } from './sarif.js';
+import { openChangeSet } from './changed-files.js';
+import { applySuppressions, openBaseline, printBaselineSummary, DISABLE_DIRECTIVE } from './violation-baseline.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Stable rule IDs: violation types in reports and SARIF rule IDs
+export const TOKEN_RULES = [
+  { id: 'missing-file', severity: 'error', description: 'The CSS source of truth file must exist' },
+  { id: 'unknown-token', severity: 'error', description: 'var() must reference a token defined in the CSS source of truth' },
+  { id: 'unused-tokens', severity: 'warning', description: 'Design tokens should be used somewhere in the project' },
+  { id: 'hardcoded-value', severity: 'warning', description: 'Colors, sizes and fonts should use design tokens instead of literal values' },
+  { id: 'bem-violation', severity: 'error', description: 'Class names must follow block__element--modifier (BEM) naming' }
+];
+
+/**
+ * Lines the hardcoded-value check (and so the autofixer) leaves alone:
+ * comments, lines already using tokens (var() fallbacks included) and
+ * lines marked as fallback or default values
+ */
+export function skipsHardcodedCheck(line) {
+  const trimmed = line.trim();
+  return trimmed.startsWith('//') || trimmed.startsWith('/*') ||
+    line.includes('var(--') || line.includes('fallback') || line.includes('default');
+}
+
 export class CSSTokenValidator {
-  constructor(basePath = process.cwd()) {
+  constructor(basePath = process.cwd(), config = DEFAULT_CONFIG) {
     this.basePath = basePath;
-    this.mainCSSPath = path.join(basePath, 'styles/main.css');
+    this.config = config;
+    this.cssSource = config.validation.cssSource;
+    this.mainCSSPath = path.join(basePath, this.cssSource);
     this.tokens = new Map();
     this.violations = [];
+    this.changes = null;
+    this.walker = new FileWalker(basePath, config);
   }
 
-  async validateTokens() {
+  /**
+   * `options.baseline` is a loaded ViolationBaseline whose entries are ignored.
+   * With `options.changes` (a ChangeSet) only affected files are reported on.
+   */
+  async validateTokens(options = {}) {
     console.log('🎨 Validating CSS tokens and design system consistency...');
+    this.changes = options.changes || null;
     
     // Extract tokens from main.css
     await this.extractTokens();
@@ -30,12 +65,28 @@ export class CSSTokenValidator {
     // Validate BEM naming consistency  
     await this.validateBEMNaming();
     
+    // Drop violations under disable comments or in the baseline
+    const { kept, suppressed } = applySuppressions(this.violations, this.basePath);
+    this.violations = kept;
+    if (suppressed.length > 0) {
+      console.log(`   🔕 ${suppressed.length} violation(s) disabled by ${DISABLE_DIRECTIVE} comments`);
+    }
+    let baselined = [];
+    if (options.baseline) {
+      const result = options.baseline.filter('tokens', this.violations, this.changes);
+      this.violations = result.kept;
+      baselined = result.baselined;
+      printBaselineSummary(options.baseline, result);
+    }
+    
     this.printResults();
     
     return {
       tokensFound: this.tokens.size,
       violations: this.violations.length,
-      issues: this.violations
+      issues: this.violations,
+      suppressed,
+      baselined
     };
   }
 
@@ -43,8 +94,9 @@ export class CSSTokenValidator {
     if (!fs.existsSync(this.mainCSSPath)) {
       this.violations.push({
         type: 'missing-file',
-        message: 'styles/main.css not found',
-        severity: 'error'
+        message: `${this.cssSource} not found`,
+        severity: 'error',
+        file: this.cssSource
       });
       return;
     }
@@ -83,31 +135,31 @@ export class CSSTokenValidator {
     const jsFiles = await this.findFiles('**/*.js', { exclude: ['node_modules', 'tests'] });
     
     // Check token usage in all files
-    [...cssFiles, ...htmlFiles, ...jsFiles].forEach(file => {
+    [...cssFiles, ...htmlFiles, ...jsFiles].filter(file => this.isAffected(file)).forEach(file => {
       this.checkTokenUsageInFile(file);
     });
     
-    // Find unused tokens
+    // Find unused tokens (only known when every file was counted)
     const unusedTokens = Array.from(this.tokens.entries())
       .filter(([name, data]) => data.usageCount === 0);
     
-    if (unusedTokens.length > 0) {
+    if (unusedTokens.length > 0 && (!this.changes || this.changes.isGlobal)) {
       this.violations.push({
         type: 'unused-tokens',
         message: `${unusedTokens.length} unused design tokens`,
         severity: 'warning',
+        file: this.cssSource,
         details: unusedTokens.map(([name]) => name)
       });
     }
   }
 
+  isAffected(filePath) {
+    return !this.changes || this.changes.affects(path.relative(this.basePath, filePath));
+  }
+
   async findFiles(pattern, options = {}) {
-    const { glob } = await import('glob');
-    const files = await glob(pattern, { 
-      cwd: this.basePath,
-      ignore: options.exclude || []
-    });
-    return files.map(file => path.join(this.basePath, file));
+    return this.walker.find(pattern, { ignore: options.exclude }).map(file => path.join(this.basePath, file));
   }
 
   checkTokenUsageInFile(filePath) {
@@ -124,26 +176,26 @@ export class CSSTokenValidator {
     });
     
     // Check for var() usage without tokens in our system
-    const varUsage = content.match(/var\((--[a-zA-Z0-9-]+)/g) || [];
-    varUsage.forEach(usage => {
-      const tokenName = usage.match(/var\((--[a-zA-Z0-9-]+)/)[1];
+    for (const usage of content.matchAll(/var\((--[a-zA-Z0-9-]+)/g)) {
+      const tokenName = usage[1];
       if (!this.tokens.has(tokenName)) {
         this.violations.push({
           type: 'unknown-token',
           message: `Unknown token ${tokenName} used`,
           severity: 'error',
           file: relativeFile,
+          line: content.slice(0, usage.index).split('\n').length,
           token: tokenName
         });
       }
-    });
+    }
   }
 
   async checkHardcodedValues() {
     console.log('   🔍 Checking for hardcoded values...');
     
-    const cssFiles = await this.findFiles('**/*.css', { exclude: ['node_modules', 'tests', 'styles/main.css'] });
-    const jsFiles = await this.findFiles('components/**/*.js');
+    const cssFiles = await this.findFiles('**/*.css', { exclude: ['node_modules', 'tests', this.cssSource] });
+    const jsFiles = await this.findFiles(`${this.config.layers.components}/**/*.js`);
     
     const hardcodedPatterns = [
       { pattern: /#[0-9a-fA-F]{3,6}/, type: 'color', suggestion: 'Use --color-* tokens' },
@@ -153,7 +205,7 @@ export class CSSTokenValidator {
       { pattern: /font-family:\s*[^v]/, type: 'font', suggestion: 'Use --font-family-* tokens' }
     ];
     
-    [...cssFiles, ...jsFiles].forEach(file => {
+    [...cssFiles, ...jsFiles].filter(file => this.isAffected(file)).forEach(file => {
       this.checkHardcodedInFile(file, hardcodedPatterns);
     });
   }
@@ -165,11 +217,7 @@ export class CSSTokenValidator {
     
     patterns.forEach(({ pattern, type, suggestion }) => {
       lines.forEach((line, index) => {
-        if (pattern.test(line) && !line.includes('var(--')) {
-          // Skip comments and certain exceptions
-          if (line.trim().startsWith('//') || line.trim().startsWith('/*')) return;
-          if (line.includes('fallback') || line.includes('default')) return;
-          
+        if (pattern.test(line) && !skipsHardcodedCheck(line)) {
           this.violations.push({
             type: 'hardcoded-value',
             message: `Hardcoded ${type} value found`,
@@ -189,13 +237,13 @@ export class CSSTokenValidator {
     
     const cssFiles = await this.findFiles('**/*.css', { exclude: ['node_modules', 'tests'] });
     const htmlFiles = await this.findFiles('**/*.html', { exclude: ['node_modules', 'tests'] });
-    const jsFiles = await this.findFiles('components/**/*.js');
+    const jsFiles = await this.findFiles(`${this.config.layers.components}/**/*.js`);
     
     const bemClasses = new Set();
     const invalidClasses = [];
     
     // Extract all class names
-    [...cssFiles, ...htmlFiles, ...jsFiles].forEach(file => {
+    [...cssFiles, ...htmlFiles, ...jsFiles].filter(file => this.isAffected(file)).forEach(file => {
       this.extractBEMClasses(file, bemClasses, invalidClasses);
     });
     
@@ -366,10 +414,27 @@ export class CSSTokenValidator {
 
 // CLI interface
 export async function validateTokens(options = {}) {
-  const validator = new CSSTokenValidator();
-  
   try {
-    const results = await validator.validateTokens();
+    const config = await loadConfig();
+    const validator = new CSSTokenValidator(process.cwd(), config);
+
+    assertReporter(options.reporter);
+    assertFormat(options);
+    if (options.report && options.changed) {
+      throw new Error('--report counts token usage across every file - run it without --changed');
+    }
+    const baseline = openBaseline(options.baseline);
+    const changes = openChangeSet(options.changed, config);
+    const started = Date.now();
+    const results = await validator.validateTokens({ baseline, changes });
+    
+    if (options.reporter) {
+      writeReport(options.reporter, [tokenSuite(results, Date.now() - started)], options.outputFile);
+    }
+
+    if (options.format) {
+      writeSarif(createSarifLog([tokenResults(results.issues, TOKEN_RULES)]), sarifFile(options));
+    }
     
     if (options.report) {
       const report = validator.generateTokenReport();
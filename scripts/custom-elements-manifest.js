@@ -0,0 +1,131 @@
+/**
+ * Custom Elements Manifest
+ * Turns registry entries into a Custom Elements Manifest (schema 2.1.0) that
+ * IDEs, linters and documentation viewers understand:
+ * https://github.com/webcomponents/custom-elements-manifest
+ */
+
+import path from 'path';
+
+export const SCHEMA_VERSION = '2.1.0';
+export const EXPORT_FORMATS = ['custom-elements'];
+export const DEFAULT_EXPORT_FILE = 'custom-elements.json';
+
+// Base classes that come from the platform rather than a module
+const GLOBAL_CLASS = /^(HTML\w*Element|Element|Node|EventTarget)$/;
+
+/**
+ * One javascript-module per component file. Entries without a class
+ * (plain page or workflow scripts) are left out.
+ */
+export function createCustomElementsManifest(components, options = {}) {
+  const modules = components
+    .filter(component => component.className)
+    .sort((a, b) => a.path.localeCompare(b.path))
+    .map(component => {
+      const modulePath = toPosix(component.path);
+      const reference = { name: component.className, module: modulePath };
+      const exports = (component.exports || [])
+        .filter(entry => entry.declaration === component.className)
+        .map(entry => ({ kind: 'js', name: entry.name, declaration: reference }));
+
+      if (component.tagName) {
+        exports.push({ kind: 'custom-element-definition', name: component.tagName, declaration: reference });
+      }
+
+      return {
+        kind: 'javascript-module',
+        path: modulePath,
+        declarations: [classDeclaration(component)],
+        exports
+      };
+    });
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    readme: options.readme || '',
+    modules
+  };
+}
+
+function classDeclaration(component) {
+  const tags = name => (component.jsdoc || []).filter(entry => entry.tag === name);
+  const summary = tags('summary')[0]?.text;
+  const superclass = superclassReference(component);
+  const fields = component.properties || [];
+
+  return compact({
+    kind: 'class',
+    name: component.className,
+    ...(component.tagName && { tagName: component.tagName, customElement: true }),
+    summary,
+    description: component.description || undefined,
+    superclass,
+    attributes: (component.attributes || []).map(attribute => compact({
+      name: attribute.name,
+      description: attribute.description,
+      type: attribute.type && { text: attribute.type },
+      default: attribute.default,
+      fieldName: fields.some(field => field.name === camelCase(attribute.name)) ? camelCase(attribute.name) : undefined
+    })),
+    members: fields.map(field => compact({
+      kind: 'field',
+      name: field.name,
+      description: field.description,
+      type: field.type && { text: field.type },
+      default: field.default,
+      readonly: field.readonly,
+      attribute: (component.attributes || []).find(attribute => camelCase(attribute.name) === field.name)?.name
+    })),
+    events: (component.events || []).map(event => compact({
+      name: event.name,
+      type: event.type && { text: event.type },
+      description: event.description
+    })),
+    slots: (component.slots || []).map(slot => compact({ name: slot.name, description: slot.description }, ['name'])),
+    cssParts: (component.cssParts || []).map(part => compact({ name: part.name, description: part.description })),
+    cssProperties: [...tags('cssprop'), ...tags('cssproperty')].map(entry => cssProperty(entry.text))
+  });
+}
+
+/**
+ * HTMLElement -> { name, package: 'global:' }; an imported base class points
+ * at its module (relative imports) or package
+ */
+function superclassReference(component) {
+  if (!component.baseClass) return undefined;
+  const name = component.baseClass.replace(/^window\./, '');
+
+  if (component.baseClassImport) {
+    const specifier = component.baseClassImport;
+    return /^\.\.?\//.test(specifier)
+      ? { name, module: path.posix.join(path.posix.dirname(toPosix(component.path)), specifier) }
+      : { name, package: specifier };
+  }
+  if (GLOBAL_CLASS.test(name)) {
+    return { name, package: 'global:' };
+  }
+  return { name, module: toPosix(component.path) };
+}
+
+// "--card-padding - Inner spacing", "[--card-padding=1rem] Inner spacing"
+function cssProperty(text) {
+  const match = text.replace(/^\{[^}]*\}\s*/, '').match(/^\[?(--[\w-]+)(?:=([^\]]*))?\]?(?:\s+-)?\s*([\s\S]*)$/);
+  if (!match) return { name: text.split(/\s/)[0] };
+  return compact({ name: match[1], default: match[2], description: match[3].trim() });
+}
+
+// Drop empty values so the manifest only lists what is known; `keep` fields stay even when empty
+function compact(object, keep = []) {
+  return Object.fromEntries(Object.entries(object).filter(([key, value]) =>
+    keep.includes(key) || (value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0))
+  ));
+}
+
+function camelCase(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function toPosix(file) {
+  return file.split(path.sep).join('/');
+}
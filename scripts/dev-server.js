@@ -6,338 +6,534 @@
  */
 
 import express from 'express';
+import http from 'http';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { promises as fs } from 'fs';
+import { loadConfig, DEFAULT_CONFIG } from './config-loader.js';
+import { VisualReport } from './visual-report.js';
+import { loadStories, storiesScript, storyMarkup, isStoriesFile } from './component-stories.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const app = express();
-const PORT = process.env.PORT || 3000;
+/**
+ * Build the dev server app for a project. Used by `ui-canvas serve` and by
+ * the visual test runner, which starts a throwaway instance on a free port.
+ */
+export function createDevServer(projectDir = process.cwd(), config = DEFAULT_CONFIG) {
+  const { layers, canvas } = config;
+  const app = express();
 
-// Serve static files
-app.use('/styles', express.static(path.join(__dirname, 'styles')));
-app.use('/components', express.static(path.join(__dirname, 'components')));
-app.use('/pages', express.static(path.join(__dirname, 'pages')));
-app.use('/workflows', express.static(path.join(__dirname, 'workflows')));
+  // Serve static files (URLs stay stable whatever the on-disk layout)
+  app.use('/styles', express.static(path.join(projectDir, path.dirname(config.validation.cssSource))));
+  app.use('/components', express.static(path.join(projectDir, layers.components)));
+  app.use('/pages', express.static(path.join(projectDir, layers.pages)));
+  app.use('/workflows', express.static(path.join(projectDir, layers.workflows)));
 
-// Serve canvas mockups
-app.use('/canvas', express.static(path.join(__dirname, '.superdesign/design_iterations')));
+  // Serve canvas mockups
+  app.use('/canvas', express.static(path.join(projectDir, canvas.stagingDir)));
 
-// Serve approved mockups
-app.use('/mockups', express.static(path.join(__dirname, 'mockups')));
+  // Serve approved mockups
+  app.use('/mockups/approved', express.static(path.join(projectDir, canvas.approvedDir)));
+  app.use('/mockups/screenshots', express.static(path.join(projectDir, canvas.screenshotsDir)));
+  app.use('/mockups/iterations', express.static(path.join(projectDir, canvas.iterationsDir)));
 
-// Canvas index - list all staged mockups
-app.get('/canvas', async (req, res) => {
-  try {
-    const canvasDir = path.join(__dirname, '.superdesign/design_iterations');
-    
-    // Ensure directory exists
-    await fs.mkdir(canvasDir, { recursive: true });
-    
-    const files = await fs.readdir(canvasDir);
-    const htmlFiles = files.filter(f => f.endsWith('.html'));
-    
-    const mockupsHTML = htmlFiles.map(file => {
-      const name = file.replace('.html', '');
-      return `
-        <div class="mockup-item">
-          <h3><a href="/canvas/${file}" target="_blank">${name}</a></h3>
-          <div class="mockup-actions">
-            <a href="/canvas/${file}" target="_blank">View</a>
-            <a href="/canvas/${file}" download>Download</a>
-          </div>
-        </div>
-      `;
-    }).join('');
+  // Generated component test pages of the visual test runner
+  app.use('/visual-tests', express.static(path.join(projectDir, config.testing.tempDir)));
 
-    const html = `
-    <!DOCTYPE html>
-    <html lang="en">
-    <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Canvas - Staged Mockups</title>
-        <link rel="stylesheet" href="/styles/main.css">
-        <style>
-            body { padding: 2rem; background: #f9fafb; }
-            .container { max-width: 800px; margin: 0 auto; }
-            .header { text-align: center; margin-bottom: 3rem; }
-            .mockup-item { 
-                background: white; 
-                padding: 1.5rem; 
-                border-radius: 0.5rem; 
-                box-shadow: 0 1px 3px rgba(0,0,0,0.1);
-                margin-bottom: 1rem;
-                display: flex;
-                justify-content: space-between;
-                align-items: center;
-            }
-            .mockup-actions a { 
-                margin-left: 1rem; 
-                color: #059669; 
-                text-decoration: none; 
-            }
-            .mockup-actions a:hover { text-decoration: underline; }
-            .no-mockups { 
-                text-align: center; 
-                padding: 3rem; 
-                color: #6b7280; 
-            }
-            .create-button {
-                background: #059669;
-                color: white;
-                padding: 0.75rem 1.5rem;
-                border-radius: 0.5rem;
-                text-decoration: none;
-                display: inline-block;
-                margin: 1rem 0;
-            }
-        </style>
-    </head>
-    <body>
-        <div class="container">
-            <div class="header">
-                <h1>🎨 Canvas - Staged Mockups</h1>
-                <p>Full-page mockup development environment</p>
-            </div>
-            
-            ${htmlFiles.length > 0 ? `
-                <h2>Staged Mockups (${htmlFiles.length})</h2>
-                ${mockupsHTML}
-            ` : `
-                <div class="no-mockups">
-                    <h2>No mockups staged</h2>
-                    <p>Create your first mockup:</p>
-                    <code>./canvas.sh stage my-mockup</code>
-                </div>
-            `}
-            
-            <div style="margin-top: 3rem; padding-top: 2rem; border-top: 1px solid #e5e7eb;">
-                <h3>Quick Actions</h3>
-                <p><a href="/mockups/approved" class="create-button">View Approved Mockups</a></p>
-                <p><code>./canvas.sh stage &lt;name&gt;</code> - Create new mockup</p>
-                <p><code>./canvas.sh archive &lt;file&gt; &lt;name&gt;</code> - Archive approved mockup</p>
-            </div>
-        </div>
-    </body>
-    </html>
-    `;
-    
-    res.send(html);
-  } catch (error) {
-    res.status(500).send(`Error loading canvas: ${error.message}`);
+  // Serve the visual regression report
+  app.use('/report', express.static(path.join(projectDir, config.testing.reportDir)));
+
+  // Approve a single snapshot from the report
+  app.post('/report/approve/:snapshot', (req, res) => {
+    try {
+      const report = new VisualReport(projectDir, config);
+      const { approved } = report.approve([req.params.snapshot]);
+
+      if (approved.length === 0) {
+        res.status(404).send(`No failed snapshot named ${req.params.snapshot} in the last report`);
+        return;
+      }
+
+      res.json({ approved });
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  });
+
+  // Component files (relative to the components layer), excluding stories
+  async function listComponentFiles() {
+    const componentsDir = path.join(projectDir, layers.components);
+    await fs.mkdir(componentsDir, { recursive: true });
+    const files = await fs.readdir(componentsDir, { recursive: true });
+    return files
+      .filter(file => file.endsWith('.js') && !isStoriesFile(file))
+      .map(file => file.split(path.sep).join('/'));
   }
-});
 
-// Mockups index - list approved mockups
-app.get('/mockups/approved', async (req, res) => {
-  try {
-    const approvedDir = path.join(__dirname, 'mockups/approved');
-    
-    // Ensure directory exists
-    await fs.mkdir(approvedDir, { recursive: true });
-    
-    const files = await fs.readdir(approvedDir);
-    const htmlFiles = files.filter(f => f.endsWith('.html'));
-    
-    const mockupsHTML = htmlFiles.map(file => {
-      const name = file.replace('.html', '');
-      const screenshotPath = `/mockups/screenshots/${name}.png`;
-      return `
-        <div class="approved-mockup">
-          <div class="mockup-preview">
-            <img src="${screenshotPath}" alt="${name}" onerror="this.style.display='none'">
+  // Playground index - every component with its stories
+  app.get('/playground', async (req, res) => {
+    try {
+      const files = await listComponentFiles();
+      const componentsHTML = files.map(file => {
+        const name = path.basename(file, '.js');
+        return `
+          <div class="mockup-item">
+            <h3><a href="/playground/${name}">${name}</a></h3>
+            <div class="mockup-actions">
+              <code>${layers.components}/${file}</code>
+            </div>
+          </div>
+        `;
+      }).join('');
+
+      res.send(`
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Playground - Components</title>
+          <link rel="stylesheet" href="/styles/${path.basename(config.validation.cssSource)}">
+          <style>
+              body { padding: 2rem; background: #f9fafb; }
+              .container { max-width: 800px; margin: 0 auto; }
+              .header { text-align: center; margin-bottom: 3rem; }
+              .mockup-item { background: white; padding: 1.5rem; border-radius: 0.5rem; box-shadow: 0 1px 3px rgba(0,0,0,0.1); margin-bottom: 1rem; display: flex; justify-content: space-between; align-items: center; }
+              .mockup-item a { color: #059669; text-decoration: none; }
+              .no-mockups { text-align: center; padding: 3rem; color: #6b7280; }
+          </style>
+      </head>
+      <body>
+          <div class="container">
+              <div class="header">
+                  <h1>📖 Component Playground</h1>
+                  <p>Every state declared in &lt;component&gt;.stories.js</p>
+              </div>
+              ${files.length > 0 ? componentsHTML : `
+                  <div class="no-mockups">
+                      <h2>No components found</h2>
+                      <code>npx ui-canvas create-component my-component</code>
+                  </div>
+              `}
+              <p><a href="/">← Back to Dashboard</a></p>
           </div>
-          <div class="mockup-info">
-            <h3><a href="/mockups/approved/${file}" target="_blank">${name}</a></h3>
+      </body>
+      </html>
+      `);
+    } catch (error) {
+      res.status(500).send(`Error loading playground: ${error.message}`);
+    }
+  });
+
+  // Playground - render all stories of one component
+  app.get('/playground/:component', async (req, res) => {
+    try {
+      const files = await listComponentFiles();
+      const file = files.find(f => path.basename(f, '.js') === req.params.component);
+
+      if (!file) {
+        res.status(404).send(`Component not found: ${req.params.component}`);
+        return;
+      }
+
+      const { component: tagName, stories, file: storiesFile } = await loadStories(projectDir, path.join(layers.components, file));
+      const markup = stories.map(story => `
+                  <details>
+                      <summary>${story.name}${story.description ? ` - ${story.description}` : ''}</summary>
+                      <pre>${storyMarkup(tagName, story).replace(/&/g, '&amp;').replace(/</g, '&lt;')}</pre>
+                  </details>`).join('');
+
+      res.send(`<!DOCTYPE html>
+  <html lang="en">
+  <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${tagName} - Playground</title>
+      <link rel="stylesheet" href="/styles/${path.basename(config.validation.cssSource)}">
+      <style>
+          body { padding: 2rem; background: #f9fafb; font-family: system-ui, sans-serif; }
+          .container { max-width: 800px; margin: 0 auto; }
+          .test-case { background: white; padding: 1.5rem; border-radius: 0.5rem; box-shadow: 0 1px 3px rgba(0,0,0,0.1); margin-bottom: 1rem; }
+          .test-label { font-weight: 600; color: #6b7280; margin-bottom: 0.75rem; }
+          .markup { margin-top: 2rem; }
+          pre { background: #1f2937; color: #f9fafb; padding: 1rem; border-radius: 0.5rem; overflow-x: auto; }
+      </style>
+  </head>
+  <body>
+      <div class="container">
+          <p><a href="/playground">← All components</a></p>
+          <h1>🧩 ${tagName}</h1>
+          <p>${storiesFile ? `Stories from <code>${storiesFile}</code>` : `No stories file - showing defaults. Create <code>${layers.components}/${file.replace(/\.js$/, '.stories.js')}</code> to declare states.`}</p>
+          <div id="test-cases"></div>
+          <div class="markup">
+              <h2>Markup</h2>${markup}
+          </div>
+      </div>
+
+      <script type="module" src="/components/${file}"></script>
+      <script>
+          ${storiesScript(tagName, stories)}
+      </script>
+  </body>
+  </html>`);
+    } catch (error) {
+      res.status(500).send(`Error loading playground: ${error.message}`);
+    }
+  });
+
+  // Canvas index - list all staged mockups
+  app.get('/canvas', async (req, res) => {
+    try {
+      const canvasDir = path.join(projectDir, canvas.stagingDir);
+
+      // Ensure directory exists
+      await fs.mkdir(canvasDir, { recursive: true });
+
+      const files = await fs.readdir(canvasDir);
+      const htmlFiles = files.filter(f => f.endsWith('.html'));
+
+      const mockupsHTML = htmlFiles.map(file => {
+        const name = file.replace('.html', '');
+        return `
+          <div class="mockup-item">
+            <h3><a href="/canvas/${file}" target="_blank">${name}</a></h3>
             <div class="mockup-actions">
-              <a href="/mockups/approved/${file}" target="_blank">View</a>
-              <a href="${screenshotPath}" target="_blank">Screenshot</a>
+              <a href="/canvas/${file}" target="_blank">View</a>
+              <a href="/canvas/${file}" download>Download</a>
             </div>
           </div>
-        </div>
+        `;
+      }).join('');
+
+      const html = `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Canvas - Staged Mockups</title>
+          <link rel="stylesheet" href="/styles/main.css">
+          <style>
+              body { padding: 2rem; background: #f9fafb; }
+              .container { max-width: 800px; margin: 0 auto; }
+              .header { text-align: center; margin-bottom: 3rem; }
+              .mockup-item { 
+                  background: white; 
+                  padding: 1.5rem; 
+                  border-radius: 0.5rem; 
+                  box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+                  margin-bottom: 1rem;
+                  display: flex;
+                  justify-content: space-between;
+                  align-items: center;
+              }
+              .mockup-actions a { 
+                  margin-left: 1rem; 
+                  color: #059669; 
+                  text-decoration: none; 
+              }
+              .mockup-actions a:hover { text-decoration: underline; }
+              .no-mockups { 
+                  text-align: center; 
+                  padding: 3rem; 
+                  color: #6b7280; 
+              }
+              .create-button {
+                  background: #059669;
+                  color: white;
+                  padding: 0.75rem 1.5rem;
+                  border-radius: 0.5rem;
+                  text-decoration: none;
+                  display: inline-block;
+                  margin: 1rem 0;
+              }
+          </style>
+      </head>
+      <body>
+          <div class="container">
+              <div class="header">
+                  <h1>🎨 Canvas - Staged Mockups</h1>
+                  <p>Full-page mockup development environment</p>
+              </div>
+
+              ${htmlFiles.length > 0 ? `
+                  <h2>Staged Mockups (${htmlFiles.length})</h2>
+                  ${mockupsHTML}
+              ` : `
+                  <div class="no-mockups">
+                      <h2>No mockups staged</h2>
+                      <p>Create your first mockup:</p>
+                      <code>npx ui-canvas canvas stage my-mockup</code>
+                  </div>
+              `}
+
+              <div style="margin-top: 3rem; padding-top: 2rem; border-top: 1px solid #e5e7eb;">
+                  <h3>Quick Actions</h3>
+                  <p><a href="/mockups/approved" class="create-button">View Approved Mockups</a></p>
+                  <p><code>npx ui-canvas canvas stage &lt;name&gt;</code> - Create new mockup</p>
+                  <p><code>npx ui-canvas canvas archive &lt;file&gt; &lt;name&gt;</code> - Archive approved mockup</p>
+              </div>
+          </div>
+      </body>
+      </html>
       `;
-    }).join('');
 
+      res.send(html);
+    } catch (error) {
+      res.status(500).send(`Error loading canvas: ${error.message}`);
+    }
+  });
+
+  // Mockups index - list approved mockups
+  app.get('/mockups/approved', async (req, res) => {
+    try {
+      const approvedDir = path.join(projectDir, canvas.approvedDir);
+
+      // Ensure directory exists
+      await fs.mkdir(approvedDir, { recursive: true });
+
+      const files = await fs.readdir(approvedDir);
+      const htmlFiles = files.filter(f => f.endsWith('.html'));
+
+      const mockupsHTML = htmlFiles.map(file => {
+        const name = file.replace('.html', '');
+        const screenshotPath = `/mockups/screenshots/${name}.png`;
+        return `
+          <div class="approved-mockup">
+            <div class="mockup-preview">
+              <img src="${screenshotPath}" alt="${name}" onerror="this.style.display='none'">
+            </div>
+            <div class="mockup-info">
+              <h3><a href="/mockups/approved/${file}" target="_blank">${name}</a></h3>
+              <div class="mockup-actions">
+                <a href="/mockups/approved/${file}" target="_blank">View</a>
+                <a href="${screenshotPath}" target="_blank">Screenshot</a>
+              </div>
+            </div>
+          </div>
+        `;
+      }).join('');
+
+      const html = `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Approved Mockups - Visual Reference</title>
+          <link rel="stylesheet" href="/styles/main.css">
+          <style>
+              body { padding: 2rem; background: #f9fafb; }
+              .container { max-width: 1000px; margin: 0 auto; }
+              .header { text-align: center; margin-bottom: 3rem; }
+              .approved-mockup { 
+                  background: white; 
+                  padding: 1.5rem; 
+                  border-radius: 0.5rem; 
+                  box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+                  margin-bottom: 2rem;
+                  display: flex;
+                  gap: 1.5rem;
+              }
+              .mockup-preview img {
+                  width: 150px;
+                  height: auto;
+                  border-radius: 0.5rem;
+                  border: 1px solid #e5e7eb;
+              }
+              .mockup-info { flex: 1; }
+              .mockup-actions a { 
+                  margin-right: 1rem; 
+                  color: #059669; 
+                  text-decoration: none; 
+              }
+              .mockup-actions a:hover { text-decoration: underline; }
+              .no-mockups { 
+                  text-align: center; 
+                  padding: 3rem; 
+                  color: #6b7280; 
+              }
+          </style>
+      </head>
+      <body>
+          <div class="container">
+              <div class="header">
+                  <h1>📁 Approved Mockups</h1>
+                  <p>Visual reference for component development</p>
+              </div>
+
+              ${htmlFiles.length > 0 ? `
+                  <h2>Approved Mockups (${htmlFiles.length})</h2>
+                  ${mockupsHTML}
+              ` : `
+                  <div class="no-mockups">
+                      <h2>No approved mockups</h2>
+                      <p>Archive your first approved mockup:</p>
+                      <code>npx ui-canvas canvas archive mockup-name.html approved-name</code>
+                  </div>
+              `}
+
+              <div style="margin-top: 3rem; padding-top: 2rem; border-top: 1px solid #e5e7eb;">
+                  <p><a href="/canvas">← Back to Canvas</a></p>
+              </div>
+          </div>
+      </body>
+      </html>
+      `;
+
+      res.send(html);
+    } catch (error) {
+      res.status(500).send(`Error loading approved mockups: ${error.message}`);
+    }
+  });
+
+  // Root - development dashboard
+  app.get('/', (req, res) => {
     const html = `
     <!DOCTYPE html>
     <html lang="en">
     <head>
         <meta charset="UTF-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Approved Mockups - Visual Reference</title>
+        <title>GrowTogether UI - Development</title>
         <link rel="stylesheet" href="/styles/main.css">
         <style>
             body { padding: 2rem; background: #f9fafb; }
-            .container { max-width: 1000px; margin: 0 auto; }
+            .container { max-width: 800px; margin: 0 auto; }
             .header { text-align: center; margin-bottom: 3rem; }
-            .approved-mockup { 
+            .section { 
                 background: white; 
-                padding: 1.5rem; 
-                border-radius: 0.5rem; 
+                padding: 2rem; 
+                border-radius: 0.75rem; 
                 box-shadow: 0 1px 3px rgba(0,0,0,0.1);
-                margin-bottom: 2rem;
-                display: flex;
-                gap: 1.5rem;
+                margin-bottom: 2rem; 
             }
-            .mockup-preview img {
-                width: 150px;
-                height: auto;
-                border-radius: 0.5rem;
-                border: 1px solid #e5e7eb;
+            .nav-grid { 
+                display: grid; 
+                grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); 
+                gap: 1rem; 
+                margin-top: 1rem; 
             }
-            .mockup-info { flex: 1; }
-            .mockup-actions a { 
-                margin-right: 1rem; 
+            .nav-item { 
+                background: #f3f4f6; 
+                padding: 1rem; 
+                border-radius: 0.5rem; 
+                text-align: center; 
+            }
+            .nav-item a { 
                 color: #059669; 
                 text-decoration: none; 
+                font-weight: 500; 
             }
-            .mockup-actions a:hover { text-decoration: underline; }
-            .no-mockups { 
-                text-align: center; 
-                padding: 3rem; 
-                color: #6b7280; 
+            .nav-item a:hover { text-decoration: underline; }
+            code { 
+                background: #f3f4f6; 
+                padding: 0.25rem 0.5rem; 
+                border-radius: 0.25rem; 
+                font-size: 0.875rem; 
             }
         </style>
     </head>
     <body>
         <div class="container">
             <div class="header">
-                <h1>📁 Approved Mockups</h1>
-                <p>Visual reference for component development</p>
+                <h1>🌱 GrowTogether UI</h1>
+                <p>Component Development Environment</p>
             </div>
-            
-            ${htmlFiles.length > 0 ? `
-                <h2>Approved Mockups (${htmlFiles.length})</h2>
-                ${mockupsHTML}
-            ` : `
-                <div class="no-mockups">
-                    <h2>No approved mockups</h2>
-                    <p>Archive your first approved mockup:</p>
-                    <code>./canvas.sh archive mockup-name.html approved-name</code>
+
+            <div class="section">
+                <h2>Development Areas</h2>
+                <div class="nav-grid">
+                    <div class="nav-item">
+                        <a href="/canvas">🎨 Canvas</a>
+                        <p>Stage mockups for development</p>
+                    </div>
+                    <div class="nav-item">
+                        <a href="/mockups/approved">📁 Approved</a>
+                        <p>Visual reference mockups</p>
+                    </div>
+                    <div class="nav-item">
+                        <a href="/components">🔧 Components</a>
+                        <p>Web component library</p>
+                    </div>
+                    <div class="nav-item">
+                        <a href="/pages">📄 Pages</a>
+                        <p>Page compositions</p>
+                    </div>
+                    <div class="nav-item">
+                        <a href="/playground">📖 Playground</a>
+                        <p>Component stories</p>
+                    </div>
+                    <div class="nav-item">
+                        <a href="/report/">🧪 Visual Report</a>
+                        <p>Review and approve snapshots</p>
+                    </div>
                 </div>
-            `}
-            
-            <div style="margin-top: 3rem; padding-top: 2rem; border-top: 1px solid #e5e7eb;">
-                <p><a href="/canvas">← Back to Canvas</a></p>
+            </div>
+
+            <div class="section">
+                <h2>Quick Commands</h2>
+                <ul>
+                    <li><code>npx ui-canvas canvas stage mockup-name</code> - Create new mockup</li>
+                    <li><code>npx ui-canvas canvas list</code> - List staged mockups</li>
+                    <li><code>npx ui-canvas canvas archive mockup.html name</code> - Archive approved</li>
+                    <li><code>npm run validate</code> - Check architecture</li>
+                    <li><code>npm run test:visual</code> - Run visual tests</li>
+                </ul>
             </div>
         </div>
     </body>
     </html>
     `;
-    
+
     res.send(html);
+  });
+
+  return app;
+}
+
+/**
+ * Listen on a port (0 picks a free one) and resolve once the server is up
+ */
+export function listen(app, port, host) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer(app);
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const { port: actualPort } = server.address();
+      resolve({
+        server,
+        port: actualPort,
+        url: `http://${host || 'localhost'}:${actualPort}`,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+// CLI interface
+if (process.argv[1] && process.argv[1].endsWith('dev-server.js')) {
+  try {
+    const config = await loadConfig();
+    const app = createDevServer(process.cwd(), config);
+    const { url } = await listen(app, process.env.PORT || config.server.port);
+
+    console.log('🚀 GrowTogether UI Development Server');
+    console.log('=====================================');
+    console.log('');
+    console.log(`🌐 Server running at: ${url}`);
+    console.log(`🎨 Canvas mockups: ${url}/canvas`);
+    console.log(`📁 Approved mockups: ${url}/mockups/approved`);
+    console.log(`📖 Component playground: ${url}/playground`);
+    console.log('');
+    console.log('Press Ctrl+C to stop server');
   } catch (error) {
-    res.status(500).send(`Error loading approved mockups: ${error.message}`);
+    console.error(`❌ Dev server failed to start: ${error.message}`);
+    process.exit(1);
   }
-});
-
-// Root - development dashboard
-app.get('/', (req, res) => {
-  const html = `
-  <!DOCTYPE html>
-  <html lang="en">
-  <head>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>GrowTogether UI - Development</title>
-      <link rel="stylesheet" href="/styles/main.css">
-      <style>
-          body { padding: 2rem; background: #f9fafb; }
-          .container { max-width: 800px; margin: 0 auto; }
-          .header { text-align: center; margin-bottom: 3rem; }
-          .section { 
-              background: white; 
-              padding: 2rem; 
-              border-radius: 0.75rem; 
-              box-shadow: 0 1px 3px rgba(0,0,0,0.1);
-              margin-bottom: 2rem; 
-          }
-          .nav-grid { 
-              display: grid; 
-              grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); 
-              gap: 1rem; 
-              margin-top: 1rem; 
-          }
-          .nav-item { 
-              background: #f3f4f6; 
-              padding: 1rem; 
-              border-radius: 0.5rem; 
-              text-align: center; 
-          }
-          .nav-item a { 
-              color: #059669; 
-              text-decoration: none; 
-              font-weight: 500; 
-          }
-          .nav-item a:hover { text-decoration: underline; }
-          code { 
-              background: #f3f4f6; 
-              padding: 0.25rem 0.5rem; 
-              border-radius: 0.25rem; 
-              font-size: 0.875rem; 
-          }
-      </style>
-  </head>
-  <body>
-      <div class="container">
-          <div class="header">
-              <h1>🌱 GrowTogether UI</h1>
-              <p>Component Development Environment</p>
-          </div>
-          
-          <div class="section">
-              <h2>Development Areas</h2>
-              <div class="nav-grid">
-                  <div class="nav-item">
-                      <a href="/canvas">🎨 Canvas</a>
-                      <p>Stage mockups for development</p>
-                  </div>
-                  <div class="nav-item">
-                      <a href="/mockups/approved">📁 Approved</a>
-                      <p>Visual reference mockups</p>
-                  </div>
-                  <div class="nav-item">
-                      <a href="/components">🔧 Components</a>
-                      <p>Web component library</p>
-                  </div>
-                  <div class="nav-item">
-                      <a href="/pages">📄 Pages</a>
-                      <p>Page compositions</p>
-                  </div>
-              </div>
-          </div>
-          
-          <div class="section">
-              <h2>Quick Commands</h2>
-              <ul>
-                  <li><code>./canvas.sh stage mockup-name</code> - Create new mockup</li>
-                  <li><code>./canvas.sh list</code> - List staged mockups</li>
-                  <li><code>./canvas.sh archive mockup.html name</code> - Archive approved</li>
-                  <li><code>npm run validate</code> - Check architecture</li>
-                  <li><code>npm run test:visual</code> - Run visual tests</li>
-              </ul>
-          </div>
-      </div>
-  </body>
-  </html>
-  `;
-  
-  res.send(html);
-});
-
-// Start server
-app.listen(PORT, () => {
-  console.log('🚀 GrowTogether UI Development Server');
-  console.log('=====================================');
-  console.log('');
-  console.log(`🌐 Server running at: http://localhost:${PORT}`);
-  console.log(`🎨 Canvas mockups: http://localhost:${PORT}/canvas`);
-  console.log(`📁 Approved mockups: http://localhost:${PORT}/mockups/approved`);
-  console.log('');
-  console.log('Press Ctrl+C to stop server');
-});
-
-export default app;
\ No newline at end of file
+}
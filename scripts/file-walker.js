@@ -0,0 +1,251 @@
+/**
+ * File Walker
+ * In-process glob matching and project file listing shared by the validators.
+ * Understands **, *, ?, [abc] and {a,b} globs, and skips node_modules, .git,
+ * anything .gitignore files exclude and the config's `ignore` globs.
+ *
+ * Like the glob package, wildcards don't match names starting with a dot
+ * unless the pattern spells the dot out (`.superdesign/**`).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadConfig, DEFAULT_CONFIG } from './config-loader.js';
+
+export const ALWAYS_IGNORED = ['node_modules', '.git'];
+
+export class FileWalker {
+  constructor(basePath = process.cwd(), config = DEFAULT_CONFIG) {
+    this.basePath = basePath;
+    this.ignore = (config.ignore || []).map(pattern => globToRegExp(pattern, { dot: true }));
+    this.cache = null;
+  }
+
+  /**
+   * Every project file that is not ignored, as sorted project-relative
+   * POSIX paths. The tree is walked once per walker.
+   */
+  files() {
+    if (!this.cache) {
+      this.cache = [];
+      this.walk('', []);
+    }
+    return this.cache;
+  }
+
+  /**
+   * Files matching any of `patterns` and none of `options.ignore`. An ignore
+   * glob that matches a directory excludes everything below it.
+   */
+  find(patterns, options = {}) {
+    const include = [].concat(patterns).map(pattern => globToRegExp(normalizePattern(pattern)));
+    const exclude = (options.ignore || []).map(pattern => globToRegExp(normalizePattern(pattern), { dot: true }));
+
+    return this.files().filter(file =>
+      include.some(regex => regex.test(file)) &&
+      !ancestors(file).some(candidate => exclude.some(regex => regex.test(candidate)))
+    );
+  }
+
+  walk(dir, rules) {
+    const fullDir = path.join(this.basePath, dir);
+    const active = [...rules, ...readGitignore(fullDir, dir)];
+
+    let entries;
+    try {
+      entries = fs.readdirSync(fullDir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    entries.sort((a, b) => a.name.localeCompare(b.name)).forEach(entry => {
+      if (ALWAYS_IGNORED.includes(entry.name)) return;
+
+      const file = dir ? `${dir}/${entry.name}` : entry.name;
+      // Symlinked directories are not followed, so cycles can't happen
+      const isDirectory = entry.isDirectory();
+      if (!isDirectory && !entry.isFile() && !isSymlinkedFile(path.join(fullDir, entry.name))) return;
+      if (isGitignored(active, file, isDirectory) || this.ignore.some(regex => regex.test(file))) return;
+
+      if (isDirectory) {
+        this.walk(file, active);
+      } else {
+        this.cache.push(file);
+      }
+    });
+  }
+}
+
+/**
+ * Project files matching `patterns`, honoring the project config's ignores.
+ * For scripts and tests outside the CLI:
+ *
+ *   import { findFiles } from '@ui-canvas/framework/scripts/file-walker.js';
+ *   const pages = await findFiles('{pages,workflows}/**\/*.html');
+ */
+export async function findFiles(patterns, options = {}) {
+  const basePath = options.cwd || process.cwd();
+  const config = await loadConfig(basePath);
+  return new FileWalker(basePath, config).find(patterns, options);
+}
+
+/**
+ * Whether a project-relative path matches a glob
+ */
+export function matchesGlob(file, pattern) {
+  return globToRegExp(normalizePattern(pattern)).test(toPosix(file));
+}
+
+export function globToRegExp(pattern, options = {}) {
+  return new RegExp(`^${translate(pattern, options.dot)}$`);
+}
+
+function translate(glob, dot) {
+  // Wildcards at the start of a path segment skip dotfiles unless `dot` is set
+  const segmentStart = dot ? '' : '(?!\\.)';
+  const anySegments = `(?:${segmentStart}[^/]+/)*`;
+  let out = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    const atSegmentStart = i === 0 || glob[i - 1] === '/';
+
+    if (char === '*' && glob[i + 1] === '*' && atSegmentStart && (glob[i + 2] === '/' || i + 2 === glob.length)) {
+      if (glob[i + 2] === '/') {
+        out += anySegments;                                   // **/ = zero or more directories
+        i += 2;
+      } else if (out.endsWith('/')) {
+        out = `${out.slice(0, -1)}(?:/${segmentStart}[^/]+)*`; // trailing /** = the directory and everything in it
+        i += 1;
+      } else {
+        out += `${anySegments}${segmentStart}[^/]+`;          // ** alone = any path
+        i += 1;
+      }
+    } else if (char === '*') {
+      while (glob[i + 1] === '*') i++;
+      out += `${atSegmentStart ? segmentStart : ''}[^/]*`;
+    } else if (char === '?') {
+      out += `${atSegmentStart ? segmentStart : ''}[^/]`;
+    } else if (char === '[') {
+      const close = glob.indexOf(']', i + 2);
+      if (close === -1) {
+        out += '\\[';
+        continue;
+      }
+      const set = glob.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\');
+      out += `[${set}]`;
+      i = close;
+    } else if (char === '{') {
+      const close = matchingBrace(glob, i);
+      const alternatives = close === -1 ? [] : splitAlternatives(glob.slice(i + 1, close));
+      if (alternatives.length < 2) {
+        out += '\\{';
+        continue;
+      }
+      out += `(?:${alternatives.map(alternative => translate(alternative, dot)).join('|')})`;
+      i = close;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      out += escapeRegExp(glob[++i]);
+    } else {
+      out += escapeRegExp(char);
+    }
+  }
+
+  return out;
+}
+
+function matchingBrace(glob, open) {
+  let depth = 0;
+  for (let i = open; i < glob.length; i++) {
+    if (glob[i] === '\\') i++;
+    else if (glob[i] === '{') depth++;
+    else if (glob[i] === '}' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+function splitAlternatives(body) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === '\\') i++;
+    else if (body[i] === '{') depth++;
+    else if (body[i] === '}') depth--;
+    else if (body[i] === ',' && depth === 0) {
+      parts.push(body.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(body.slice(start));
+  return parts;
+}
+
+/**
+ * Rules from a directory's .gitignore: { base, negate, dirOnly, anchored, regex }
+ */
+function readGitignore(fullDir, base) {
+  const file = path.join(fullDir, '.gitignore');
+  if (!fs.existsSync(file)) return [];
+
+  return fs.readFileSync(file, 'utf8').split(/\r?\n/).flatMap(raw => {
+    let line = raw.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) return [];
+
+    const negate = line.startsWith('!');
+    if (negate) line = line.slice(1);
+    line = line.replace(/^\\(?=[#!])/, '');
+
+    const dirOnly = line.endsWith('/');
+    if (dirOnly) line = line.slice(0, -1);
+
+    // A slash anywhere but the end ties the pattern to this directory
+    const anchored = line.includes('/');
+    line = line.replace(/^\//, '');
+    if (!line) return [];
+
+    return [{ base, negate, dirOnly, anchored, regex: globToRegExp(line, { dot: true }) }];
+  });
+}
+
+// Last matching rule wins, as in git
+function isGitignored(rules, file, isDirectory) {
+  let ignored = false;
+
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) continue;
+    if (rule.base && !file.startsWith(`${rule.base}/`)) continue;
+
+    const relative = rule.base ? file.slice(rule.base.length + 1) : file;
+    if (rule.regex.test(rule.anchored ? relative : relative.split('/').pop())) {
+      ignored = !rule.negate;
+    }
+  }
+
+  return ignored;
+}
+
+function isSymlinkedFile(fullPath) {
+  try {
+    return fs.statSync(fullPath).isFile();
+  } catch {
+    return false;
+  }
+}
+
+// "a/b/c.js" -> ["a", "a/b", "a/b/c.js"]
+function ancestors(file) {
+  return file.split('/').map((_, index, parts) => parts.slice(0, index + 1).join('/'));
+}
+
+function normalizePattern(pattern) {
+  return toPosix(pattern).replace(/^\.\//, '');
+}
+
+function toPosix(file) {
+  return file.split(path.sep).join('/');
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,236 @@
+/**
+ * Image Diff - PNG decoding and pixel-level comparison
+ * Shared by visual regression tests and mockup comparisons
+ */
+
+import fs from 'fs';
+import { PNG } from 'pngjs';
+import pixelmatch from 'pixelmatch';
+
+export const DEFAULT_COMPARISON = {
+  threshold: 0.1,          // Per-pixel color distance (0 = exact, 1 = anything matches)
+  includeAA: false,        // Count anti-aliased pixels as differences
+  maxDiffPixels: 0,        // Changed pixels tolerated before a comparison fails
+  maxDiffPercentage: 0     // Changed area (0-100) tolerated before a comparison fails
+};
+
+/**
+ * Decode a PNG from a file path or buffer
+ */
+export function readPNG(source) {
+  const buffer = Buffer.isBuffer(source) ? source : fs.readFileSync(source);
+  return PNG.sync.read(buffer);
+}
+
+export function writePNG(png, outputPath) {
+  fs.writeFileSync(outputPath, PNG.sync.write(png));
+}
+
+/**
+ * Copy an image onto a larger transparent canvas so images with different
+ * dimensions can still be compared pixel by pixel
+ */
+export function padImage(png, width, height) {
+  if (png.width === width && png.height === height) {
+    return png;
+  }
+
+  const padded = new PNG({ width, height });
+  PNG.bitblt(png, padded, 0, 0, png.width, png.height, 0, 0);
+  return padded;
+}
+
+/**
+ * Compare two PNGs pixel by pixel.
+ * Writes a highlighted diff image (changed pixels in red over a faded
+ * baseline) to diffOutput when the images differ.
+ */
+export function compareImages(baseline, current, diffOutput = null, options = {}) {
+  const settings = { ...DEFAULT_COMPARISON, ...options };
+
+  const baselinePNG = readPNG(baseline);
+  const currentPNG = readPNG(current);
+
+  const width = Math.max(baselinePNG.width, currentPNG.width);
+  const height = Math.max(baselinePNG.height, currentPNG.height);
+  const dimensionsMatch = baselinePNG.width === currentPNG.width && baselinePNG.height === currentPNG.height;
+
+  const diff = new PNG({ width, height });
+  const diffPixels = pixelmatch(
+    padImage(baselinePNG, width, height).data,
+    padImage(currentPNG, width, height).data,
+    diff.data,
+    width,
+    height,
+    {
+      threshold: settings.threshold,
+      includeAA: settings.includeAA,
+      alpha: 0.1,
+      diffColor: [255, 0, 0],
+      aaColor: [255, 255, 0]
+    }
+  );
+
+  const totalPixels = width * height;
+  const diffPercentage = totalPixels === 0 ? 0 : (diffPixels / totalPixels) * 100;
+  const withinTolerance = diffPixels <= settings.maxDiffPixels ||
+    (settings.maxDiffPercentage > 0 && diffPercentage <= settings.maxDiffPercentage);
+
+  if (diffPixels > 0 && diffOutput) {
+    writePNG(diff, diffOutput);
+  }
+
+  return {
+    identical: diffPixels === 0 && dimensionsMatch,
+    passed: withinTolerance && dimensionsMatch,
+    diffPixels,
+    totalPixels,
+    diffPercentage: Math.round(diffPercentage * 1000) / 1000,
+    dimensionsMatch,
+    width,
+    height,
+    baselineSize: { width: baselinePNG.width, height: baselinePNG.height },
+    currentSize: { width: currentPNG.width, height: currentPNG.height },
+    diffImage: diffPixels > 0 ? diff : null
+  };
+}
+
+/**
+ * Group changed pixels of a diff image into bounding boxes.
+ * The image is bucketed into cells and neighbouring dirty cells are merged,
+ * which keeps noisy diffs down to a handful of reviewable regions.
+ */
+export function findDiffRegions(diffPNG, options = {}) {
+  const cellSize = options.cellSize || 8;
+  const padding = options.padding ?? 4;
+  const { width, height, data } = diffPNG;
+  const cols = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const dirty = new Uint8Array(cols * rows);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      // pixelmatch paints changed pixels pure red over a grayscale background
+      if (data[i] === 255 && data[i + 1] === 0 && data[i + 2] === 0) {
+        dirty[Math.floor(y / cellSize) * cols + Math.floor(x / cellSize)] = 1;
+      }
+    }
+  }
+
+  const regions = [];
+  const visited = new Uint8Array(cols * rows);
+
+  for (let start = 0; start < dirty.length; start++) {
+    if (!dirty[start] || visited[start]) continue;
+
+    let minCol = cols, minRow = rows, maxCol = 0, maxRow = 0;
+    const stack = [start];
+    visited[start] = 1;
+
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const col = cell % cols;
+      const row = Math.floor(cell / cols);
+      minCol = Math.min(minCol, col);
+      maxCol = Math.max(maxCol, col);
+      minRow = Math.min(minRow, row);
+      maxRow = Math.max(maxRow, row);
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nCol = col + dx;
+          const nRow = row + dy;
+          if (nCol < 0 || nRow < 0 || nCol >= cols || nRow >= rows) continue;
+          const neighbour = nRow * cols + nCol;
+          if (dirty[neighbour] && !visited[neighbour]) {
+            visited[neighbour] = 1;
+            stack.push(neighbour);
+          }
+        }
+      }
+    }
+
+    const x = Math.max(0, minCol * cellSize - padding);
+    const y = Math.max(0, minRow * cellSize - padding);
+    regions.push({
+      x,
+      y,
+      width: Math.min(width, (maxCol + 1) * cellSize + padding) - x,
+      height: Math.min(height, (maxRow + 1) * cellSize + padding) - y
+    });
+  }
+
+  return regions.sort((a, b) => a.y - b.y || a.x - b.x);
+}
+
+/**
+ * Draw rectangle outlines onto an image (mutates and returns it)
+ */
+export function drawBoxes(png, regions, color = [255, 0, 0, 255], thickness = 2) {
+  const setPixel = (x, y) => {
+    if (x < 0 || y < 0 || x >= png.width || y >= png.height) return;
+    png.data.set(color, (y * png.width + x) * 4);
+  };
+
+  for (const { x, y, width, height } of regions) {
+    for (let t = 0; t < thickness; t++) {
+      for (let px = x; px < x + width; px++) {
+        setPixel(px, y + t);
+        setPixel(px, y + height - 1 - t);
+      }
+      for (let py = y; py < y + height; py++) {
+        setPixel(x + t, py);
+        setPixel(x + width - 1 - t, py);
+      }
+    }
+  }
+
+  return png;
+}
+
+/**
+ * Place two images next to each other on a white canvas
+ */
+export function createSideBySide(left, right, options = {}) {
+  const gap = options.gap ?? 16;
+  const leftPNG = left instanceof PNG ? left : readPNG(left);
+  const rightPNG = right instanceof PNG ? right : readPNG(right);
+
+  const width = leftPNG.width + gap + rightPNG.width;
+  const height = Math.max(leftPNG.height, rightPNG.height);
+  const output = new PNG({ width, height });
+  output.data.fill(255);
+
+  PNG.bitblt(leftPNG, output, 0, 0, leftPNG.width, leftPNG.height, 0, 0);
+  PNG.bitblt(rightPNG, output, 0, 0, rightPNG.width, rightPNG.height, leftPNG.width + gap, 0);
+
+  return output;
+}
+
+/**
+ * Blend the current image over the baseline at 50% opacity, paint changed
+ * pixels red and box every changed region
+ */
+export function createOverlay(baseline, current, diffPNG, regions) {
+  const baselinePNG = baseline instanceof PNG ? baseline : readPNG(baseline);
+  const currentPNG = current instanceof PNG ? current : readPNG(current);
+  const { width, height } = diffPNG;
+  const base = padImage(baselinePNG, width, height);
+  const top = padImage(currentPNG, width, height);
+  const output = new PNG({ width, height });
+
+  for (let i = 0; i < output.data.length; i += 4) {
+    const changed = diffPNG.data[i] === 255 && diffPNG.data[i + 1] === 0 && diffPNG.data[i + 2] === 0;
+    if (changed) {
+      output.data.set([255, 0, 0, 255], i);
+      continue;
+    }
+    for (let c = 0; c < 3; c++) {
+      output.data[i + c] = Math.round((base.data[i + c] + top.data[i + c]) / 2);
+    }
+    output.data[i + 3] = 255;
+  }
+
+  return drawBoxes(output, regions, [255, 0, 255, 255]);
+}
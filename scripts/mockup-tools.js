@@ -7,21 +7,69 @@
 
 import { chromium } from '@playwright/test';
 import { promises as fs } from 'fs';
+import os from 'os';
 import path from 'path';
+import { loadConfig, DEFAULT_CONFIG } from './config-loader.js';
+import {
+  compareImages,
+  findDiffRegions,
+  createSideBySide,
+  createOverlay,
+  writePNG
+} from './image-diff.js';
+import { freezePage, gotoStable, screenshotOptions } from './snapshot-stabilizer.js';
+import { createDevServer, listen } from './dev-server.js';
 
 class MockupTools {
-  constructor() {
+  constructor(config = DEFAULT_CONFIG) {
+    this.config = config;
+    this.canvas = config.canvas;
+    this.basePath = process.cwd();
+    this.baseUrl = null;
     this.browser = null;
+    this.server = null;
   }
 
+  /**
+   * Launch the browser and a throwaway dev server on a free port, so
+   * mockups render with the same /styles and /components URLs as in
+   * `ui-canvas serve` without one having to run
+   */
   async init() {
     this.browser = await chromium.launch();
+    this.server = await listen(createDevServer(this.basePath, this.config), 0, '127.0.0.1');
+    this.baseUrl = this.server.url;
   }
 
   async close() {
     if (this.browser) {
       await this.browser.close();
     }
+    if (this.server) {
+      await this.server.close();
+      this.server = null;
+    }
+  }
+
+  /**
+   * Dev server URL of a mockup in the staging, approved or iterations
+   * directory; other files are loaded from disk
+   */
+  urlFor(mockupPath) {
+    const mounts = [
+      [this.canvas.approvedDir, '/mockups/approved'],
+      [this.canvas.stagingDir, '/canvas'],
+      [this.canvas.iterationsDir, '/mockups/iterations']
+    ];
+    const resolved = path.resolve(mockupPath);
+
+    for (const [dir, mount] of mounts) {
+      const relative = path.relative(path.resolve(this.basePath, dir), resolved);
+      if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+        return `${this.baseUrl}${mount}/${relative.split(path.sep).map(encodeURIComponent).join('/')}`;
+      }
+    }
+    return `file://${resolved}`;
   }
 
   /**
@@ -33,40 +81,28 @@ class MockupTools {
     }
 
     const page = await this.browser.newPage();
+    const stabilize = this.config.testing.stabilize;
+    await freezePage(page, stabilize);
     
     // Set consistent viewport for mockups
     await page.setViewportSize({ 
-      width: options.width || 375, 
-      height: options.height || 667 
+      width: options.width || this.canvas.viewport.width, 
+      height: options.height || this.canvas.viewport.height 
     });
 
     try {
-      // Determine URL based on file location
-      let url;
-      if (mockupPath.includes('approved/')) {
-        const filename = path.basename(mockupPath);
-        url = `http://localhost:3000/mockups/approved/${filename}`;
-      } else if (mockupPath.includes('design_iterations/')) {
-        const filename = path.basename(mockupPath);
-        url = `http://localhost:3000/canvas/${filename}`;
-      } else {
-        // Assume it's a direct file path
-        url = `file://${path.resolve(mockupPath)}`;
-      }
+      const url = this.urlFor(mockupPath);
 
       console.log(`📸 Taking screenshot: ${mockupPath} -> ${outputPath}`);
       console.log(`   URL: ${url}`);
 
-      await page.goto(url, { waitUntil: 'networkidle' });
-      
-      // Wait for any animations to settle
-      await page.waitForTimeout(500);
+      await gotoStable(page, url, stabilize);
 
       // Take screenshot
       await page.screenshot({
+        ...screenshotOptions(page, stabilize),
         path: outputPath,
         fullPage: options.fullPage || true,
-        animations: 'disabled',
         ...options
       });
 
@@ -107,22 +143,24 @@ class MockupTools {
    * Archive a mockup with automatic screenshot generation
    */
   async archiveMockup(sourcePath, archiveName) {
+    const { approvedDir, screenshotsDir } = this.canvas;
+
     // Ensure directories exist
-    await fs.mkdir('mockups/approved', { recursive: true });
-    await fs.mkdir('mockups/screenshots', { recursive: true });
+    await fs.mkdir(approvedDir, { recursive: true });
+    await fs.mkdir(screenshotsDir, { recursive: true });
 
     // Copy mockup to approved directory
-    const approvedPath = `mockups/approved/${archiveName}.html`;
+    const approvedPath = path.join(approvedDir, `${archiveName}.html`);
     await fs.copyFile(sourcePath, approvedPath);
 
     console.log(`✅ Archived mockup: ${approvedPath}`);
 
     // Generate reference screenshot
-    const screenshotPath = `mockups/screenshots/${archiveName}.png`;
+    const screenshotPath = path.join(screenshotsDir, `${archiveName}.png`);
     await this.takeScreenshot(approvedPath, screenshotPath);
 
     // Generate responsive screenshots
-    await this.takeResponsiveScreenshots(approvedPath, `mockups/screenshots/${archiveName}-responsive.png`);
+    await this.takeResponsiveScreenshots(approvedPath, path.join(screenshotsDir, `${archiveName}-responsive.png`));
 
     return {
       approved: approvedPath,
@@ -132,9 +170,11 @@ class MockupTools {
   }
 
   /**
-   * Compare two mockups visually
+   * Compare two mockups visually.
+   * Produces an overlay diff (changed regions boxed) at outputDiffPath,
+   * a side-by-side image next to it and a similarity score.
    */
-  async compareMockups(mockup1Path, mockup2Path, outputDiffPath) {
+  async compareMockups(mockup1Path, mockup2Path, outputDiffPath, options = {}) {
     if (!this.browser) {
       throw new Error('Browser not initialized. Call init() first.');
     }
@@ -142,29 +182,64 @@ class MockupTools {
     console.log(`🔍 Comparing: ${mockup1Path} vs ${mockup2Path}`);
 
     // Take screenshots of both mockups
-    const temp1 = 'temp-comparison-1.png';
-    const temp2 = 'temp-comparison-2.png';
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ui-canvas-compare-'));
+    const temp1 = path.join(tempDir, 'comparison-1.png');
+    const temp2 = path.join(tempDir, 'comparison-2.png');
+
+    try {
+      await this.takeScreenshot(mockup1Path, temp1);
+      await this.takeScreenshot(mockup2Path, temp2);
+
+      const comparison = compareImages(temp1, temp2, null, {
+        threshold: options.threshold ?? this.config.testing.comparison.threshold,
+        includeAA: options.includeAA ?? this.config.testing.comparison.includeAA
+      });
+      const regions = comparison.diffImage ? findDiffRegions(comparison.diffImage) : [];
 
-    await this.takeScreenshot(mockup1Path, temp1);
-    await this.takeScreenshot(mockup2Path, temp2);
+      const parsed = path.parse(outputDiffPath);
+      const sideBySidePath = path.join(parsed.dir, `${parsed.name}-side-by-side${parsed.ext || '.png'}`);
+      await fs.mkdir(parsed.dir || '.', { recursive: true });
 
-    // TODO: Implement actual visual diffing
-    // For now, just copy one of the screenshots as placeholder
-    await fs.copyFile(temp1, outputDiffPath);
+      writePNG(createSideBySide(temp1, temp2), sideBySidePath);
+      if (comparison.diffImage) {
+        writePNG(createOverlay(temp1, temp2, comparison.diffImage, regions), outputDiffPath);
+      } else {
+        await fs.copyFile(temp2, outputDiffPath);
+      }
 
-    // Clean up temp files
-    await fs.unlink(temp1);
-    await fs.unlink(temp2);
+      const similarity = Math.round((100 - comparison.diffPercentage) * 100) / 100;
 
-    console.log(`📊 Visual diff saved: ${outputDiffPath}`);
-    console.log(`   Note: Full visual diff implementation pending`);
+      console.log(`📊 Similarity: ${similarity}% (${comparison.diffPixels} of ${comparison.totalPixels} pixels changed)`);
+      if (!comparison.dimensionsMatch) {
+        console.log(`   Size: ${comparison.baselineSize.width}x${comparison.baselineSize.height} → ${comparison.currentSize.width}x${comparison.currentSize.height}`);
+      }
+      console.log(`   Changed regions: ${regions.length}`);
+      regions.slice(0, 10).forEach(({ x, y, width, height }) => {
+        console.log(`     - ${width}x${height} at (${x}, ${y})`);
+      });
+      console.log(`🖼️  Overlay diff saved: ${outputDiffPath}`);
+      console.log(`🖼️  Side-by-side saved: ${sideBySidePath}`);
+
+      return {
+        similarity,
+        diffPixels: comparison.diffPixels,
+        totalPixels: comparison.totalPixels,
+        dimensionsMatch: comparison.dimensionsMatch,
+        regions,
+        overlay: outputDiffPath,
+        sideBySide: sideBySidePath
+      };
+    } finally {
+      // Clean up temp files
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
   }
 
   /**
    * Validate all approved mockups still load correctly
    */
   async validateApprovedMockups() {
-    const approvedDir = 'mockups/approved';
+    const approvedDir = this.canvas.approvedDir;
     let files = [];
     
     try {
@@ -208,9 +283,10 @@ class MockupTools {
 // CLI interface
 async function main() {
   const command = process.argv[2];
-  const tools = new MockupTools();
+  let tools;
 
   try {
+    tools = new MockupTools(await loadConfig());
     await tools.init();
 
     switch (command) {
@@ -285,7 +361,7 @@ async function main() {
     console.error('Error:', error.message);
     process.exit(1);
   } finally {
-    await tools.close();
+    if (tools) await tools.close();
   }
 }
 
@@ -0,0 +1,254 @@
+/**
+ * Module Graph
+ * Resolves JS imports (static, re-exports and dynamic import()) and HTML
+ * <script src> / <link href> references between project files, and finds
+ * import chains that cross layers in a direction the config does not allow
+ * and the files that depend on a given set of files
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { isInside } from './config-loader.js';
+import { FileWalker } from './file-walker.js';
+
+export const LAYER_NAMES = {
+  component: 'Layer 1 (Components)',
+  page: 'Layer 2 (Pages)',
+  workflow: 'Layer 3 (Workflows)'
+};
+
+const JS_EXTENSIONS = ['.js', '.mjs'];
+const PARSED_EXTENSIONS = [...JS_EXTENSIONS, '.html'];
+
+const JS_IMPORTS = [
+  /\bimport\s+(?:[\w*{}\s,$]+\s+from\s+)?["']([^"']+)["']/g,   // import x from '...', import '...'
+  /\bexport\s+(?:\*|\{[^}]*\})(?:\s+as\s+\w+)?\s+from\s+["']([^"']+)["']/g, // export ... from '...'
+  /\bimport\s*\(\s*["'`]([^"'`$]+)["'`]\s*\)/g                  // import('...')
+];
+const HTML_REFERENCES = [
+  /<script\b[^>]*?\ssrc\s*=\s*["']([^"']+)["']/gi,
+  /<link\b[^>]*?\shref\s*=\s*["']([^"']+)["']/gi
+];
+
+export class ModuleGraph {
+  constructor(basePath = process.cwd(), config) {
+    this.basePath = basePath;
+    this.config = config;
+    this.layers = config.layers;
+    this.aliases = config.validation.aliases || {};
+    this.cache = new Map();
+  }
+
+  /**
+   * Layer of a project-relative path, or null for files outside all layers
+   */
+  layerOf(file) {
+    const normalized = toPosix(file);
+    if (isInside(normalized, this.layers.pages)) return 'page';
+    if (isInside(normalized, this.layers.workflows)) return 'workflow';
+    if (isInside(normalized, this.layers.components)) return 'component';
+    return null;
+  }
+
+  /**
+   * Project files a file references: [{ specifier, file, line }]
+   */
+  dependencies(file) {
+    if (!this.cache.has(file)) {
+      this.cache.set(file, this.parse(file));
+    }
+    return this.cache.get(file);
+  }
+
+  parse(file) {
+    const fullPath = path.join(this.basePath, file);
+    if (!PARSED_EXTENSIONS.includes(path.extname(file)) || !fs.existsSync(fullPath)) return [];
+
+    const content = fs.readFileSync(fullPath, 'utf8');
+    const isHTML = file.endsWith('.html');
+    const source = isHTML ? content.replace(/<!--[\s\S]*?-->/g, blankOut) : stripComments(content);
+    const patterns = isHTML ? HTML_REFERENCES : JS_IMPORTS;
+
+    const references = patterns.flatMap(pattern => [...source.matchAll(pattern)]
+      .map(match => ({ specifier: match[1], index: match.index })));
+
+    // Inline <script type="module"> imports in HTML
+    if (isHTML) {
+      inlineScripts(source).forEach(({ code, offset }) => {
+        JS_IMPORTS.forEach(pattern => {
+          for (const match of code.matchAll(pattern)) {
+            references.push({ specifier: match[1], index: offset + match.index });
+          }
+        });
+      });
+    }
+
+    return references
+      .map(({ specifier, index }) => ({
+        specifier,
+        file: this.resolve(specifier, file),
+        line: content.slice(0, index).split('\n').length
+      }))
+      .filter(dependency => dependency.file)
+      .sort((a, b) => a.line - b.line);
+  }
+
+  /**
+   * Project-relative path a specifier points to, or null for packages and URLs
+   */
+  resolve(specifier, fromFile) {
+    const clean = specifier.split(/[?#]/)[0];
+    if (!clean || /^([a-z]+:)?\/\//i.test(clean) || /^(data|blob|mailto):/i.test(clean)) return null;
+
+    let target;
+    if (clean.startsWith('./') || clean.startsWith('../')) {
+      target = path.join(path.dirname(fromFile), clean);
+    } else if (clean.startsWith('/')) {
+      target = this.resolveAbsolute(clean);
+    } else {
+      const alias = Object.keys(this.aliases)
+        .sort((a, b) => b.length - a.length)
+        .find(prefix => clean === prefix || clean.startsWith(`${prefix}/`));
+      if (!alias) return null; // package import
+      target = path.join(this.aliases[alias], clean.slice(alias.length));
+    }
+
+    target = path.normalize(target);
+    if (target.startsWith('..')) return null;
+    return this.withExtension(target);
+  }
+
+  // Same URL layout as the dev server
+  resolveAbsolute(url) {
+    const mounts = {
+      '/components': this.layers.components,
+      '/pages': this.layers.pages,
+      '/workflows': this.layers.workflows,
+      '/styles': path.dirname(this.config.validation.cssSource)
+    };
+    const mount = Object.keys(mounts).find(prefix => url === prefix || url.startsWith(`${prefix}/`));
+    return mount ? path.join(mounts[mount], url.slice(mount.length)) : url.slice(1);
+  }
+
+  withExtension(target) {
+    const candidates = [target, ...JS_EXTENSIONS.map(ext => target + ext), path.join(target, 'index.js')];
+    return candidates.find(candidate => {
+      const fullPath = path.join(this.basePath, candidate);
+      return fs.existsSync(fullPath) && fs.statSync(fullPath).isFile();
+    }) || target;
+  }
+
+  /**
+   * Shortest import chains from `file` into layers it may not depend on.
+   * Files outside every layer (shared helpers) are followed; other layer
+   * files are not, since their own imports are checked on their own.
+   */
+  findViolations(file, allowed) {
+    const layer = this.layerOf(file);
+    const violations = [];
+    const reported = new Set();
+    const visited = new Set([file]);
+    const queue = [[{ file }]];
+
+    while (queue.length > 0) {
+      const chain = queue.shift();
+      const current = chain[chain.length - 1].file;
+
+      for (const dependency of this.dependencies(current)) {
+        if (visited.has(dependency.file)) continue;
+        visited.add(dependency.file);
+
+        const step = [...chain, dependency];
+        const targetLayer = this.layerOf(dependency.file);
+        if (targetLayer) {
+          if (!allowed[layer]?.includes(targetLayer) && !reported.has(dependency.file)) {
+            reported.add(dependency.file);
+            violations.push({ layer, targetLayer, chain: step });
+          }
+        } else {
+          queue.push(step);
+        }
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Every js/mjs/html file in the three layers
+   */
+  layerFiles() {
+    const extensions = PARSED_EXTENSIONS.map(ext => ext.slice(1)).join(',');
+    return new FileWalker(this.basePath, this.config)
+      .find(Object.values(this.layers).map(dir => `${dir}/**/*.{${extensions}}`))
+      .map(file => path.normalize(file));
+  }
+
+  /**
+   * Files that reference any of `files`, directly or through other files,
+   * found by following references out of `roots` (default: all layer files)
+   */
+  dependents(files, roots = this.layerFiles()) {
+    const importers = new Map();
+    const visited = new Set();
+    const queue = [...roots];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (visited.has(current)) continue;
+      visited.add(current);
+
+      for (const dependency of this.dependencies(current)) {
+        if (!importers.has(dependency.file)) importers.set(dependency.file, new Set());
+        importers.get(dependency.file).add(current);
+        queue.push(dependency.file);
+      }
+    }
+
+    const targets = new Set(files.map(file => path.normalize(file)));
+    const found = new Set();
+    const pending = [...targets];
+    while (pending.length > 0) {
+      for (const importer of importers.get(pending.shift()) || []) {
+        if (!targets.has(importer) && !found.has(importer)) {
+          found.add(importer);
+          pending.push(importer);
+        }
+      }
+    }
+
+    return [...found].sort();
+  }
+}
+
+/**
+ * "a.js:3 → lib/b.js:7 → pages/c.js"
+ */
+export function formatChain(chain) {
+  return chain
+    .map((step, index) => {
+      const next = chain[index + 1];
+      return `${toPosix(step.file)}${next ? `:${next.line}` : ''}`;
+    })
+    .join(' → ');
+}
+
+function inlineScripts(html) {
+  return [...html.matchAll(/(<script\b(?![^>]*\ssrc\s*=)[^>]*>)([\s\S]*?)<\/script>/gi)]
+    .map(match => ({ code: stripComments(match[2]), offset: match.index + match[1].length }));
+}
+
+// Keep offsets (and so line numbers) stable while hiding commented-out imports
+function stripComments(code) {
+  return code
+    .replace(/\/\*[\s\S]*?\*\//g, blankOut)
+    .replace(/(^|[^:\\])\/\/.*$/gm, (match, lead) => lead + blankOut(match.slice(lead.length)));
+}
+
+function blankOut(text) {
+  return text.replace(/[^\n]/g, ' ');
+}
+
+function toPosix(file) {
+  return file.split(path.sep).join('/').replace(/^\.\//, '');
+}
@@ -3,15 +3,23 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { glob } from 'glob';
+import { loadConfig, layerForPath, DEFAULT_CONFIG } from './config-loader.js';
+import { FileWalker } from './file-walker.js';
+import { analyzeComponentSource, attributeValueError } from './component-analyzer.js';
+import { createCustomElementsManifest, EXPORT_FORMATS, DEFAULT_EXPORT_FILE } from './custom-elements-manifest.js';
+import { loadStories, storiesPathFor, storyMarkup, STORIES_SUFFIX } from './component-stories.js';
+import { openChangeSet } from './changed-files.js';
+import { registrySuite, writeReport, assertReporter } from './result-reporters.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 export class RegistryManager {
-  constructor(basePath = process.cwd()) {
+  constructor(basePath = process.cwd(), config = DEFAULT_CONFIG) {
     this.basePath = basePath;
-    this.manifestPath = path.join(basePath, 'components/manifest.json');
+    this.config = config;
+    this.layers = config.layers;
+    this.manifestPath = path.join(basePath, config.layers.components, 'manifest.json');
     this.manifest = null;
   }
 
@@ -44,10 +52,6 @@ export class RegistryManager {
 
   async saveManifest() {
     try {
-      // Update stats
-      this.manifest.stats.totalComponents = Object.keys(this.manifest.components).length;
-      this.manifest.stats.lastUpdated = new Date().toISOString();
-      
       // Ensure directory exists
       const dir = path.dirname(this.manifestPath);
       if (!fs.existsSync(dir)) {
@@ -55,47 +59,66 @@ export class RegistryManager {
       }
 
       // Write with pretty formatting
-      fs.writeFileSync(this.manifestPath, JSON.stringify(this.manifest, null, 2));
+      fs.writeFileSync(this.manifestPath, this.serializeManifest());
     } catch (error) {
       throw new Error(`Failed to save manifest: ${error.message}`);
     }
   }
 
+  serializeManifest() {
+    this.manifest.stats.totalComponents = Object.keys(this.manifest.components).length;
+    this.manifest.stats.lastUpdated = new Date().toISOString();
+    return JSON.stringify(this.manifest, null, 2);
+  }
+
+  async findComponentFiles() {
+    // Stories are companions, not components
+    const walker = new FileWalker(this.basePath, this.config);
+    return [this.layers.components, this.layers.pages, this.layers.workflows]
+      .flatMap(dir => walker.find(`${dir}/**/*.js`, { ignore: [`**/*${STORIES_SUFFIX}`] }));
+  }
+
+  /**
+   * Component files on disk that have no manifest entry
+   */
+  async findUnregistered() {
+    await this.loadManifest();
+    const files = await this.findComponentFiles();
+    return files.filter(file => !this.manifest.components[path.basename(file, '.js')]);
+  }
+
+  addToManifest({ name, metadata }) {
+    this.manifest.components[name] = metadata;
+    this.manifest.layers[metadata.layer][name] = {
+      path: metadata.path,
+      props: metadata.props,
+      lastModified: metadata.lastModified
+    };
+  }
+
   async scanComponents() {
     console.log('🔍 Scanning for components...');
     
     await this.loadManifest();
     
-    // Find all component files
-    const componentFiles = await glob('components/**/*.js', { cwd: this.basePath });
-    const pageFiles = await glob('pages/**/*.js', { cwd: this.basePath });
-    const workflowFiles = await glob('workflows/**/*.js', { cwd: this.basePath });
-    
     let scanned = 0;
     let added = 0;
     let updated = 0;
 
     // Process each component file
-    for (const file of [...componentFiles, ...pageFiles, ...workflowFiles]) {
+    for (const file of await this.findComponentFiles()) {
       const result = await this.analyzeComponent(file);
       if (result) {
-        const { name, metadata } = result;
-        const existing = this.manifest.components[name];
+        const existing = this.manifest.components[result.name];
         
         if (!existing) {
-          this.manifest.components[name] = metadata;
           added++;
-        } else if (JSON.stringify(existing) !== JSON.stringify(metadata)) {
-          this.manifest.components[name] = metadata;
+        } else if (JSON.stringify(existing) !== JSON.stringify(result.metadata)) {
           updated++;
         }
         
-        // Update layer index
-        this.manifest.layers[metadata.layer][name] = {
-          path: metadata.path,
-          props: metadata.props,
-          lastModified: metadata.lastModified
-        };
+        // Update component entry and layer index
+        this.addToManifest(result);
       }
       scanned++;
     }
@@ -120,15 +143,16 @@ export class RegistryManager {
       const name = path.basename(filePath, '.js');
       
       // Determine layer from path
-      let layer = 'component';
-      if (filePath.startsWith('pages/')) layer = 'page';
-      if (filePath.startsWith('workflows/')) layer = 'workflow';
+      const layer = layerForPath(filePath, this.config);
       
       // Extract metadata from component file
       const metadata = this.extractMetadata(content, filePath, stats);
       
       if (!metadata) return null;
       
+      const storiesFile = storiesPathFor(filePath);
+      metadata.stories = fs.existsSync(path.join(this.basePath, storiesFile)) ? storiesFile : null;
+      
       return {
         name,
         metadata: {
@@ -146,52 +170,32 @@ export class RegistryManager {
     }
   }
 
+  /**
+   * Read the component's API from its AST; see component-analyzer.js
+   */
   extractMetadata(content, filePath, stats) {
-    const metadata = {
-      props: [],
-      description: '',
-      version: '1.0.0',
-      dependencies: [],
-      examples: []
-    };
-
-    // Extract props from observedAttributes
-    const observedMatch = content.match(/static get observedAttributes\(\)\s*\{\s*return\s*\[(.*?)\]/s);
-    if (observedMatch) {
-      const propsString = observedMatch[1];
-      metadata.props = propsString
-        .split(',')
-        .map(prop => prop.trim().replace(/['"]/g, ''))
-        .filter(prop => prop.length > 0);
-    }
-
-    // Extract description from JSDoc comment
-    const descMatch = content.match(/\/\*\*\s*\n\s*\*\s*(.*?)\n/);
-    if (descMatch) {
-      metadata.description = descMatch[1].trim();
-    }
-
-    // Extract version from comment
-    const versionMatch = content.match(/@version\s+(\d+\.\d+\.\d+)/);
-    if (versionMatch) {
-      metadata.version = versionMatch[1];
-    }
+    const { tagName, className, baseClass, baseClassImport, description, version, attributes, properties, events, slots, cssParts, jsdoc, exports, dependencies, bemClasses } =
+      analyzeComponentSource(content, filePath);
 
-    // Extract dependencies (imports)
-    const imports = content.match(/import.*?from\s+['"](.*?)['"]/g) || [];
-    metadata.dependencies = imports
-      .map(imp => imp.match(/from\s+['"](.*?)['"]/)?.[1])
-      .filter(dep => dep && dep.startsWith('./'))
-      .map(dep => dep.replace('./', ''));
-
-    // Extract BEM class names
-    const bemClasses = content.match(/className\s*=\s*[`'"]([^`'"]+)[`'"]/g) || [];
-    metadata.bemClasses = bemClasses
-      .map(cls => cls.match(/[`'"]([^`'"]+)[`'"]/)?.[1])
-      .filter(cls => cls)
-      .map(cls => cls.split(' ')[0]); // Get base class
-
-    return metadata;
+    return {
+      tagName,
+      className,
+      baseClass,
+      baseClassImport,
+      props: attributes.map(attribute => attribute.name),
+      attributes,
+      properties,
+      events,
+      slots,
+      cssParts,
+      description,
+      version,
+      jsdoc,
+      exports,
+      dependencies,
+      examples: [],
+      bemClasses
+    };
   }
 
   async listComponents(options = {}) {
@@ -335,6 +339,18 @@ export class RegistryManager {
       console.warn(`Could not read component file: ${component.path}`);
     }
     
+    // Stories double as usage examples
+    let stories = [];
+    let tagName = component.name;
+    if (component.stories) {
+      try {
+        ({ component: tagName, stories } = await loadStories(this.basePath, component.path));
+      } catch (error) {
+        console.warn(`⚠️  ${error.message}`);
+      }
+    }
+    const attributes = componentAttributes(component);
+    
     const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -391,10 +407,49 @@ export class RegistryManager {
     <div class="section">
         <h2>Usage</h2>
         <div class="usage-example">
-            <code>&lt;${component.name}${component.props.map(prop => ` ${prop}="value"`).join('')}&gt;&lt;/${component.name}&gt;</code>
+            <code>&lt;${component.name}${attributes.map(attribute => ` ${escapeHTML(attribute.name)}${attribute.type === 'boolean' ? '' : `="${escapeHTML(exampleValue(attribute))}"`}`).join('')}&gt;&lt;/${component.name}&gt;</code>
         </div>
     </div>
     
+    ${stories.length > 0 ? `
+    <div class="section">
+        <h2>Stories</h2>
+        ${stories.map(story => `
+            <h3>${story.name}</h3>
+            ${story.description ? `<p>${story.description}</p>` : ''}
+            <pre>${escapeHTML(storyMarkup(tagName, story))}</pre>
+            ${Object.keys(story.properties).length > 0 ? `<p><strong>Properties:</strong> <code>${escapeHTML(JSON.stringify(story.properties))}</code></p>` : ''}
+            ${story.interactions.length > 0 ? `<p><strong>Interactions:</strong> ${story.interactions.map(step => `<code>${step.action}${step.selector ? ` ${escapeHTML(step.selector)}` : ''}</code>`).join(' → ')}</p>` : ''}
+        `).join('')}
+        <p>Source: <code>${component.stories}</code></p>
+    </div>
+    ` : ''}
+    
+    <div class="section">
+        <h2>Attributes</h2>
+        <table class="props-table">
+            <thead>
+                <tr>
+                    <th>Attribute</th>
+                    <th>Type</th>
+                    <th>Default</th>
+                    <th>Description</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${attributes.length > 0 ? attributes.map(attribute => `
+                    <tr>
+                        <td><code>${escapeHTML(attribute.name)}</code>${attribute.required ? ' <strong>(required)</strong>' : ''}</td>
+                        <td>${typeLabel(attribute)}</td>
+                        <td>${attribute.default !== undefined ? `<code>${escapeHTML(attribute.default)}</code>` : ''}</td>
+                        <td>${escapeHTML(attribute.description || '')}</td>
+                    </tr>
+                `).join('') : '<tr><td colspan="4">No attributes</td></tr>'}
+            </tbody>
+        </table>
+    </div>
+    
+    ${component.properties?.length > 0 ? `
     <div class="section">
         <h2>Properties</h2>
         <table class="props-table">
@@ -402,20 +457,27 @@ export class RegistryManager {
                 <tr>
                     <th>Property</th>
                     <th>Type</th>
+                    <th>Default</th>
                     <th>Description</th>
                 </tr>
             </thead>
             <tbody>
-                ${component.props.length > 0 ? component.props.map(prop => `
+                ${component.properties.map(property => `
                     <tr>
-                        <td><code>${prop}</code></td>
-                        <td>string</td>
-                        <td>Component ${prop}</td>
+                        <td><code>${escapeHTML(property.name)}</code>${property.readonly ? ' (read-only)' : ''}</td>
+                        <td>${typeLabel(property)}</td>
+                        <td>${property.default !== undefined ? `<code>${escapeHTML(property.default)}</code>` : ''}</td>
+                        <td>${escapeHTML(property.description || '')}</td>
                     </tr>
-                `).join('') : '<tr><td colspan="3">No properties</td></tr>'}
+                `).join('')}
             </tbody>
         </table>
     </div>
+    ` : ''}
+    
+    ${apiSection('Events', component.events, event => `<code>${escapeHTML(event.name)}</code>${event.type ? ` (${event.type})` : ''}`)}
+    ${apiSection('Slots', component.slots, slot => slot.name ? `<code>${escapeHTML(slot.name)}</code>` : 'Default slot')}
+    ${apiSection('CSS Parts', component.cssParts, part => `<code>::part(${escapeHTML(part.name)})</code>`)}
     
     <div class="section">
         <h2>BEM Classes</h2>
@@ -437,37 +499,79 @@ export class RegistryManager {
     fs.writeFileSync(path.join(outputPath, `${component.name}.html`), html);
   }
 
-  async validateRegistry() {
+  /**
+   * Write the registry in a format other tools read. Only `custom-elements`
+   * (a Custom Elements Manifest) is supported so far.
+   */
+  async exportRegistry(format = 'custom-elements', outputPath = DEFAULT_EXPORT_FILE) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Unknown export format "${format}". Use: ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    await this.loadManifest();
+
+    const components = Object.values(this.manifest.components);
+    const outdated = components.filter(component => !component.className && !component.attributes);
+    if (outdated.length > 0) {
+      console.log(`⚠️  ${outdated.length} components were registered before class metadata was recorded - run 'ui-canvas registry scan' first`);
+    }
+
+    const manifest = createCustomElementsManifest(components);
+    const fullPath = path.resolve(this.basePath, outputPath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, `${JSON.stringify(manifest, null, 2)}\n`);
+
+    const declarations = manifest.modules.flatMap(module => module.declarations);
+    const elements = declarations.filter(declaration => declaration.customElement).length;
+    console.log(`✅ Exported ${elements} custom elements (${declarations.length} classes) to ${outputPath}`);
+    console.log(`💡 Point tools at it with "customElements": "${outputPath}" in package.json`);
+    return { format, outputPath, elements, classes: declarations.length };
+  }
+
+  /**
+   * With a ChangeSet only components whose file (or the manifest) changed
+   * are checked
+   */
+  async validateRegistry(changes = null) {
     console.log('🔍 Validating component registry...');
     
     await this.loadManifest();
     
     const issues = [];
+    const components = [];
     let valid = 0;
+    const manifestFile = path.relative(this.basePath, this.manifestPath);
+    const entries = Object.entries(this.manifest.components)
+      .filter(([, component]) => !changes || changes.affects(component.path, manifestFile));
     
-    for (const [name, component] of Object.entries(this.manifest.components)) {
+    for (const [name, component] of entries) {
       const componentIssues = [];
       
       // Check if file exists
       const filePath = path.join(this.basePath, component.path);
       if (!fs.existsSync(filePath)) {
-        componentIssues.push(`File not found: ${component.path}`);
+        componentIssues.push({ rule: 'missing-file', message: `File not found: ${component.path}` });
       }
       
       // Check naming convention
       if (!name.includes('-')) {
-        componentIssues.push('Component name must contain hyphen (web component standard)');
+        componentIssues.push({ rule: 'invalid-tag-name', message: 'Component name must contain hyphen (web component standard)' });
       }
       
       // Check layer consistency
-      const expectedLayer = component.path.startsWith('pages/') ? 'page' : 
-                           component.path.startsWith('workflows/') ? 'workflow' : 'component';
+      const expectedLayer = layerForPath(component.path, this.config);
       if (component.layer !== expectedLayer) {
-        componentIssues.push(`Layer mismatch: expected ${expectedLayer}, got ${component.layer}`);
+        componentIssues.push({ rule: 'layer-mismatch', message: `Layer mismatch: expected ${expectedLayer}, got ${component.layer}` });
       }
       
+      // Check @attr defaults and story values against the documented types
+      if (fs.existsSync(filePath)) {
+        componentIssues.push(...await this.validateTypes(component));
+      }
+      
+      components.push({ name, file: component.path, issues: componentIssues });
       if (componentIssues.length > 0) {
-        issues.push({ component: name, issues: componentIssues });
+        issues.push({ component: name, file: component.path, issues: componentIssues });
       } else {
         valid++;
       }
@@ -481,17 +585,102 @@ export class RegistryManager {
       console.log('\n🚨 Issues found:');
       issues.forEach(({ component, issues }) => {
         console.log(`   ${component}:`);
-        issues.forEach(issue => console.log(`     - ${issue}`));
+        issues.forEach(issue => console.log(`     - ${issue.message}`));
       });
     }
     
-    return { valid, issues };
+    return { valid, issues, components };
+  }
+
+  /**
+   * Defaults that don't match their own @attr type, and stories setting
+   * typed attributes to invalid values or leaving out required ones.
+   * Reads the current source, so edits count before the next scan.
+   */
+  async validateTypes(component) {
+    const issues = [];
+    let attributes;
+    try {
+      ({ attributes } = analyzeComponentSource(fs.readFileSync(path.join(this.basePath, component.path), 'utf8'), component.path));
+    } catch (error) {
+      return [{ rule: 'parse-error', message: error.message }];
+    }
+
+    attributes.filter(attribute => attribute.default !== undefined).forEach(attribute => {
+      const error = attributeValueError(attribute, attribute.default);
+      if (error) issues.push({ rule: 'invalid-default', message: `Default ${error}` });
+    });
+
+    if (!attributes.some(attribute => attribute.type || attribute.required)) return issues;
+    if (!fs.existsSync(path.join(this.basePath, storiesPathFor(component.path)))) return issues;
+
+    let stories;
+    try {
+      ({ stories } = await loadStories(this.basePath, component.path));
+    } catch (error) {
+      return [...issues, { rule: 'invalid-stories', message: error.message }];
+    }
+
+    stories.forEach(story => {
+      attributes.forEach(attribute => {
+        const value = story.attributes[attribute.name];
+        if (value === undefined || value === null || value === false) {
+          if (attribute.required) {
+            issues.push({ rule: 'invalid-story-attribute', message: `Story "${story.name}" is missing required attribute ${attribute.name}` });
+          }
+          return;
+        }
+        const error = attributeValueError(attribute, value === true ? '' : String(value));
+        if (error) issues.push({ rule: 'invalid-story-attribute', message: `Story "${story.name}": ${error}` });
+      });
+    });
+
+    return issues;
   }
 }
 
+// Registry entries from before typed attributes only have prop names
+function componentAttributes(component) {
+  return component.attributes || component.props.map(name => ({ name }));
+}
+
+// "priority: 'low'|'high' = low", "task-id: string (required)"
+function attributeSummary(attribute) {
+  return `${attribute.name}${attribute.type ? `: ${attribute.type}` : ''}${attribute.default !== undefined ? ` = ${attribute.default}` : ''}${attribute.required ? ' (required)' : ''}`;
+}
+
+function typeLabel(entry) {
+  if (entry.values) return entry.values.map(value => `<code>${escapeHTML(value)}</code>`).join(' | ');
+  return entry.type ? `<code>${escapeHTML(entry.type)}</code>` : '';
+}
+
+function exampleValue(attribute) {
+  return attribute.default ?? attribute.values?.[0] ?? (attribute.type === 'number' ? '0' : 'value');
+}
+
+// A list section of the component docs, left out when there is nothing to list
+function apiSection(title, items = [], label) {
+  if (items.length === 0) return '';
+  return `<div class="section">
+        <h2>${title}</h2>
+        <ul>
+            ${items.map(item => `<li>${label(item)}${item.description ? ` - ${escapeHTML(item.description)}` : ''}</li>`).join('')}
+        </ul>
+    </div>`;
+}
+
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 // CLI interface
 export async function registryCommand(action, options = {}) {
-  const registry = new RegistryManager();
+  const config = await loadConfig();
+  const registry = new RegistryManager(process.cwd(), config);
   
   switch (action) {
     case 'init':
@@ -513,7 +702,7 @@ export async function registryCommand(action, options = {}) {
       console.log(`📋 Found ${components.length} components:\n`);
       components.forEach(comp => {
         console.log(`🧩 ${comp.name} (${comp.layer})`);
-        if (comp.description) console.log(`   ${comp.description}`);
+        if (comp.description) console.log(`   ${comp.description.split('\n')[0]}`);
         if (comp.props.length > 0) console.log(`   Props: ${comp.props.join(', ')}`);
         console.log(`   File: ${comp.path}`);
         console.log('');
@@ -529,9 +718,13 @@ export async function registryCommand(action, options = {}) {
       
       console.log(`🧩 ${component.name}`);
       console.log(`Description: ${component.description || 'No description'}`);
+      if (component.className) console.log(`Class: ${component.className}${component.baseClass ? ` extends ${component.baseClass}` : ''}`);
       console.log(`Layer: ${component.layer}`);
       console.log(`Version: ${component.version}`);
-      console.log(`Props: ${component.props.join(', ') || 'None'}`);
+      console.log(`Props: ${componentAttributes(component).map(attributeSummary).join(', ') || 'None'}`);
+      if (component.events?.length) console.log(`Events: ${component.events.map(event => event.name).join(', ')}`);
+      if (component.slots?.length) console.log(`Slots: ${component.slots.map(slot => slot.name || '(default)').join(', ')}`);
+      if (component.cssParts?.length) console.log(`CSS Parts: ${component.cssParts.map(part => part.name).join(', ')}`);
       console.log(`File: ${component.path}`);
       console.log(`Last Modified: ${new Date(component.lastModified).toLocaleString()}`);
       break;
@@ -539,8 +732,32 @@ export async function registryCommand(action, options = {}) {
     case 'docs':
       return await registry.generateDocs(options.output);
       
-    case 'validate':
-      return await registry.validateRegistry();
+    case 'export':
+      try {
+        return await registry.exportRegistry(options.format, options.output);
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+      }
+      
+    case 'validate': {
+      try {
+        assertReporter(options.reporter);
+        const changes = openChangeSet(options.changed, config);
+        const started = Date.now();
+        const results = await registry.validateRegistry(changes);
+        if (options.reporter) {
+          writeReport(options.reporter, [registrySuite(results, Date.now() - started)], options.outputFile);
+        }
+        if (results.issues.length > 0) {
+          process.exit(1);
+        }
+        return results;
+      } catch (error) {
+        console.error('❌ Registry validation failed:', error.message);
+        process.exit(1);
+      }
+    }
       
     default:
       console.error(`Unknown registry action: ${action}`);
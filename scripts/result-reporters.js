@@ -0,0 +1,268 @@
+/**
+ * Result Reporters
+ * Turns architecture, registry, token, visual and accessibility results
+ * into test suites and writes them as JUnit XML or JSON for CI dashboards
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const REPORTERS = {
+  junit: { extension: 'xml', label: 'JUnit' },
+  json: { extension: 'json', label: 'JSON' }
+};
+
+// status: passed | failed | error | skipped. Warnings that don't fail the
+// command are reported as passed tests carrying their message.
+
+export function architectureSuite(violations, time = 0) {
+  const tests = violations.map(violation => ({
+    ...violationTest({
+      file: violation.file,
+      line: violation.line,
+      rule: violation.type,
+      severity: violation.severity,
+      message: violation.description
+    }),
+    status: violation.severity === 'error' ? 'failed' : 'passed'
+  }));
+
+  return suite('architecture', tests, time);
+}
+
+export function registrySuite(results, time = 0) {
+  const tests = results.components.map(({ name, file, issues }) => ({
+    name,
+    classname: file,
+    file,
+    status: issues.length > 0 ? 'failed' : 'passed',
+    ...(issues.length > 0 && {
+      rule: issues[0].rule,
+      severity: 'error',
+      message: issues.map(issue => issue.message).join('; '),
+      details: issues.map(issue => `${issue.rule}: ${issue.message}`).join('\n')
+    })
+  }));
+
+  return suite('registry', tests, time);
+}
+
+export function tokenSuite(results, time = 0) {
+  // Any token violation fails `ui-canvas tokens`, warnings included
+  const tests = results.issues.map(issue => violationTest({
+    file: issue.file,
+    line: issue.line,
+    rule: issue.type,
+    severity: issue.severity,
+    message: issue.message,
+    details: [
+      issue.content,
+      issue.suggestion && `Suggestion: ${issue.suggestion}`,
+      issue.details && issue.details.join(', ')
+    ].filter(Boolean).join('\n')
+  }));
+
+  return suite('tokens', tests, time);
+}
+
+export function visualSuite(results, time = 0) {
+  const tests = results.cases.map(testCase => ({
+    name: testCase.name,
+    classname: testCase.file,
+    file: testCase.file,
+    rule: testCase.type === 'fidelity' ? 'mockup-fidelity' : 'visual-regression',
+    status: testCase.status === 'updated' ? 'passed' : testCase.status,
+    time: testCase.time,
+    ...(testCase.status !== 'passed' && { severity: 'error' }),
+    ...(testCase.message && { message: testCase.message })
+  }));
+
+  // Errors not tied to a snapshot (bad stories files, browser launch...)
+  const caseErrors = new Set(results.cases.filter(testCase => testCase.status === 'error').map(testCase => testCase.message));
+  results.errors
+    .filter(error => !caseErrors.has(error) && !results.failures.some(failure => error.startsWith(`${failure.name}:`)))
+    .forEach(error => tests.push(errorTest('visual', error)));
+
+  return suite('visual', tests, time);
+}
+
+export function a11ySuite(results, severities, time = 0) {
+  const threshold = severities.indexOf(results.failOn);
+  const tests = results.violations.map(violation => ({
+    ...violationTest({
+      file: violation.source,
+      rule: violation.rule,
+      severity: violation.severity,
+      message: `${violation.message} (${violation.selector})`,
+      details: [violation.details, violation.helpUrl].filter(Boolean).join('\n')
+    }),
+    name: `${violation.target}: ${violation.rule} ${violation.selector}`,
+    status: severities.indexOf(violation.severity) >= threshold ? 'failed' : 'passed'
+  }));
+
+  results.errors.forEach(error => tests.push(errorTest('a11y', error)));
+  return suite('a11y', tests, time);
+}
+
+/**
+ * A stage that crashed before producing results
+ */
+export function errorSuite(name, error) {
+  return suite(name, [{ ...errorTest(name, error.message || String(error)), name }]);
+}
+
+function violationTest({ file: rawFile, line, rule, severity, message, details }) {
+  const file = rawFile && toPosix(rawFile);
+  const location = file ? `${file}${line ? `:${line}` : ''}` : null;
+  return {
+    name: location ? `${rule} ${location}` : rule,
+    classname: file || rule,
+    ...(file && { file }),
+    ...(line && { line }),
+    rule,
+    severity,
+    status: 'failed',
+    message,
+    ...(details && { details })
+  };
+}
+
+function errorTest(suiteName, message) {
+  return { name: firstLine(message).split(':')[0], classname: suiteName, rule: 'error', severity: 'error', status: 'error', message };
+}
+
+function suite(name, tests, time = 0) {
+  // A clean run still shows up as one passing test
+  const cases = tests.length > 0 ? tests : [{ name, classname: name, status: 'passed' }];
+  return {
+    name,
+    time,
+    tests: cases.map(test => ({ ...test, file: test.file && toPosix(test.file) }))
+  };
+}
+
+export function summarize(tests) {
+  return {
+    tests: tests.length,
+    passed: tests.filter(test => test.status === 'passed').length,
+    failed: tests.filter(test => test.status === 'failed').length,
+    errors: tests.filter(test => test.status === 'error').length,
+    skipped: tests.filter(test => test.status === 'skipped').length
+  };
+}
+
+export function formatJSON(suites, timestamp = new Date()) {
+  const all = suites.flatMap(s => s.tests);
+  return JSON.stringify({
+    tool: 'ui-canvas',
+    timestamp: timestamp.toISOString(),
+    summary: summarize(all),
+    suites: suites.map(s => ({ name: s.name, time: s.time, summary: summarize(s.tests), tests: s.tests }))
+  }, null, 2) + '\n';
+}
+
+export function formatJUnit(suites, timestamp = new Date()) {
+  const all = summarize(suites.flatMap(s => s.tests));
+  const seconds = ms => ((ms || 0) / 1000).toFixed(3);
+  const totalTime = suites.reduce((sum, s) => sum + (s.time || 0), 0);
+
+  const testcase = test => {
+    const attributes = attrs({
+      name: test.name,
+      classname: test.classname,
+      file: test.file,
+      line: test.line,
+      time: seconds(test.time)
+    });
+    const body = [
+      test.status === 'failed' && `<failure ${attrs({ type: test.rule, message: firstLine(test.message) })}>${escapeXML(failureText(test))}</failure>`,
+      test.status === 'error' && `<error ${attrs({ type: test.rule, message: firstLine(test.message) })}>${escapeXML(failureText(test))}</error>`,
+      test.status === 'skipped' && '<skipped/>',
+      test.status === 'passed' && test.message && `<system-out>${escapeXML(failureText(test))}</system-out>`
+    ].filter(Boolean);
+
+    return body.length > 0
+      ? `    <testcase ${attributes}>\n      ${body.join('\n      ')}\n    </testcase>`
+      : `    <testcase ${attributes}/>`;
+  };
+
+  const testsuite = s => {
+    const summary = summarize(s.tests);
+    return `  <testsuite ${attrs({
+      name: s.name,
+      tests: summary.tests,
+      failures: summary.failed,
+      errors: summary.errors,
+      skipped: summary.skipped,
+      time: seconds(s.time),
+      timestamp: timestamp.toISOString()
+    })}>\n${s.tests.map(testcase).join('\n')}\n  </testsuite>`;
+  };
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites ${attrs({ name: 'ui-canvas', tests: all.tests, failures: all.failed, errors: all.errors, skipped: all.skipped, time: seconds(totalTime) })}>
+${suites.map(testsuite).join('\n')}
+</testsuites>
+`;
+}
+
+function firstLine(text) {
+  return text && String(text).split('\n')[0];
+}
+
+function failureText(test) {
+  return [
+    test.severity && `severity: ${test.severity}`,
+    test.rule && `rule: ${test.rule}`,
+    test.file && `file: ${test.file}${test.line ? `:${test.line}` : ''}`,
+    test.message,
+    test.details
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Write suites in the chosen format. Returns the path written.
+ */
+export function writeReport(reporter, suites, outputFile) {
+  const format = REPORTERS[reporter];
+  if (!format) {
+    throw new Error(`Unknown reporter "${reporter}". Use: ${Object.keys(REPORTERS).join(', ')}`);
+  }
+
+  const file = path.resolve(outputFile || `ui-canvas-results.${format.extension}`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, reporter === 'junit' ? formatJUnit(suites) : formatJSON(suites));
+
+  console.log(`\n📋 ${format.label} results saved to ${path.relative(process.cwd(), file) || file}`);
+  return file;
+}
+
+/**
+ * Fail fast on a bad --reporter before any checks run
+ */
+export function assertReporter(reporter) {
+  if (reporter && !REPORTERS[reporter]) {
+    throw new Error(`Unknown reporter "${reporter}". Use: ${Object.keys(REPORTERS).join(', ')}`);
+  }
+}
+
+function attrs(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}="${escapeXML(value)}"`)
+    .join(' ');
+}
+
+function escapeXML(value) {
+  return String(value)
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function toPosix(file) {
+  return file.split(path.sep).join('/').replace(/^\.\//, '');
+}
@@ -0,0 +1,152 @@
+/**
+ * SARIF Output
+ * Writes architecture and token violations as a SARIF 2.1.0 log so code
+ * review tools can annotate pull requests inline
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+
+const require = createRequire(import.meta.url);
+const { version, homepage } = require('../package.json');
+
+export const FORMATS = ['sarif'];
+
+const LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+/**
+ * Architecture violations ({ type, severity, file, line, description }) with
+ * the rules they are reported under
+ */
+export function architectureResults(violations, rules) {
+  return {
+    rules,
+    results: violations.map(violation => ({
+      ruleId: violation.type,
+      severity: violation.severity,
+      file: violation.file,
+      line: violation.line,
+      message: violation.description
+    }))
+  };
+}
+
+/**
+ * CSS token violations ({ type, severity, file, line, message, ... })
+ */
+export function tokenResults(issues, rules) {
+  return {
+    rules,
+    results: issues.map(issue => ({
+      ruleId: issue.type,
+      severity: issue.severity,
+      file: issue.file,
+      line: issue.line,
+      message: [
+        issue.message,
+        issue.details && `: ${issue.details.join(', ')}`,
+        issue.suggestion && `. ${issue.suggestion}`
+      ].filter(Boolean).join('')
+    }))
+  };
+}
+
+/**
+ * Build one SARIF run from any number of { rules, results } sources.
+ * File paths are relative to the project root (%SRCROOT%).
+ */
+export function createSarifLog(sources, basePath = process.cwd()) {
+  const rules = [];
+  const ruleIndex = new Map();
+
+  const addRule = (id, severity, description) => {
+    if (!ruleIndex.has(id)) {
+      ruleIndex.set(id, rules.length);
+      rules.push({
+        id,
+        shortDescription: { text: description || id },
+        defaultConfiguration: { level: LEVELS[severity] || 'warning' },
+        helpUri: homepage
+      });
+    }
+    return ruleIndex.get(id);
+  };
+
+  sources.forEach(source => {
+    source.rules.forEach(rule => addRule(rule.id, rule.severity, rule.description));
+  });
+
+  const results = sources.flatMap(source => source.results.map(result => ({
+    ruleId: result.ruleId,
+    // Unknown types still get a rule entry so the log stays valid
+    ruleIndex: addRule(result.ruleId, result.severity),
+    level: LEVELS[result.severity] || 'warning',
+    message: { text: result.message },
+    ...(result.file && {
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: toUri(result.file), uriBaseId: '%SRCROOT%' },
+          ...(result.line && { region: { startLine: result.line } })
+        }
+      }]
+    })
+  })));
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'ui-canvas',
+          version,
+          informationUri: homepage.replace(/#readme$/, ''),
+          rules
+        }
+      },
+      originalUriBaseIds: {
+        '%SRCROOT%': { uri: `${pathToFileURL(basePath).href.replace(/\/?$/, '/')}` }
+      },
+      results
+    }]
+  };
+}
+
+/**
+ * Write a SARIF log. Returns the path written.
+ */
+export function writeSarif(log, outputFile) {
+  const file = path.resolve(outputFile || 'ui-canvas-results.sarif');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(log, null, 2) + '\n');
+
+  const count = log.runs.reduce((sum, run) => sum + run.results.length, 0);
+  console.log(`\n📋 SARIF log with ${count} result(s) saved to ${path.relative(process.cwd(), file) || file}`);
+  return file;
+}
+
+/**
+ * Fail fast on a bad --format, or on --format and --reporter sharing one --output-file
+ */
+export function assertFormat(options = {}) {
+  if (options.format && !FORMATS.includes(options.format)) {
+    throw new Error(`Unknown format "${options.format}". Use: ${FORMATS.join(', ')}`);
+  }
+  if (options.format && options.reporter && options.outputFile && !options.sarifFile) {
+    throw new Error('--output-file is where --reporter writes - give the SARIF log its own path with --sarif-file');
+  }
+}
+
+/**
+ * Where --format sarif writes: --sarif-file, else --output-file when no
+ * --reporter claims it, else the default
+ */
+export function sarifFile(options = {}) {
+  return options.sarifFile || (options.reporter ? undefined : options.outputFile);
+}
+
+function toUri(file) {
+  return file.split(path.sep).join('/').replace(/^\.\//, '').split('/').map(encodeURIComponent).join('/');
+}
@@ -0,0 +1,140 @@
+/**
+ * Snapshot Index
+ * Records which source file and test case produced every baseline
+ * (<snapshotsDir>/index.json) and finds baselines and stray artifacts that
+ * no longer belong to any component, page or mockup
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const INDEX_FILE = 'index.json';
+
+// Comparison artifacts written into the baseline folder by older versions
+const ARTIFACT_SUFFIXES = ['-diff', '-current'];
+
+export class SnapshotIndex {
+  constructor(basePath, snapshotsDir) {
+    this.basePath = basePath;
+    this.snapshotsDir = snapshotsDir;
+    this.indexPath = path.join(snapshotsDir, INDEX_FILE);
+  }
+
+  load() {
+    if (!fs.existsSync(this.indexPath)) return {};
+
+    try {
+      return JSON.parse(fs.readFileSync(this.indexPath, 'utf8')).snapshots || {};
+    } catch (error) {
+      throw new Error(`Corrupt snapshot index ${path.relative(this.basePath, this.indexPath)}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record the jobs of this run whose baseline exists, keep entries from
+   * earlier (filtered or sharded) runs, and drop entries whose baseline is gone
+   */
+  update(jobs) {
+    const entries = this.load();
+
+    jobs.forEach(job => {
+      entries[job.id] = describeJob(job);
+    });
+
+    const snapshots = Object.fromEntries(
+      Object.keys(entries)
+        .filter(id => fs.existsSync(this.baselinePath(id)))
+        .sort()
+        .map(id => [id, entries[id]])
+    );
+
+    fs.mkdirSync(this.snapshotsDir, { recursive: true });
+    fs.writeFileSync(this.indexPath, JSON.stringify({ version: 1, snapshots }, null, 2) + '\n');
+    return snapshots;
+  }
+
+  baselinePath(id) {
+    return path.join(this.snapshotsDir, `${id}.png`);
+  }
+
+  /**
+   * Snapshot IDs of every PNG under the baseline folder
+   */
+  listImages() {
+    if (!fs.existsSync(this.snapshotsDir)) return [];
+
+    return fs.readdirSync(this.snapshotsDir, { recursive: true })
+      .filter(file => file.endsWith('.png'))
+      .map(file => file.split(path.sep).join('/').replace(/\.png$/, ''))
+      .sort();
+  }
+
+  /**
+   * Baselines no planned job produces, plus diff/current artifacts left in
+   * the baseline folder. `jobs` must be the full, unfiltered test plan.
+   */
+  findOrphans(jobs, browsers, viewports) {
+    const expected = new Set(jobs.map(job => job.id));
+    const entries = this.load();
+
+    return this.listImages()
+      .filter(id => !expected.has(id))
+      .map(id => ({
+        id,
+        file: path.relative(this.basePath, this.baselinePath(id)),
+        reason: this.orphanReason(id, entries[id], browsers, viewports)
+      }));
+  }
+
+  orphanReason(id, entry, browsers, viewports) {
+    const [browser, viewport] = id.split('/');
+
+    if (ARTIFACT_SUFFIXES.some(suffix => id.endsWith(suffix))) {
+      return 'comparison artifact in the baseline folder';
+    }
+    if (!browsers.includes(browser)) {
+      return `browser "${browser}" is not in testing.browsers`;
+    }
+    if (!viewports.includes(viewport)) {
+      return `viewport "${viewport}" is not in testing.viewports`;
+    }
+    if (entry?.source && !fs.existsSync(path.join(this.basePath, entry.source))) {
+      return `${entry.source} no longer exists`;
+    }
+    if (entry) {
+      return `test case "${entry.testCase}" no longer exists in ${entry.source}`;
+    }
+    return 'no matching component, page or mockup';
+  }
+
+  /**
+   * Delete orphaned images and any folders left empty
+   */
+  remove(orphans) {
+    orphans.forEach(({ id }) => {
+      const file = this.baselinePath(id);
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+      removeEmptyParents(path.dirname(file), this.snapshotsDir);
+    });
+  }
+}
+
+function describeJob(job) {
+  return {
+    browser: job.target.browser,
+    viewport: job.target.viewport,
+    type: job.meta.type,
+    group: job.meta.group,
+    source: job.meta.source.split(path.sep).join('/'),
+    testCase: job.testCase.name || job.meta.group,
+    ...(job.meta.state && { state: job.meta.state }),
+    url: job.urlPath
+  };
+}
+
+function removeEmptyParents(dir, root) {
+  while (dir.startsWith(root) && dir !== root && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+    fs.rmdirSync(dir);
+    dir = path.dirname(dir);
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Snapshot Stabilizer
+ * Makes pages render the same way on every run: frozen clock and random
+ * numbers, no animations or blinking carets, and screenshots only once
+ * custom elements, fonts and the network have settled
+ */
+
+export const DEFAULT_STABILIZE = {
+  waitForNetworkIdle: true,   // Navigate with waitUntil: 'networkidle'
+  waitForFonts: true,         // Wait for document.fonts.ready
+  disableAnimations: true,    // Finish CSS animations/transitions before capture
+  hideCaret: true,            // Hide the text cursor in focused inputs
+  freezeTime: true,           // Pin Date.now()/new Date() to `time`
+  time: '2024-01-01T12:00:00.000Z',
+  freezeRandom: true,         // Replace Math.random with a seeded generator
+  randomSeed: 42,
+  mask: [],                   // Selectors painted over in every snapshot
+  maskColor: '#FF00FF',
+  timeout: 10000              // Max wait (ms) for components, fonts and network
+};
+
+// Options a single test case may override (clock and random are per page)
+export const TEST_CASE_STABILIZE_KEYS = ['waitForNetworkIdle', 'waitForFonts', 'disableAnimations', 'hideCaret', 'timeout'];
+
+const STABILIZE_CSS = `
+*, *::before, *::after {
+  animation-delay: -1ms !important;
+  animation-duration: 1ms !important;
+  animation-iteration-count: 1 !important;
+  transition-delay: 0s !important;
+  transition-duration: 0s !important;
+  scroll-behavior: auto !important;
+}`;
+
+const HIDE_CARET_CSS = `
+*, *::before, *::after {
+  caret-color: transparent !important;
+}`;
+
+/**
+ * Install the frozen clock and seeded Math.random on a page.
+ * Call once per page, before the first navigation.
+ */
+export async function freezePage(page, settings = DEFAULT_STABILIZE) {
+  if (settings.freezeTime) {
+    const time = new Date(settings.time);
+    if (Number.isNaN(time.getTime())) {
+      throw new Error(`testing.stabilize.time is not a valid date: "${settings.time}"`);
+    }
+    await page.clock.setFixedTime(time);
+  }
+
+  if (settings.freezeRandom) {
+    // Re-seeded on every navigation so each snapshot sees the same sequence
+    await page.addInitScript(seed => {
+      let state = seed >>> 0;
+      Math.random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      };
+    }, settings.randomSeed);
+  }
+}
+
+/**
+ * Navigate and wait until the page is ready for a screenshot
+ */
+export async function gotoStable(page, url, settings = DEFAULT_STABILIZE, selector = null) {
+  await page.goto(url, {
+    waitUntil: settings.waitForNetworkIdle ? 'networkidle' : 'load',
+    timeout: settings.timeout
+  });
+
+  const css = [settings.disableAnimations && STABILIZE_CSS, settings.hideCaret && HIDE_CARET_CSS].filter(Boolean);
+  if (css.length > 0) {
+    await page.addStyleTag({ content: css.join('\n') });
+  }
+
+  // Every custom element on the page is upgraded
+  try {
+    await page.waitForFunction(() => !document.querySelector(':not(:defined)'), null, { timeout: settings.timeout });
+  } catch {
+    const pending = await page.evaluate(() => [...new Set([...document.querySelectorAll(':not(:defined)')].map(el => el.localName))]);
+    throw new Error(`Custom elements never defined: ${pending.join(', ')}`);
+  }
+
+  // Story containers are rendered after their component is defined
+  if (selector) {
+    await page.locator(selector).waitFor({ timeout: settings.timeout });
+  }
+
+  if (settings.waitForFonts) {
+    await page.evaluate(() => document.fonts.ready.then(() => undefined));
+  }
+
+  // Let layout and paint settle after the last DOM change
+  await page.evaluate(() => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve))));
+}
+
+/**
+ * Screenshot options shared by element, clipped and full-page captures
+ */
+export function screenshotOptions(page, settings = DEFAULT_STABILIZE, extraMasks = []) {
+  const masks = [...settings.mask, ...extraMasks];
+
+  return {
+    animations: settings.disableAnimations ? 'disabled' : 'allow',
+    caret: settings.hideCaret ? 'hide' : 'initial',
+    ...(masks.length > 0 && {
+      mask: masks.map(selector => page.locator(selector)),
+      maskColor: settings.maskColor
+    })
+  };
+}
@@ -6,176 +6,182 @@
  */
 
 import { promises as fs } from 'fs';
-import { execSync } from 'child_process';
 import path from 'path';
+import { loadConfig, DEFAULT_CONFIG } from './config-loader.js';
+import { FileWalker } from './file-walker.js';
+import { loadRules } from './architecture-rules.js';
+import { STORIES_SUFFIX } from './component-stories.js';
+import { analyzeComponentSource } from './component-analyzer.js';
+import { openChangeSet } from './changed-files.js';
+import { applySuppressions, openBaseline, printBaselineSummary, DISABLE_DIRECTIVE } from './violation-baseline.js';
+import { architectureSuite, writeReport, assertReporter } from './result-reporters.js';
+import { createSarifLog, architectureResults, writeSarif, assertFormat, sarifFile } from './sarif.js';
 
-class ArchitectureValidator {
-  constructor() {
+export class ArchitectureValidator {
+  constructor(config = DEFAULT_CONFIG) {
+    this.config = config;
+    this.layers = config.layers;
+    this.cssSource = config.validation.cssSource;
     this.violations = [];
+    this.suppressed = [];
+    this.baselined = [];
+    this.rules = null;
+    this.walker = new FileWalker(process.cwd(), config);
   }
 
-  async validate() {
+  async loadRules() {
+    if (!this.rules) {
+      this.rules = await loadRules(this.config);
+    }
+    return this.rules;
+  }
+
+  /**
+   * Run every rule. Violations under a disable comment are dropped, and so
+   * are those in `options.baseline` (a loaded ViolationBaseline). With
+   * `options.changes` (a ChangeSet) only affected files are checked.
+   */
+  async validate(options = {}) {
     console.log('🏗️  Validating Architecture - Single Source of Truth');
     console.log('================================================\n');
 
-    await this.validateCssSingleSourceOfTruth();
-    await this.validateWebComponentUsage();
-    await this.validateLayerDependencies();
+    const rules = await this.loadRules();
+    const project = await this.createProjectContext(options.changes);
 
-    this.generateReport();
-    
-    return this.violations.length === 0;
-  }
+    console.log(`📏 Running ${rules.length} architecture rules...`);
+    for (const rule of rules) {
+      await this.runRule(rule, project);
+    }
 
-  async validateCssSingleSourceOfTruth() {
-    console.log('🎨 Validating CSS Single Source of Truth...');
-    
-    // 1. Check main.css exists
-    try {
-      await fs.access('styles/main.css');
-      console.log('   ✅ styles/main.css found');
-    } catch {
-      this.addViolation(
-        'MISSING_MAIN_CSS',
-        'styles/main.css',
-        'Main CSS file missing - create styles/main.css as single source of truth'
-      );
-      return; // Can't continue without main.css
+    // Drop violations under disable comments or in the baseline
+    const { kept, suppressed } = applySuppressions(this.violations);
+    this.violations = kept;
+    this.suppressed = suppressed;
+    const baselineResult = options.baseline && options.baseline.filter('architecture', this.violations, options.changes);
+    if (baselineResult) {
+      this.violations = baselineResult.kept;
+      this.baselined = baselineResult.baselined;
     }
 
-    // 2. Check for inline CSS in components
-    const componentFiles = await this.findFiles('components/**/*.js');
-    for (const file of componentFiles) {
-      await this.checkForInlineCSS(file);
+    rules.forEach(rule => {
+      const found = this.violations.filter(violation => violation.type === rule.id).length;
+      console.log(`   ${found === 0 ? '✅' : rule.severity === 'error' ? '❌' : '⚠️ '} ${rule.id}${found > 0 ? ` (${found})` : ''}`);
+    });
+    console.log('');
+
+    if (suppressed.length > 0) {
+      console.log(`🔕 ${suppressed.length} violation(s) disabled by ${DISABLE_DIRECTIVE} comments`);
+    }
+    if (baselineResult) {
+      printBaselineSummary(options.baseline, baselineResult);
+    }
+    if (suppressed.length > 0 || baselineResult) {
+      console.log('');
     }
 
-    // 3. Check for CSS duplication
-    await this.checkForCSSduplication();
+    this.generateReport();
     
-    console.log('   🔍 CSS validation complete\n');
+    return !this.violations.some(violation => violation.severity === 'error');
   }
 
-  async checkForInlineCSS(file) {
-    const content = await fs.readFile(file, 'utf-8');
-    
-    const violations = [];
-    
-    // Patterns that indicate inline CSS
-    const patterns = [
-      { pattern: /style\s*=\s*["'][^"']*["']/g, name: 'style attribute' },
-      { pattern: /<style[^>]*>[\s\S]*?<\/style>/g, name: '<style> tag' },
-      { pattern: /\.style\./g, name: 'element.style usage' },
-      { pattern: /\.innerHTML\s*=.*style/g, name: 'innerHTML with style' }
-    ];
-
-    for (const { pattern, name } of patterns) {
-      const matches = content.match(pattern);
-      if (matches) {
-        violations.push(`${name}: ${matches.join(', ')}`);
+  /**
+   * What every rule's check() receives besides the file it is looking at
+   */
+  async createProjectContext(changes = null) {
+    const cache = new Map();
+    const readFile = async (file) => {
+      if (!cache.has(file)) {
+        cache.set(file, await fs.readFile(file, 'utf-8').catch(() => null));
       }
-    }
+      return cache.get(file);
+    };
+    let componentApi = null;
 
-    if (violations.length > 0) {
-      this.addViolation(
-        'INLINE_CSS_DETECTED',
-        file,
-        `Component contains inline CSS: ${violations.join('; ')}. Move all styles to styles/main.css`
-      );
-    }
+    return {
+      config: this.config,
+      layers: this.layers,
+      cssSource: this.cssSource,
+      componentTags: await this.findComponentTags(),
+      findFiles: pattern => this.findFiles(pattern),
+      componentApi: () => (componentApi ||= this.loadComponentApi(readFile)),
+      readFile,
+      changes
+    };
   }
 
-  async checkForCSSduplication() {
-    const filesToCheck = await this.findFiles('**/*.{css,js,html}');
-    const mainCssPath = 'styles/main.css';
-    
-    // Skip main.css and node_modules
-    const files = filesToCheck.filter(f => 
-      !f.includes('main.css') && 
-      !f.includes('node_modules') &&
-      !f.includes('.git')
-    );
+  async runRule(rule, project) {
+    const reporter = (file, content) => (message, position = {}) => {
+      const line = position.line ?? (position.index !== undefined && content ? lineAt(content, position.index) : null);
+      this.addViolation(rule.id, position.file || file, message, line, rule.severity);
+    };
+
+    if (!rule.files) {
+      await this.checkWithRule(rule, { ...project, report: reporter(null, null) });
+      return;
+    }
 
-    const forbiddenPatterns = [
-      { pattern: /\.card-compact\s*{/g, name: '.card-compact styles' },
-      { pattern: /\.card-embedded\s*{/g, name: '.card-embedded styles' },
-      { pattern: /\.card-standard\s*{/g, name: '.card-standard styles' },
-      { pattern: /background:\s*var\(--card-bg\)/g, name: 'card background styles' }
-    ];
+    const globs = typeof rule.files === 'function' ? rule.files(this.config) : rule.files;
+    const files = [...new Set((await Promise.all(globs.map(glob => this.findFiles(glob)))).flat())]
+      .filter(file => !project.changes || project.changes.affects(file));
 
     for (const file of files) {
-      const content = await fs.readFile(file, 'utf-8');
-      
-      for (const { pattern, name } of forbiddenPatterns) {
-        if (pattern.test(content)) {
-          this.addViolation(
-            'CSS_DUPLICATION',
-            file,
-            `Duplicate component styles found: ${name}. Move to ${mainCssPath}`
-          );
-        }
-      }
+      const content = await project.readFile(file);
+      if (content === null) continue;
+      await this.checkWithRule(rule, { ...project, file, content, report: reporter(file, content) });
     }
   }
 
-  async validateWebComponentUsage() {
-    console.log('🔧 Validating Web Component Usage...');
-    
-    const pageFiles = await this.findFiles('{pages,workflows}/**/*.html');
-    
-    for (const file of pageFiles) {
-      await this.checkForRawHTML(file);
+  async checkWithRule(rule, context) {
+    try {
+      await rule.check(context);
+    } catch (error) {
+      throw new Error(`Rule ${rule.id} failed${context.file ? ` on ${context.file}` : ''}: ${error.message}`);
     }
-    
-    console.log('   🔍 Web component validation complete\n');
   }
 
-  async checkForRawHTML(file) {
-    const content = await fs.readFile(file, 'utf-8');
-    
-    const forbiddenPatterns = [
-      { pattern: /<div class="bg-white rounded-xl shadow-sm/g, name: 'Raw card HTML' },
-      { pattern: /<div class="card-compact/g, name: 'Raw card-compact HTML' },
-      { pattern: /<div class="card-embedded/g, name: 'Raw card-embedded HTML' },
-      { pattern: /<div class="card-standard/g, name: 'Raw card-standard HTML' }
-    ];
-
-    for (const { pattern, name } of forbiddenPatterns) {
-      const matches = content.match(pattern);
-      if (matches) {
-        this.addViolation(
-          'RAW_HTML_DETECTED',
-          file,
-          `${name} found. Replace with <card-compact>, <card-embedded>, or <card-standard> web components`
-        );
-      }
-    }
+  /**
+   * Custom element tag names, taken from component file names
+   */
+  async findComponentTags() {
+    const files = await this.findFiles(`${this.layers.components}/**/*.js`);
+    return new Set(
+      files
+        .filter(file => !file.endsWith(STORIES_SUFFIX))
+        .map(file => path.basename(file, '.js'))
+        .filter(name => name.includes('-'))
+    );
   }
 
-  async validateLayerDependencies() {
-    console.log('🏛️  Validating Layer Dependencies...');
-    
-    // Layer 1 (Components) cannot reference Layer 2 or 3
-    const componentFiles = await this.findFiles('components/**/*.js');
-    for (const file of componentFiles) {
-      const content = await fs.readFile(file, 'utf-8');
-      
-      if (content.includes('../pages/') || content.includes('../workflows/')) {
-        this.addViolation(
-          'LAYER_VIOLATION',
-          file,
-          'Layer 1 (Components) cannot reference Layer 2 (Pages) or Layer 3 (Workflows)'
-        );
+  /**
+   * Tag name -> { attributes, properties } from each component's source,
+   * typed by its @attr / @prop tags. Files that don't parse are skipped.
+   */
+  async loadComponentApi(readFile) {
+    const files = (await this.findFiles(`${this.layers.components}/**/*.js`)).filter(file => !file.endsWith(STORIES_SUFFIX));
+    const api = new Map();
+
+    for (const file of files) {
+      const content = await readFile(file);
+      if (content === null) continue;
+      try {
+        const { tagName, attributes, properties } = analyzeComponentSource(content, file);
+        if (tagName) api.set(tagName, { attributes, properties });
+      } catch {
+        // Reported by registry validate
       }
     }
-    
-    console.log('   🔍 Layer validation complete\n');
+
+    return api;
   }
 
-  addViolation(type, file, description) {
-    this.violations.push({ type, file, description });
+  addViolation(type, file, description, line = null, severity = 'error') {
+    this.violations.push({ type, severity, file, description, ...(line && { line }) });
   }
 
   generateReport() {
+    const errors = this.violations.filter(violation => violation.severity === 'error');
+    const warnings = this.violations.length - errors.length;
+
     if (this.violations.length === 0) {
       console.log('✅ ARCHITECTURE VALIDATION PASSED');
       console.log('✅ Single source of truth maintained');
@@ -185,25 +191,30 @@ class ArchitectureValidator {
       return;
     }
 
-    console.log(`❌ ${this.violations.length} ARCHITECTURE VIOLATIONS FOUND:\n`);
+    if (errors.length > 0) {
+      console.log(`❌ ${errors.length} ARCHITECTURE VIOLATIONS FOUND${warnings > 0 ? ` (+${warnings} warnings)` : ''}:\n`);
+    } else {
+      console.log(`⚠️  ${warnings} ARCHITECTURE WARNINGS FOUND:\n`);
+    }
     
     const groupedViolations = this.groupViolationsByType();
     
     for (const [type, violations] of groupedViolations) {
-      console.log(`🚨 ${type} (${violations.length} violations):`);
+      console.log(`🚨 ${type} (${violations.length} ${violations[0].severity === 'error' ? 'violations' : 'warnings'}):`);
       console.log('----------------------------------------');
       
       violations.forEach(violation => {
-        console.log(`❌ ${violation.file}`);
+        console.log(`${violation.severity === 'error' ? '❌' : '⚠️ '} ${violation.file}${violation.line ? `:${violation.line}` : ''}`);
         console.log(`   ${violation.description}\n`);
       });
     }
     
     console.log('================================================');
     console.log('🔧 FIXES REQUIRED:');
-    console.log('1. Move all CSS to styles/main.css');
-    console.log('2. Replace raw HTML with web components'); 
-    console.log('3. Fix layer dependency violations');
+    [...groupedViolations.keys()].forEach((type, index) => {
+      const rule = this.rules?.find(candidate => candidate.id === type);
+      console.log(`${index + 1}. ${rule ? rule.description : type}`);
+    });
     console.log('================================================\n');
   }
 
@@ -219,23 +230,46 @@ class ArchitectureValidator {
   }
 
   async findFiles(pattern) {
-    try {
-      const output = execSync(`find . -path "./${pattern}" -type f`, { encoding: 'utf8' });
-      return output.trim().split('\n').filter(f => f && !f.includes('node_modules'));
-    } catch {
-      return [];
-    }
+    return this.walker.find(pattern);
   }
 }
 
+function lineAt(content, index) {
+  return content.slice(0, index).split('\n').length;
+}
+
 // CLI interface
-if (process.argv[1].endsWith('validate-architecture.js')) {
-  const validator = new ArchitectureValidator();
-  
-  validator.validate().then(success => {
-    process.exit(success ? 0 : 1);
-  }).catch(error => {
-    console.error('Validation failed:', error);
+export async function validateArchitecture(options = {}) {
+  try {
+    const config = await loadConfig();
+    const validator = new ArchitectureValidator(config);
+
+    assertReporter(options.reporter);
+    assertFormat(options);
+    const baseline = openBaseline(options.baseline);
+    const changes = openChangeSet(options.changed, config);
+    const started = Date.now();
+    const success = await validator.validate({ baseline, changes });
+
+    if (options.reporter) {
+      writeReport(options.reporter, [architectureSuite(validator.violations, Date.now() - started)], options.outputFile);
+    }
+
+    if (options.format) {
+      writeSarif(createSarifLog([architectureResults(validator.violations, validator.rules)]), sarifFile(options));
+    }
+
+    if (!success) {
+      process.exit(1);
+    }
+
+    return { success, violations: validator.violations };
+  } catch (error) {
+    console.error('❌ Architecture validation failed:', error.message);
     process.exit(1);
-  });
+  }
+}
+
+if (process.argv[1].endsWith('validate-architecture.js')) {
+  validateArchitecture();
 }
\ No newline at end of file
@@ -0,0 +1,204 @@
+/**
+ * Violation Baseline
+ * Inline `ui-canvas-disable-next-line <rule>` comments and a baseline file of
+ * accepted architecture and token violations, so only new ones fail a build
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadConfig } from './config-loader.js';
+
+export const BASELINE_FILE = '.ui-canvas-baseline.json';
+export const DISABLE_DIRECTIVE = 'ui-canvas-disable-next-line';
+
+const DIRECTIVE_PATTERN = new RegExp(`${DISABLE_DIRECTIVE}\\b(.*)`);
+
+/**
+ * Split violations into those silenced by a disable comment on the line above
+ * them and the rest. Works with any comment syntax (//, /* *\/, <!-- -->):
+ *
+ *   <!-- ui-canvas-disable-next-line RAW_HTML_DETECTED -- legacy widget -->
+ *
+ * Without rule IDs the comment silences every rule on the next line.
+ */
+export function applySuppressions(violations, basePath = process.cwd()) {
+  const lines = sourceLines(basePath);
+  const kept = [];
+  const suppressed = [];
+
+  violations.forEach(violation => {
+    const previous = violation.file && violation.line > 1 ? lines(violation.file)[violation.line - 2] : null;
+    const directive = previous?.match(DIRECTIVE_PATTERN);
+
+    if (directive) {
+      const rules = directive[1]
+        .replace(/(\*\/|-->).*$/, '')
+        .split(/\s--\s/)[0]
+        .split(/[\s,]+/)
+        .filter(Boolean);
+      if (rules.length === 0 || rules.includes(violation.type)) {
+        suppressed.push(violation);
+        return;
+      }
+    }
+    kept.push(violation);
+  });
+
+  return { kept, suppressed };
+}
+
+export class ViolationBaseline {
+  constructor(basePath = process.cwd(), file = BASELINE_FILE) {
+    this.basePath = basePath;
+    this.file = path.resolve(basePath, file);
+    this.entries = null;
+  }
+
+  get displayPath() {
+    return path.relative(this.basePath, this.file) || this.file;
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      throw new Error(`Baseline file not found: ${this.displayPath}. Create it with \`ui-canvas baseline\``);
+    }
+
+    try {
+      this.entries = JSON.parse(fs.readFileSync(this.file, 'utf8')).violations || [];
+    } catch (error) {
+      throw new Error(`Corrupt baseline ${this.displayPath}: ${error.message}`);
+    }
+    return this;
+  }
+
+  /**
+   * Violations that are not in the baseline, plus how many matched and how
+   * many baseline entries no longer occur. Matching ignores line numbers so
+   * edits elsewhere in a file don't invalidate the baseline. With a ChangeSet
+   * only entries for files that were checked count towards `fixed`.
+   */
+  filter(tool, violations, changes = null) {
+    if (!this.entries) this.load();
+
+    const fingerprint = fingerprinter(this.basePath);
+    const remaining = new Map();
+    this.entries
+      .filter(entry => entry.tool === tool && (!changes || !entry.file || changes.affects(entry.file)))
+      .forEach(entry => remaining.set(key(entry), (remaining.get(key(entry)) || 0) + entry.count));
+    const known = [...remaining.values()].reduce((sum, count) => sum + count, 0);
+
+    const kept = [];
+    const baselined = [];
+    violations.forEach(violation => {
+      const id = key({ tool, ...fingerprint(violation) });
+      if (remaining.get(id) > 0) {
+        remaining.set(id, remaining.get(id) - 1);
+        baselined.push(violation);
+      } else {
+        kept.push(violation);
+      }
+    });
+
+    return { kept, baselined, fixed: known - baselined.length };
+  }
+
+  /**
+   * Record every current violation, e.g. { architecture: [...], tokens: [...] }
+   */
+  write(violationsByTool) {
+    const fingerprint = fingerprinter(this.basePath);
+    const counts = new Map();
+
+    Object.entries(violationsByTool).forEach(([tool, violations]) => {
+      violations.forEach(violation => {
+        const entry = { tool, ...fingerprint(violation) };
+        const id = key(entry);
+        counts.set(id, { ...entry, count: (counts.get(id)?.count || 0) + 1 });
+      });
+    });
+
+    const violations = [...counts.values()].sort((a, b) => key(a).localeCompare(key(b)));
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify({ version: 1, generated: new Date().toISOString(), violations }, null, 2) + '\n');
+    this.entries = violations;
+    return violations;
+  }
+}
+
+/**
+ * Print what the baseline hid from a validator's output
+ */
+export function printBaselineSummary(baseline, { baselined, fixed }) {
+  if (baselined.length > 0) {
+    console.log(`📎 ${baselined.length} known violation(s) ignored via ${baseline.displayPath}`);
+  }
+  if (fixed > 0) {
+    console.log(`🧹 ${fixed} baseline entr${fixed === 1 ? 'y is' : 'ies are'} fixed - run \`ui-canvas baseline\` to shrink ${baseline.displayPath}`);
+  }
+}
+
+/**
+ * --baseline [file] from the CLI: true means the default file
+ */
+export function openBaseline(option, basePath = process.cwd()) {
+  if (!option) return null;
+  return new ViolationBaseline(basePath, option === true ? BASELINE_FILE : option).load();
+}
+
+// A violation is identified by tool, rule, file and the text of the offending
+// line (or its message when it has no line)
+function fingerprinter(basePath) {
+  const lines = sourceLines(basePath);
+  return violation => {
+    const file = violation.file ? toPosix(violation.file) : null;
+    const line = violation.line ? lines(violation.file)[violation.line - 1] : undefined;
+    return {
+      rule: violation.type,
+      file,
+      source: line !== undefined ? line.trim() : (violation.description ?? violation.message)
+    };
+  };
+}
+
+function key(entry) {
+  return [entry.tool, entry.rule, entry.file || '', entry.source].join('\u0000');
+}
+
+function sourceLines(basePath) {
+  const cache = new Map();
+  return file => {
+    if (!cache.has(file)) {
+      const fullPath = path.resolve(basePath, file);
+      cache.set(file, fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8').split('\n') : []);
+    }
+    return cache.get(file);
+  };
+}
+
+function toPosix(file) {
+  return file.split(path.sep).join('/').replace(/^\.\//, '');
+}
+
+// CLI interface
+export async function baselineCommand(options = {}) {
+  try {
+    const config = await loadConfig();
+    const { ArchitectureValidator } = await import('./validate-architecture.js');
+    const { CSSTokenValidator } = await import('./css-token-validator.js');
+
+    const architecture = new ArchitectureValidator(config);
+    await architecture.validate();
+    const tokens = await new CSSTokenValidator(process.cwd(), config).validateTokens();
+
+    const baseline = new ViolationBaseline(process.cwd(), options.file || BASELINE_FILE);
+    const entries = baseline.write({ architecture: architecture.violations, tokens: tokens.issues });
+    const total = entries.reduce((sum, entry) => sum + entry.count, 0);
+
+    console.log(`\n📎 Baseline with ${total} violation(s) saved to ${baseline.displayPath}`);
+    console.log('   Run validate, tokens or validate-all with --baseline to fail only on new violations');
+    return entries;
+  } catch (error) {
+    console.error('❌ Baseline failed:', error.message);
+    process.exit(1);
+  }
+}
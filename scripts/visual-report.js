@@ -0,0 +1,442 @@
+#!/usr/bin/env node
+
+/**
+ * Visual Regression Report
+ * Writes an HTML report of failed snapshots and promotes approved
+ * current screenshots to baselines one at a time
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadConfig, DEFAULT_CONFIG } from './config-loader.js';
+
+export class VisualReport {
+  constructor(basePath = process.cwd(), config = DEFAULT_CONFIG, options = {}) {
+    this.basePath = basePath;
+    this.config = config;
+    this.rootDir = path.join(basePath, config.testing.reportDir);
+    this.shardsDir = path.join(this.rootDir, 'shards');
+    // Sharded runs report into shards/<i>-of-<n> until the shards are merged
+    this.reportDir = options.shard
+      ? path.join(this.shardsDir, `${options.shard.index}-of-${options.shard.total}`)
+      : this.rootDir;
+    this.imagesDir = path.join(this.reportDir, 'images');
+    this.snapshotsDir = path.join(basePath, config.testing.snapshotsDir);
+    this.outputDir = path.join(basePath, config.testing.outputDir);
+    this.resultsPath = path.join(this.reportDir, 'results.json');
+  }
+
+  /**
+   * Start a fresh report (images from the previous run are discarded)
+   */
+  reset() {
+    fs.rmSync(this.imagesDir, { recursive: true, force: true });
+    fs.mkdirSync(this.imagesDir, { recursive: true });
+  }
+
+  /**
+   * Copy baseline, current and diff images of a failed snapshot into the
+   * report folder so the report stays valid after the run cleans up
+   */
+  saveArtifacts(snapshotName, { baseline, current, diff }) {
+    const artifacts = {};
+
+    for (const [kind, source] of Object.entries({ baseline, current, diff })) {
+      if (source && fs.existsSync(source)) {
+        const file = `${snapshotName}-${kind}.png`;
+        const target = path.join(this.imagesDir, file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.copyFileSync(source, target);
+        artifacts[kind] = `images/${file}`;
+      }
+    }
+
+    return artifacts;
+  }
+
+  write(results, run = {}) {
+    fs.mkdirSync(this.reportDir, { recursive: true });
+
+    // Failures get their own cards; only list the remaining errors
+    const failureMessages = new Set(results.failures.map(f => f.type === 'fidelity'
+      ? `${f.name}: ${f.similarity}% similar to the approved mockup (minimum ${f.minSimilarity}%)`
+      : `${f.name}: Visual difference detected`));
+    const errors = results.errors.filter(error => !failureMessages.has(error));
+
+    const data = {
+      generated: new Date().toISOString(),
+      summary: {
+        passed: results.passed,
+        failed: results.failed,
+        updated: results.updated,
+        errors: errors.length
+      },
+      failures: results.failures.map(failure => ({ ...failure, approved: false })),
+      fidelity: results.fidelity || [],
+      errors,
+      ...(run.shard && { shard: run.shard, totalSnapshots: run.total })
+    };
+
+    this.save(data);
+    return path.join(this.reportDir, 'index.html');
+  }
+
+  save(data) {
+    fs.writeFileSync(this.resultsPath, JSON.stringify(data, null, 2));
+    fs.writeFileSync(path.join(this.reportDir, 'index.html'), generateReportHTML(data));
+  }
+
+  load() {
+    if (!fs.existsSync(this.resultsPath)) {
+      throw new Error(`No visual report found at ${path.relative(this.basePath, this.resultsPath)}. Run: npx ui-canvas test`);
+    }
+    return JSON.parse(fs.readFileSync(this.resultsPath, 'utf8'));
+  }
+
+  /**
+   * Combine shard reports into one. Failures are ordered by their position
+   * in the test plan, so the merged report is identical to a single run.
+   */
+  mergeShards(shardDirs = null) {
+    const dirs = shardDirs
+      ? shardDirs.map(dir => path.resolve(this.basePath, dir))
+      : listDirectories(this.shardsDir);
+
+    if (dirs.length === 0) {
+      throw new Error(`No shard reports found in ${path.relative(this.basePath, this.shardsDir)}. Run: npx ui-canvas test --shard 1/2`);
+    }
+
+    this.reportDir = this.rootDir;
+    this.reset();
+
+    const summary = { passed: 0, failed: 0, updated: 0 };
+    const failures = [];
+    const fidelity = [];
+    const errors = new Set();
+    const seen = new Set();
+    let total = null;
+
+    for (const dir of dirs) {
+      const resultsPath = path.join(dir, 'results.json');
+      if (!fs.existsSync(resultsPath)) {
+        throw new Error(`Not a shard report (missing results.json): ${path.relative(this.basePath, dir)}`);
+      }
+
+      const data = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+      if (!data.shard) {
+        throw new Error(`Not a shard report: ${path.relative(this.basePath, dir)}`);
+      }
+      if (total !== null && data.shard.total !== total) {
+        throw new Error(`Shard ${data.shard.index}/${data.shard.total} does not match the other shards (${total} total)`);
+      }
+      total = data.shard.total;
+      seen.add(data.shard.index);
+
+      summary.passed += data.summary.passed;
+      summary.failed += data.summary.failed;
+      summary.updated += data.summary.updated;
+      failures.push(...data.failures);
+      fidelity.push(...(data.fidelity || []));
+      // Planning errors are reported by every shard; list them once
+      data.errors.forEach(error => errors.add(error));
+
+      const imagesDir = path.join(dir, 'images');
+      if (fs.existsSync(imagesDir)) {
+        fs.cpSync(imagesDir, this.imagesDir, { recursive: true });
+      }
+    }
+
+    const missing = Array.from({ length: total }, (_, i) => i + 1).filter(index => !seen.has(index));
+
+    const data = {
+      generated: new Date().toISOString(),
+      summary: { ...summary, errors: errors.size },
+      failures: failures.sort((a, b) => (a.index ?? 0) - (b.index ?? 0)),
+      fidelity: fidelity.sort((a, b) => a.index - b.index),
+      errors: [...errors],
+      merged: { shards: [...seen].sort((a, b) => a - b), total }
+    };
+
+    this.save(data);
+    return { reportPath: path.join(this.reportDir, 'index.html'), summary: data.summary, missing };
+  }
+
+  /**
+   * Promote the current screenshot of each named snapshot to its baseline
+   */
+  approve(snapshotNames) {
+    const data = this.load();
+    const approved = [];
+    const missing = [];
+
+    for (const name of snapshotNames) {
+      // Fidelity checks compare against the mockup; there is no baseline to approve
+      const failure = data.failures.find(f => f.name === name && f.type !== 'fidelity');
+      const currentPath = failure?.current && path.join(this.reportDir, failure.current);
+
+      if (!currentPath || !fs.existsSync(currentPath)) {
+        missing.push(name);
+        continue;
+      }
+
+      const baselinePath = path.join(this.snapshotsDir, `${name}.png`);
+      fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+      fs.copyFileSync(currentPath, baselinePath);
+
+      // The failure is resolved; its output artifacts are stale now
+      ['current', 'diff'].forEach(kind => {
+        const artifact = path.join(this.outputDir, `${name}-${kind}.png`);
+        if (fs.existsSync(artifact)) fs.unlinkSync(artifact);
+      });
+
+      failure.approved = true;
+      approved.push(name);
+    }
+
+    if (approved.length > 0) {
+      this.save(data);
+    }
+
+    return { approved, missing };
+  }
+}
+
+function listDirectories(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => path.join(dir, entry.name))
+    .sort();
+}
+
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export function generateReportHTML(data) {
+  const { summary, failures, errors } = data;
+  const fidelity = data.fidelity || [];
+  const types = { component: 'Components', page: 'Pages', mockup: 'Mockups', fidelity: 'Fidelity' };
+
+  const imageCell = (label, src) => `
+                <figure>
+                    <figcaption>${label}</figcaption>
+                    ${src ? `<a href="${src}" target="_blank"><img src="${src}" alt="${label}" loading="lazy"></a>` : '<div class="missing">Not available</div>'}
+                </figure>`;
+
+  const cards = failures.map(failure => failure.type === 'fidelity' ? `
+        <div class="snapshot" data-type="fidelity" data-name="${escapeHTML(failure.name)}" data-group="${escapeHTML(failure.group || '')}">
+            <div class="snapshot__header">
+                <h3>${escapeHTML(failure.name)}</h3>
+                <span class="badge badge--fidelity">fidelity</span>
+                ${failure.browser ? `<span class="badge">${escapeHTML(failure.browser)}</span>` : ''}
+                <span class="snapshot__stats">${failure.similarity}% similar to the approved mockup (minimum ${failure.minSimilarity}%)</span>
+            </div>
+            ${failure.source ? `<p class="snapshot__source">Mockup: <code>${escapeHTML(failure.source)}</code></p>` : ''}
+            <div class="snapshot__images">${imageCell('Approved mockup', failure.baseline)}${imageCell('Implementation', failure.current)}${imageCell('Diff', failure.diff)}
+            </div>
+        </div>` : `
+        <div class="snapshot${failure.approved ? ' snapshot--approved' : ''}" data-type="${failure.type}" data-name="${escapeHTML(failure.name)}" data-group="${escapeHTML(failure.group || '')}">
+            <div class="snapshot__header">
+                <h3>${escapeHTML(failure.name)}</h3>
+                <span class="badge badge--${failure.type}">${failure.type}</span>
+                ${failure.browser ? `<span class="badge">${escapeHTML(failure.browser)}</span>` : ''}
+                ${failure.viewport ? `<span class="badge">${escapeHTML(failure.viewport)}</span>` : ''}
+                ${failure.state ? `<span class="badge badge--state">:${escapeHTML(failure.state)}</span>` : ''}
+                <span class="snapshot__stats">${failure.diffPixels ?? '?'} pixels changed (${failure.diffPercentage ?? '?'}%)</span>
+                <span class="snapshot__actions">
+                    <button class="approve" data-snapshot="${escapeHTML(failure.name)}"${failure.approved ? ' disabled' : ''}>${failure.approved ? 'Approved' : 'Approve'}</button>
+                    <code class="approve-cli">npx ui-canvas test --approve ${escapeHTML(failure.name)}</code>
+                </span>
+            </div>
+            ${failure.source ? `<p class="snapshot__source">Source: <code>${escapeHTML(failure.source)}</code></p>` : ''}
+            <div class="snapshot__images">${imageCell('Baseline', failure.baseline)}${imageCell('Current', failure.current)}${imageCell('Diff', failure.diff)}
+            </div>
+        </div>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Visual Regression Report</title>
+    <style>
+        body { font-family: system-ui, sans-serif; line-height: 1.5; max-width: 1400px; margin: 0 auto; padding: 2rem; color: #1f2937; }
+        .header { border-bottom: 2px solid #e5e7eb; padding-bottom: 1rem; margin-bottom: 1.5rem; }
+        .stats { display: flex; gap: 2rem; background: #f9fafb; padding: 1rem; border-radius: 0.5rem; margin-bottom: 1.5rem; }
+        .stat-number { font-size: 1.75rem; font-weight: bold; }
+        .stat--failed .stat-number { color: #dc2626; }
+        .stat--passed .stat-number { color: #059669; }
+        .filters { display: flex; gap: 0.5rem; align-items: center; margin-bottom: 1.5rem; flex-wrap: wrap; }
+        .filters button { border: 1px solid #d1d5db; background: white; padding: 0.375rem 0.875rem; border-radius: 999px; cursor: pointer; }
+        .filters button.active { background: #059669; border-color: #059669; color: white; }
+        .filters input { margin-left: auto; padding: 0.375rem 0.75rem; border: 1px solid #d1d5db; border-radius: 0.375rem; min-width: 240px; }
+        .snapshot { border: 1px solid #d1d5db; border-radius: 0.5rem; padding: 1rem; margin-bottom: 1.5rem; }
+        .snapshot--approved { opacity: 0.6; }
+        .snapshot__header { display: flex; gap: 1rem; align-items: center; flex-wrap: wrap; }
+        .snapshot__header h3 { margin: 0; }
+        .snapshot__stats { color: #6b7280; }
+        .snapshot__actions { margin-left: auto; }
+        .snapshot__source { color: #6b7280; margin: 0.5rem 0 0; }
+        .snapshot__images { display: grid; grid-template-columns: repeat(3, 1fr); gap: 1rem; margin-top: 1rem; }
+        .snapshot__images figure { margin: 0; }
+        .snapshot__images figcaption { font-size: 0.875rem; font-weight: 600; color: #6b7280; margin-bottom: 0.25rem; }
+        .snapshot__images img { max-width: 100%; border: 1px solid #e5e7eb; background: repeating-conic-gradient(#f3f4f6 0% 25%, white 0% 50%) 50% / 16px 16px; }
+        .missing { padding: 2rem; text-align: center; color: #9ca3af; border: 1px dashed #d1d5db; }
+        .badge { font-size: 0.75rem; padding: 0.125rem 0.5rem; border-radius: 999px; background: #e5e7eb; }
+        .badge--component { background: #d1fae5; }
+        .badge--page { background: #dbeafe; }
+        .badge--mockup { background: #fef3c7; }
+        .badge--state { background: #ede9fe; }
+        .badge--fidelity { background: #fce7f3; }
+        .fidelity { margin-bottom: 1.5rem; }
+        .fidelity table { width: 100%; border-collapse: collapse; }
+        .fidelity th, .fidelity td { border-bottom: 1px solid #e5e7eb; padding: 0.5rem; text-align: left; }
+        .fidelity tr.fail td { color: #dc2626; }
+        .approve { background: #059669; color: white; border: none; padding: 0.375rem 0.875rem; border-radius: 0.375rem; cursor: pointer; }
+        .approve:disabled { background: #9ca3af; cursor: default; }
+        .approve-cli { display: none; background: #f3f4f6; padding: 0.25rem 0.5rem; border-radius: 0.25rem; font-size: 0.8rem; }
+        body.static .approve { display: none; }
+        body.static .approve-cli { display: inline; }
+        .errors { background: #fef2f2; border: 1px solid #fecaca; border-radius: 0.5rem; padding: 1rem; }
+        .empty { text-align: center; padding: 3rem; color: #6b7280; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>🧪 Visual Regression Report</h1>
+        <p>Generated: ${new Date(data.generated).toLocaleString()}${data.shard ? ` · Shard ${data.shard.index}/${data.shard.total}` : ''}${data.merged ? ` · Merged from ${data.merged.shards.length}/${data.merged.total} shards` : ''}</p>
+    </div>
+
+    <div class="stats">
+        <div class="stat stat--passed"><div class="stat-number">${summary.passed}</div>Passed</div>
+        <div class="stat stat--failed"><div class="stat-number">${summary.failed}</div>Failed</div>
+        <div class="stat"><div class="stat-number">${summary.updated}</div>Updated</div>
+        <div class="stat"><div class="stat-number">${summary.errors}</div>Errors</div>
+    </div>
+
+    ${failures.length > 0 ? `
+    <div class="filters">
+        <button class="active" data-filter="all">All (${failures.length})</button>
+        ${Object.entries(types).map(([type, label]) => `<button data-filter="${type}">${label} (${failures.filter(f => f.type === type).length})</button>`).join('\n        ')}
+        <input type="search" id="search" placeholder="Filter by name...">
+    </div>
+    ${cards}` : '<div class="empty"><h2>🎉 No visual differences</h2></div>'}
+
+    ${fidelity.length > 0 ? `
+    <div class="fidelity">
+        <h2>🎯 Mockup Fidelity</h2>
+        <table>
+            <thead><tr><th>Check</th><th>Mockup</th><th>Similarity</th><th>Minimum</th><th></th></tr></thead>
+            <tbody>${fidelity.map(check => `
+                <tr class="${check.passed ? 'pass' : 'fail'}">
+                    <td>${escapeHTML(check.name)}</td>
+                    <td>${escapeHTML(check.mockup)}</td>
+                    <td>${check.similarity}%</td>
+                    <td>${check.minSimilarity}%</td>
+                    <td>${check.passed ? '✅' : '❌'}${check.diff ? ` <a href="${check.diff}" target="_blank">diff</a>` : ''}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    </div>` : ''}
+
+    ${errors.length > 0 ? `
+    <div class="errors">
+        <h2>🚨 Errors</h2>
+        <ul>${errors.map(error => `<li>${escapeHTML(error)}</li>`).join('')}</ul>
+    </div>` : ''}
+
+    <script>
+        // Approve buttons need the dev server; static files show the CLI command instead
+        if (!location.protocol.startsWith('http')) {
+            document.body.classList.add('static');
+        }
+
+        let activeType = 'all';
+        const search = document.getElementById('search');
+
+        function applyFilters() {
+            const term = search ? search.value.toLowerCase() : '';
+            document.querySelectorAll('.snapshot').forEach(card => {
+                const matchesType = activeType === 'all' || card.dataset.type === activeType;
+                const matchesTerm = !term || card.dataset.name.toLowerCase().includes(term) || card.dataset.group.toLowerCase().includes(term);
+                card.hidden = !(matchesType && matchesTerm);
+            });
+        }
+
+        document.querySelectorAll('.filters button').forEach(button => {
+            button.addEventListener('click', () => {
+                document.querySelectorAll('.filters button').forEach(b => b.classList.remove('active'));
+                button.classList.add('active');
+                activeType = button.dataset.filter;
+                applyFilters();
+            });
+        });
+
+        if (search) search.addEventListener('input', applyFilters);
+
+        document.querySelectorAll('.approve').forEach(button => {
+            button.addEventListener('click', async () => {
+                button.disabled = true;
+                const response = await fetch('approve/' + encodeURIComponent(button.dataset.snapshot), { method: 'POST' });
+                if (response.ok) {
+                    button.textContent = 'Approved';
+                    button.closest('.snapshot').classList.add('snapshot--approved');
+                } else {
+                    button.disabled = false;
+                    alert('Approval failed: ' + (await response.text()));
+                }
+            });
+        });
+    </script>
+</body>
+</html>`;
+}
+
+// CLI interface
+export async function mergeReports(shardDirs) {
+  try {
+    const config = await loadConfig();
+    const report = new VisualReport(process.cwd(), config);
+    const { reportPath, summary, missing } = report.mergeShards(shardDirs?.length ? shardDirs : null);
+
+    console.log(`✅ Merged shard reports: ${summary.passed} passed, ${summary.failed} failed, ${summary.updated} updated`);
+    if (missing.length > 0) {
+      console.log(`⚠️  Missing shards: ${missing.join(', ')}`);
+    }
+    console.log(`📋 Report: ${path.relative(process.cwd(), reportPath)}`);
+
+    if (summary.failed > 0 || missing.length > 0) {
+      process.exit(1);
+    }
+
+    return { reportPath, summary, missing };
+  } catch (error) {
+    console.error('❌ Report merge failed:', error.message);
+    process.exit(1);
+  }
+}
+
+export async function approveSnapshots(snapshotNames) {
+  try {
+    const config = await loadConfig();
+    const report = new VisualReport(process.cwd(), config);
+    const { approved, missing } = report.approve(snapshotNames);
+
+    approved.forEach(name => console.log(`✅ Approved ${name} as new baseline`));
+    missing.forEach(name => console.log(`❌ ${name}: no failed snapshot with that name in the last report`));
+
+    if (missing.length > 0) {
+      process.exit(1);
+    }
+
+    return { approved, missing };
+  } catch (error) {
+    console.error('❌ Snapshot approval failed:', error.message);
+    process.exit(1);
+  }
+}
@@ -1,152 +1,445 @@
 #!/usr/bin/env node
 
-import { chromium } from 'playwright';
+import { chromium, firefox, webkit } from '@playwright/test';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import { loadConfig, DEFAULT_CONFIG } from './config-loader.js';
+import { compareImages } from './image-diff.js';
+import { VisualReport } from './visual-report.js';
+import { SnapshotIndex } from './snapshot-index.js';
+import { visualSuite, writeReport, assertReporter } from './result-reporters.js';
+import { loadStories, storiesScript, isStoriesFile, storiesPathFor } from './component-stories.js';
+import { openChangeSet } from './changed-files.js';
+import { freezePage, gotoStable, screenshotOptions } from './snapshot-stabilizer.js';
+import { createDevServer, listen } from './dev-server.js';
 
 const execAsync = promisify(exec);
+const browserTypes = { chromium, firefox, webkit };
+const DEFAULT_MIN_SIMILARITY = 90;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 export class VisualTestRunner {
-  constructor(basePath = process.cwd()) {
+  constructor(basePath = process.cwd(), config = DEFAULT_CONFIG) {
     this.basePath = basePath;
-    this.snapshotsDir = path.join(basePath, 'tests/visual/snapshots');
-    this.tempDir = path.join(basePath, 'tests/visual/temp');
+    this.config = config;
+    this.snapshotsDir = path.join(basePath, config.testing.snapshotsDir);
+    this.tempDir = path.join(basePath, config.testing.tempDir);
+    this.outputDir = path.join(basePath, config.testing.outputDir);
+    this.browsers = config.testing.browsers;
+    this.viewports = config.testing.viewports.map(viewport => ({
+      ...viewport,
+      name: viewport.name || `${viewport.width}x${viewport.height}`
+    }));
+    this.comparison = config.testing.comparison;
+    this.states = config.testing.states;
+    this.stabilization = config.testing.stabilize;
+    this.workers = config.testing.workers;
+    this.fidelity = config.testing.fidelity;
+    this.componentPages = new Map(); // component name -> { urlPath, tagName, stories }
+    this.report = new VisualReport(basePath, config);
+    this.index = new SnapshotIndex(basePath, this.snapshotsDir);
     this.browser = null;
-    this.page = null;
+    this.server = null;
   }
 
   async init() {
     // Ensure directories exist
-    [this.snapshotsDir, this.tempDir].forEach(dir => {
+    [this.snapshotsDir, this.tempDir, this.outputDir].forEach(dir => {
       if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
       }
     });
+  }
 
-    // Launch browser
-    this.browser = await chromium.launch({ headless: true });
-    this.page = await this.browser.newPage();
-    
-    // Set consistent viewport
-    await this.page.setViewportSize({ width: 1280, height: 720 });
+  async launchBrowser(browserName) {
+    const browserType = browserTypes[browserName];
+    if (!browserType) {
+      throw new Error(`Unsupported browser: ${browserName}. Use: ${Object.keys(browserTypes).join(', ')}`);
+    }
+
+    this.browser = await browserType.launch({ headless: true });
+  }
+
+  /**
+   * Each worker gets its own browser context, so cookies, storage and
+   * focus never leak between snapshots running side by side
+   */
+  async createWorker(id) {
+    const context = await this.browser.newContext();
+    const page = await context.newPage();
+    await freezePage(page, this.stabilization);
+    return { id, context, page, viewport: null };
   }
 
   async cleanup() {
-    if (this.page) await this.page.close();
     if (this.browser) await this.browser.close();
+    this.browser = null;
+  }
+
+  /**
+   * Serve the project through a throwaway dev server on a free port, so
+   * absolute URLs (/styles/main.css) and ES module imports resolve exactly
+   * as they do in `ui-canvas serve`
+   */
+  async startServer() {
+    const app = createDevServer(this.basePath, this.config);
+    this.server = await listen(app, 0, '127.0.0.1');
+    return this.server.url;
+  }
+
+  async stopServer() {
+    if (this.server) await this.server.close();
+    this.server = null;
+  }
+
+  /**
+   * Narrow the configured browser/viewport matrix with CLI filters
+   */
+  resolveMatrix(options = {}) {
+    const pick = (items, filter, label, nameOf = item => item) => {
+      if (!filter) return items;
+      const wanted = Array.isArray(filter) ? filter : filter.split(',').map(name => name.trim());
+      const unknown = wanted.filter(name => !items.some(item => nameOf(item) === name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown ${label}: ${unknown.join(', ')}. Configured: ${items.map(nameOf).join(', ')}`);
+      }
+      return items.filter(item => wanted.includes(nameOf(item)));
+    };
+
+    return {
+      browsers: pick(this.browsers, options.browser, 'browser'),
+      viewports: pick(this.viewports, options.viewport, 'viewport', viewport => viewport.name)
+    };
   }
 
+  /**
+   * Number of parallel pages per browser (0 in the config means half the CPU cores)
+   */
+  resolveConcurrency(options = {}) {
+    const workers = options.workers !== undefined ? Number(options.workers) : this.workers;
+    if (!Number.isInteger(workers) || workers < 0) {
+      throw new Error(`Invalid worker count: ${options.workers}. Use a positive integer`);
+    }
+    return workers || Math.max(1, Math.floor(os.cpus().length / 2));
+  }
+
+  /**
+   * Baselines are namespaced per browser and viewport so engines never
+   * overwrite each other's rendering
+   */
+  snapshotId(target, snapshotName) {
+    return `${target.browser}/${target.viewport}/${snapshotName}`;
+  }
+
+  /**
+   * With `options.changes` (a ChangeSet) only snapshots built from affected
+   * files run
+   */
   async runAllTests(options = {}) {
     console.log('🧪 Running visual regression tests...');
     
     await this.init();
+
+    const matrix = this.resolveMatrix(options);
+    const shard = parseShard(options.shard);
+    const concurrency = this.resolveConcurrency(options);
+
+    // Shards write their own report; merge them with --merge-reports
+    if (shard) {
+      this.report = new VisualReport(this.basePath, this.config, { shard });
+    }
+    this.report.reset();
     
     const results = {
       passed: 0,
       failed: 0,
       updated: 0,
-      errors: []
+      errors: [],
+      failures: [],
+      fidelity: [],
+      cases: []          // One entry per snapshot for machine-readable reporters
     };
-    
+
+    // Plan every snapshot up front in a fixed order so shards and merged
+    // reports come out the same whatever order the workers finish in
+    const { jobs, testPages } = await this.planJobs(matrix, options, results);
+    const affected = options.changes
+      ? jobs.filter(job => options.changes.affects(...job.sources))
+      : jobs;
+    const selected = shard
+      ? affected.filter(job => job.index % shard.total === shard.index - 1)
+      : affected;
+
+    if (options.changes) {
+      console.log(`🔀 ${affected.length} of ${jobs.length} snapshots affected by the changed files`);
+    }
+    if (shard) {
+      console.log(`🔀 Shard ${shard.index}/${shard.total}: ${selected.length} of ${affected.length} snapshots`);
+    }
+
+    const outcomes = new Array(jobs.length);
+
     try {
-      // Test individual components
-      const componentResults = await this.testComponents(options);
-      this.mergeResults(results, componentResults);
-      
-      // Test component combinations
-      const integrationResults = await this.testComponentIntegration(options);
-      this.mergeResults(results, integrationResults);
-      
-      // Test approved mockups
-      const mockupResults = await this.testApprovedMockups(options);
-      this.mergeResults(results, mockupResults);
-      
+      await this.startServer();
+
+      for (const browserName of matrix.browsers) {
+        const browserJobs = selected.filter(job => job.target.browser === browserName);
+        if (browserJobs.length === 0) continue;
+
+        const workerCount = Math.min(concurrency, browserJobs.length);
+        console.log(`\n🌐 ${browserName}: ${browserJobs.length} snapshots on ${workerCount} worker(s)`);
+
+        try {
+          await this.launchBrowser(browserName);
+          await this.runPool(browserJobs, workerCount, async (worker, job) => {
+            outcomes[job.index] = await this.runJob(worker, job, options);
+          });
+        } catch (error) {
+          results.errors.push(`Browser ${browserName}: ${error.message}`);
+        } finally {
+          await this.cleanup();
+        }
+      }
     } finally {
-      await this.cleanup();
+      await this.stopServer();
+      testPages.forEach(testPage => {
+        if (fs.existsSync(testPage)) fs.unlinkSync(testPage);
+      });
     }
+
+    // Merge in plan order, not completion order
+    outcomes.filter(Boolean).forEach(outcome => this.mergeResults(results, outcome));
+
+    // Record which source and test case produced each baseline
+    this.index.update(selected.filter(job => !job.fidelity));
     
     this.printResults(results);
+
+    const reportPath = this.report.write(results, { shard, total: affected.length });
+    console.log(`\n📋 Report: ${path.relative(this.basePath, reportPath)}`);
+
     return results;
   }
 
-  async testComponents(options = {}) {
-    console.log('📱 Testing individual components...');
-    
-    const results = { passed: 0, failed: 0, updated: 0, errors: [] };
-    
-    // Find all component files
-    const componentFiles = fs.readdirSync(path.join(this.basePath, 'components'), { recursive: true })
-      .filter(file => file.endsWith('.js'))
-      .map(file => path.join('components', file));
-    
-    for (const componentFile of componentFiles) {
+  /**
+   * Delete baselines that no component, page or mockup produces any more,
+   * plus diff/current images left in the baseline folder
+   */
+  async prune(options = {}) {
+    console.log('🧹 Looking for orphaned snapshots...');
+
+    await this.init();
+
+    // Orphans are judged against the full configured matrix, never a filtered run
+    const results = { failed: 0, errors: [] };
+    const matrix = this.resolveMatrix();
+    const { jobs, testPages } = await this.planJobs(matrix, {}, results);
+    removeFiles(...testPages);
+
+    // A component whose stories fail to load would look orphaned
+    if (results.errors.length > 0) {
+      throw new Error(`Fix the test plan before pruning:\n   ${results.errors.join('\n   ')}`);
+    }
+
+    const snapshotJobs = jobs.filter(job => !job.fidelity);
+    const orphans = this.index.findOrphans(snapshotJobs, matrix.browsers, matrix.viewports.map(viewport => viewport.name));
+
+    if (orphans.length === 0) {
+      if (!options.dryRun) this.index.update(snapshotJobs);
+      console.log('✅ No orphaned snapshots');
+      return { orphans, removed: 0 };
+    }
+
+    console.log(`\n🗑️  ${orphans.length} orphaned snapshot(s):`);
+    orphans.forEach(orphan => console.log(`   ${orphan.file} (${orphan.reason})`));
+
+    if (options.dryRun) {
+      console.log('\n💡 Nothing deleted. Run without --dry-run to remove them.');
+      return { orphans, removed: 0 };
+    }
+
+    this.index.remove(orphans);
+    this.index.update(snapshotJobs);
+    console.log(`\n✅ Removed ${orphans.length} orphaned snapshot(s)`);
+
+    return { orphans, removed: orphans.length };
+  }
+
+  /**
+   * Pull jobs off a shared queue with a fixed number of workers
+   */
+  async runPool(jobs, workerCount, run) {
+    const queue = [...jobs];
+    const workers = await Promise.all(
+      Array.from({ length: workerCount }, (_, id) => this.createWorker(id))
+    );
+
+    await Promise.all(workers.map(async worker => {
       try {
-        const componentName = path.basename(componentFile, '.js');
-        const result = await this.testComponent(componentName, componentFile, options);
-        this.mergeResults(results, result);
-      } catch (error) {
-        results.errors.push(`Component ${componentFile}: ${error.message}`);
+        while (queue.length > 0) {
+          await run(worker, queue.shift());
+        }
+      } finally {
+        await worker.context.close();
+      }
+    }));
+  }
+
+  async runJob(worker, job, options = {}) {
+    const results = { passed: 0, failed: 0, updated: 0, errors: [], failures: [], fidelity: [], cases: [] };
+    const started = Date.now();
+
+    try {
+      if (worker.viewport !== job.viewport.name) {
+        await worker.page.setViewportSize({ width: job.viewport.width, height: job.viewport.height });
+        worker.viewport = job.viewport.name;
       }
+
+      if (job.fidelity) {
+        this.recordFidelity(results, job, await this.measureFidelity(worker.page, job));
+      } else {
+        const result = await this.compareSnapshot(worker.page, job, options);
+        this.recordResult(results, job, result);
+      }
+    } catch (error) {
+      results.errors.push(`${job.id}: ${error.message}`);
     }
-    
+
+    results.cases.push({
+      name: job.id,
+      index: job.index,
+      type: job.meta.type,
+      file: job.meta.source,
+      status: results.failed > 0 ? 'failed' : results.errors.length > 0 ? 'error' : results.updated > 0 ? 'updated' : 'passed',
+      time: Date.now() - started,
+      ...(results.errors.length > 0 && { message: results.errors[0] }),
+      ...(results.updated > 0 && { message: 'Baseline written' })
+    });
+
     return results;
   }
 
-  async testComponent(componentName, componentFile, options = {}) {
-    console.log(`  Testing ${componentName}...`);
-    
-    // Create temporary test page for component
-    const testPageContent = await this.generateComponentTestPage(componentName, componentFile);
-    const testPagePath = path.join(this.tempDir, `${componentName}.html`);
-    fs.writeFileSync(testPagePath, testPageContent);
-    
-    const results = { passed: 0, failed: 0, updated: 0, errors: [] };
+  /**
+   * Expand components, pages and approved mockups over the browser/viewport
+   * matrix. Component test pages are written once and shared by all jobs.
+   */
+  async planJobs(matrix, options, results) {
+    const testPages = [];
+    this.componentPages.clear();
+    const snapshots = [
+      ...await this.planComponents(options, results, testPages),
+      ...(options.component ? [] : this.planPages()),
+      ...(options.component ? [] : this.planMockups())
+    ];
+
+    const jobs = [];
+    for (const browser of matrix.browsers) {
+      for (const viewport of matrix.viewports) {
+        const target = { browser, viewport: viewport.name };
+        for (const snapshot of snapshots) {
+          jobs.push({
+            ...snapshot,
+            index: jobs.length,
+            id: this.snapshotId(target, snapshot.snapshotName),
+            target,
+            viewport
+          });
+        }
+      }
+    }
+
+    const count = type => snapshots.filter(snapshot => snapshot.meta.type === type).length;
+    console.log(`📋 ${jobs.length} snapshots: ${count('component')} component, ${count('page')} page and ${count('mockup')} mockup case(s) × ${matrix.browsers.length} browser(s) × ${matrix.viewports.length} viewport(s)`);
+
+    // Fidelity checks run once per browser at the mockup's design viewport
+    const checks = this.planFidelity(options, results);
+    const viewport = { name: 'mockup', ...this.config.canvas.viewport };
+    for (const browser of matrix.browsers) {
+      for (const check of checks) {
+        jobs.push({
+          ...check,
+          index: jobs.length,
+          id: `${browser}/fidelity/${check.snapshotName}`,
+          target: { browser, viewport: viewport.name },
+          viewport
+        });
+      }
+    }
+
+    if (checks.length > 0) {
+      console.log(`🎯 ${checks.length} mockup fidelity check(s) × ${matrix.browsers.length} browser(s)`);
+    }
+
+    return { jobs, testPages };
+  }
+
+  async planComponents(options, results, testPages) {
+    const snapshots = [];
     
-    // Test different states/props combinations
-    const testCases = this.generateComponentTestCases(componentName);
+    // Find all component files
+    const componentsDir = this.config.layers.components;
+    if (!fs.existsSync(path.join(this.basePath, componentsDir))) {
+      return snapshots;
+    }
+
+    const componentFiles = fs.readdirSync(path.join(this.basePath, componentsDir), { recursive: true })
+      .filter(file => file.endsWith('.js') && !isStoriesFile(file))
+      .sort()
+      .map(file => path.join(componentsDir, file))
+      .filter(file => !options.component || path.basename(file, '.js') === options.component);
+
+    if (options.component && componentFiles.length === 0) {
+      throw new Error(`Component not found: ${options.component}`);
+    }
     
-    for (const testCase of testCases) {
+    for (const componentFile of componentFiles) {
       try {
-        const snapshotName = `${componentName}-${testCase.name}`;
-        const result = await this.compareSnapshot(testPagePath, snapshotName, testCase, options);
+        const componentName = path.basename(componentFile, '.js');
+
+        // States come from <component>.stories.js (or defaults from observedAttributes)
+        const { component: tagName, stories } = await loadStories(this.basePath, componentFile);
         
-        if (result.passed) {
-          results.passed++;
-        } else if (result.updated) {
-          results.updated++;
-        } else {
-          results.failed++;
-          results.errors.push(`${snapshotName}: Visual difference detected`);
+        // Create temporary test page for component
+        const testPageContent = await this.generateComponentTestPage(componentName, componentFile, tagName, stories);
+        const testPagePath = path.join(this.tempDir, `${componentName}.html`);
+        fs.writeFileSync(testPagePath, testPageContent);
+        testPages.push(testPagePath);
+        this.componentPages.set(componentName, {
+          file: componentFile,
+          urlPath: `/visual-tests/${componentName}.html`,
+          tagName,
+          stories: stories.map(story => story.name)
+        });
+        
+        // Test different states/props combinations
+        for (const testCase of this.generateComponentTestCases(tagName, stories)) {
+          snapshots.push({
+            snapshotName: `${componentName}-${testCase.name}`,
+            urlPath: `/visual-tests/${componentName}.html`,
+            testCase,
+            sources: [componentFile, storiesPathFor(componentFile)],
+            meta: {
+              type: 'component',
+              group: componentName,
+              source: componentFile,
+              ...(testCase.state && { state: testCase.state })
+            }
+          });
         }
       } catch (error) {
-        results.errors.push(`${componentName}-${testCase.name}: ${error.message}`);
+        results.errors.push(`Component ${componentFile}: ${error.message}`);
       }
     }
     
-    // Clean up temp file
-    fs.unlinkSync(testPagePath);
-    
-    return results;
+    return snapshots;
   }
 
-  async generateComponentTestPage(componentName, componentFile) {
-    // Read component file to extract props
-    const componentContent = fs.readFileSync(path.join(this.basePath, componentFile), 'utf8');
-    const observedMatch = componentContent.match(/static get observedAttributes\(\)\s*\{\s*return\s*\[(.*?)\]/s);
-    
-    let props = [];
-    if (observedMatch) {
-      props = observedMatch[1]
-        .split(',')
-        .map(prop => prop.trim().replace(/['"]/g, ''))
-        .filter(prop => prop.length > 0);
-    }
-    
+  async generateComponentTestPage(componentName, componentFile, tagName, stories) {
     // Generate test page with component
     return `<!DOCTYPE html>
 <html lang="en">
@@ -154,7 +447,7 @@ export class VisualTestRunner {
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>${componentName} Visual Test</title>
-    <link rel="stylesheet" href="../styles/main.css">
+    <link rel="stylesheet" href="/styles/${path.basename(this.config.validation.cssSource)}">
     <style>
         body { 
             margin: 0; 
@@ -188,70 +481,155 @@ export class VisualTestRunner {
         </div>
     </div>
     
-    <script type="module" src="../${componentFile}"></script>
+    <script type="module" src="/components/${toUrlPath(path.relative(this.config.layers.components, componentFile))}"></script>
     <script>
-        // Wait for component to load then generate test cases
-        customElements.whenDefined('${componentName.toLowerCase()}').then(() => {
-            generateTestCases();
-        });
-        
-        function generateTestCases() {
-            const container = document.getElementById('test-cases');
-            const testCases = [
-                { name: 'default', props: {} },
-                ${props.map(prop => `{ name: '${prop}', props: { '${prop}': 'Test ${prop}' } }`).join(',\n                ')},
-                { name: 'all-props', props: { ${props.map(prop => `'${prop}': 'Sample ${prop}'`).join(', ')} } }
-            ];
-            
-            testCases.forEach(testCase => {
-                const div = document.createElement('div');
-                div.className = 'test-case';
-                div.innerHTML = \`
-                    <div class="test-label">\${testCase.name}</div>
-                    <div class="test-component" data-test-case="\${testCase.name}"></div>
-                \`;
-                
-                const componentContainer = div.querySelector('.test-component');
-                const element = document.createElement('${componentName.toLowerCase()}');
-                
-                Object.entries(testCase.props).forEach(([key, value]) => {
-                    element.setAttribute(key, value);
-                });
-                
-                componentContainer.appendChild(element);
-                container.appendChild(div);
-            });
-        }
+        ${storiesScript(tagName, stories)}
     </script>
 </body>
 </html>`;
   }
 
-  generateComponentTestCases(componentName) {
-    // Default test cases - can be extended based on component
-    return [
-      { name: 'default', selector: '[data-test-case="default"]' },
-      { name: 'all-props', selector: '[data-test-case="all-props"]' }
-    ];
+  generateComponentTestCases(tagName, stories) {
+    return stories.flatMap(story => {
+      const testCase = {
+        name: story.name,
+        selector: `[data-test-case="${story.name}"]`,
+        target: `[data-test-case="${story.name}"] > ${tagName}`,
+        interactions: story.interactions,
+        mask: story.mask,
+        stabilize: story.stabilize,
+        comparison: story.comparison
+      };
+
+      // Resting state first, then one snapshot per interaction state
+      const states = story.states ?? this.states;
+      return [
+        testCase,
+        ...states.map(state => ({ ...testCase, name: `${story.name}--${state}`, state }))
+      ];
+    });
   }
 
-  async compareSnapshot(testPagePath, snapshotName, testCase, options = {}) {
-    const snapshotPath = path.join(this.snapshotsDir, `${snapshotName}.png`);
-    const diffPath = path.join(this.snapshotsDir, `${snapshotName}-diff.png`);
-    
-    // Navigate to test page
-    await this.page.goto(`file://${testPagePath}`);
-    
-    // Wait for component to render
-    await this.page.waitForTimeout(500);
+  /**
+   * Drive the story's component into an interaction state before the screenshot
+   */
+  async applyState(page, testCase) {
+    const element = page.locator(testCase.target);
+
+    switch (testCase.state) {
+      case 'hover':
+        await element.hover();
+        break;
+
+      case 'focus':
+        // A key press first puts the page in keyboard modality so :focus-visible matches
+        await page.keyboard.press('Shift');
+        await element.evaluate(el => {
+          const focusable = [el, ...el.querySelectorAll('*')].find(node => node.tabIndex >= 0 && !node.disabled);
+          if (focusable) {
+            focusable.focus();
+          } else {
+            // Nothing focusable inside; focus the host so :focus-within styles still apply
+            el.tabIndex = -1;
+            el.focus();
+          }
+        });
+        break;
+
+      case 'active':
+        await element.hover();
+        await page.mouse.down();
+        break;
+
+      case 'disabled':
+        await element.evaluate(el => {
+          el.setAttribute('disabled', '');
+          el.querySelectorAll('button, input, select, textarea, fieldset').forEach(control => {
+            control.disabled = true;
+          });
+        });
+        break;
+    }
+  }
+
+  async releaseState(page, testCase) {
+    if (testCase.state === 'active') {
+      await page.mouse.up();
+    }
+  }
+
+  /**
+   * Element screenshot with room around it, so focus outlines, shadows and
+   * hover transforms that paint outside the element box are captured
+   */
+  async screenshotWithMargin(page, selector, options = {}, margin = 12) {
+    const box = await page.locator(selector).boundingBox();
+    return page.screenshot({
+      ...options,
+      fullPage: true,
+      clip: {
+        x: Math.max(0, box.x - margin),
+        y: Math.max(0, box.y - margin),
+        width: box.width + margin * 2,
+        height: box.height + margin * 2
+      }
+    });
+  }
+
+  /**
+   * Replay a story's interactions (hover, focus, typing...) before the
+   * screenshot. Selectors are scoped to the story's component element.
+   */
+  async runInteractions(page, testCase) {
+    for (const step of testCase.interactions) {
+      const locator = step.selector
+        ? page.locator(testCase.target).locator(step.selector).first()
+        : page.locator(testCase.target);
+
+      switch (step.action) {
+        case 'hover': await locator.hover(); break;
+        case 'focus': await locator.focus(); break;
+        case 'click': await locator.click(); break;
+        case 'type': await locator.fill(step.text); break;
+        case 'press': await locator.press(step.key); break;
+        case 'wait': await page.waitForTimeout(step.ms); break;
+      }
+    }
+  }
+
+  async compareSnapshot(page, job, options = {}) {
+    const { id: snapshotId, urlPath, testCase } = job;
+    const snapshotPath = path.join(this.snapshotsDir, `${snapshotId}.png`);
+    // Current and diff images live outside the baseline folder
+    const currentPath = path.join(this.outputDir, `${snapshotId}-current.png`);
+    const diffPath = path.join(this.outputDir, `${snapshotId}-diff.png`);
+    fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+    fs.mkdirSync(path.dirname(currentPath), { recursive: true });
+    removeFiles(currentPath, diffPath);
+    
+    // Navigate to test page and wait until components, fonts and network settle
+    const stabilize = { ...this.stabilization, ...testCase.stabilize };
+    await gotoStable(page, `${this.server.url}${urlPath}`, stabilize, testCase.selector);
+    
+    if (testCase.interactions?.length > 0) {
+      await this.runInteractions(page, testCase);
+    }
     
     // Take screenshot of specific test case
+    const captureOptions = screenshotOptions(page, stabilize, testCase.mask);
     let screenshot;
-    if (testCase.selector) {
-      const element = await this.page.locator(testCase.selector);
-      screenshot = await element.screenshot();
+    if (testCase.state) {
+      await this.applyState(page, testCase);
+      try {
+        screenshot = await this.screenshotWithMargin(page, testCase.selector, captureOptions);
+      } finally {
+        await this.releaseState(page, testCase);
+      }
+    } else if (testCase.selector) {
+      const element = await page.locator(testCase.selector);
+      screenshot = await element.screenshot(captureOptions);
     } else {
-      screenshot = await this.page.screenshot();
+      screenshot = await page.screenshot(captureOptions);
     }
     
     // If updating snapshots or no baseline exists
@@ -261,150 +639,281 @@ export class VisualTestRunner {
     }
     
     // Compare with existing snapshot
-    const tempScreenshotPath = path.join(this.tempDir, `${snapshotName}-current.png`);
-    fs.writeFileSync(tempScreenshotPath, screenshot);
+    fs.writeFileSync(currentPath, screenshot);
     
     try {
-      // Use pixelmatch or similar for comparison
-      const comparison = await this.compareImages(snapshotPath, tempScreenshotPath, diffPath);
+      const comparison = await this.compareImages(snapshotPath, currentPath, diffPath, testCase.comparison);
       
-      if (comparison.identical) {
-        fs.unlinkSync(tempScreenshotPath); // Clean up
-        return { passed: true };
+      if (comparison.passed) {
+        removeFiles(currentPath, diffPath);
+        return { passed: true, diffPixels: comparison.diffPixels };
       } else {
-        console.log(`  ❌ Visual difference in ${snapshotName} (${comparison.diffPixels} pixels changed)`);
-        return { passed: false, diffPixels: comparison.diffPixels };
-      }
-    } finally {
-      if (fs.existsSync(tempScreenshotPath)) {
-        fs.unlinkSync(tempScreenshotPath);
+        const sizeNote = comparison.dimensionsMatch ? '' :
+          `, size ${comparison.baselineSize.width}x${comparison.baselineSize.height} → ${comparison.currentSize.width}x${comparison.currentSize.height}`;
+        console.log(`  ❌ Visual difference in ${snapshotId} (${comparison.diffPixels} pixels changed, ${comparison.diffPercentage}%${sizeNote})`);
+        // Copy baseline/current/diff into the self-contained HTML report;
+        // current and diff also stay in the output folder for CI artifacts
+        const artifacts = this.report.saveArtifacts(snapshotId, {
+          baseline: snapshotPath,
+          current: currentPath,
+          diff: diffPath
+        });
+        return {
+          passed: false,
+          diffPixels: comparison.diffPixels,
+          diffPercentage: comparison.diffPercentage,
+          ...artifacts
+        };
       }
+    } catch (error) {
+      removeFiles(currentPath, diffPath);
+      throw error;
     }
   }
 
-  async compareImages(baseline, current, diffOutput) {
-    // Simple file comparison for now - in production use pixelmatch
-    const baselineStats = fs.statSync(baseline);
-    const currentStats = fs.statSync(current);
-    
-    // If file sizes are different, definitely different
-    if (baselineStats.size !== currentStats.size) {
-      return { identical: false, diffPixels: Math.abs(baselineStats.size - currentStats.size) };
-    }
-    
-    // Simple byte comparison (in production, use proper image comparison)
-    const baselineBuffer = fs.readFileSync(baseline);
-    const currentBuffer = fs.readFileSync(current);
-    
-    const identical = Buffer.compare(baselineBuffer, currentBuffer) === 0;
-    
-    if (!identical && diffOutput) {
-      // Copy current as diff (in production, generate proper diff image)
-      fs.copyFileSync(current, diffOutput);
-    }
-    
-    return { 
-      identical, 
-      diffPixels: identical ? 0 : 1000 // Placeholder diff count
-    };
+  async compareImages(baseline, current, diffOutput, overrides = {}) {
+    // Per-test-case overrides win over the project-wide comparison settings
+    return compareImages(baseline, current, diffOutput, { ...this.comparison, ...overrides });
   }
 
-  async testComponentIntegration(options = {}) {
-    console.log('🔗 Testing component integration...');
-    
+  planPages() {
     // Test pages that combine multiple components
-    const results = { passed: 0, failed: 0, updated: 0, errors: [] };
-    
-    // Find page files
-    const pagesDir = path.join(this.basePath, 'pages');
-    if (fs.existsSync(pagesDir)) {
-      const pageFiles = fs.readdirSync(pagesDir, { recursive: true })
-        .filter(file => file.endsWith('.html'))
-        .map(file => path.join('pages', file));
-      
-      for (const pageFile of pageFiles) {
-        try {
-          const pageName = path.basename(pageFile, '.html');
-          const result = await this.testPage(pageName, pageFile, options);
-          this.mergeResults(results, result);
-        } catch (error) {
-          results.errors.push(`Page ${pageFile}: ${error.message}`);
-        }
-      }
+    const pagesDir = path.join(this.basePath, this.config.layers.pages);
+    if (!fs.existsSync(pagesDir)) {
+      return [];
     }
-    
-    return results;
-  }
 
-  async testPage(pageName, pageFile, options = {}) {
-    console.log(`  Testing page ${pageName}...`);
-    
-    const results = { passed: 0, failed: 0, updated: 0, errors: [] };
-    const pageFilePath = path.join(this.basePath, pageFile);
-    
-    // Test at different viewport sizes
-    const viewports = [
-      { name: 'desktop', width: 1280, height: 720 },
-      { name: 'tablet', width: 768, height: 1024 },
-      { name: 'mobile', width: 375, height: 667 }
-    ];
-    
-    for (const viewport of viewports) {
-      try {
-        await this.page.setViewportSize(viewport);
-        const snapshotName = `${pageName}-${viewport.name}`;
-        const result = await this.compareSnapshot(pageFilePath, snapshotName, {}, options);
-        
-        if (result.passed) {
-          results.passed++;
-        } else if (result.updated) {
-          results.updated++;
-        } else {
-          results.failed++;
-          results.errors.push(`${snapshotName}: Visual difference detected`);
-        }
-      } catch (error) {
-        results.errors.push(`${pageName}-${viewport.name}: ${error.message}`);
-      }
-    }
-    
-    return results;
+    return fs.readdirSync(pagesDir, { recursive: true })
+      .filter(file => file.endsWith('.html'))
+      .sort()
+      .map(file => {
+        const pageFile = path.join(this.config.layers.pages, file);
+        const pageName = path.basename(pageFile, '.html');
+        return {
+          snapshotName: pageName,
+          urlPath: `/pages/${toUrlPath(file)}`,
+          testCase: {},
+          sources: [pageFile],
+          meta: { type: 'page', group: pageName, source: pageFile }
+        };
+      });
   }
 
-  async testApprovedMockups(options = {}) {
-    console.log('🎨 Testing approved mockups...');
-    
-    const results = { passed: 0, failed: 0, updated: 0, errors: [] };
-    const mockupsDir = path.join(this.basePath, 'mockups/approved');
-    
+  planMockups() {
+    const mockupsDir = path.join(this.basePath, this.config.canvas.approvedDir);
     if (!fs.existsSync(mockupsDir)) {
-      console.log('  No approved mockups found');
-      return results;
+      return [];
     }
-    
-    const mockupFiles = fs.readdirSync(mockupsDir)
-      .filter(file => file.endsWith('.html'));
-    
-    for (const mockupFile of mockupFiles) {
-      try {
+
+    return fs.readdirSync(mockupsDir)
+      .filter(file => file.endsWith('.html'))
+      .sort()
+      .map(mockupFile => {
         const mockupName = path.basename(mockupFile, '.html');
         const mockupPath = path.join(mockupsDir, mockupFile);
-        const result = await this.compareSnapshot(mockupPath, `mockup-${mockupName}`, {}, options);
-        
-        if (result.passed) {
-          results.passed++;
-        } else if (result.updated) {
-          results.updated++;
-        } else {
-          results.failed++;
-          results.errors.push(`mockup-${mockupName}: Visual difference detected`);
+        return {
+          snapshotName: `mockup-${mockupName}`,
+          urlPath: `/mockups/approved/${toUrlPath(mockupFile)}`,
+          testCase: {},
+          sources: [path.relative(this.basePath, mockupPath)],
+          meta: { type: 'mockup', group: mockupName, source: path.relative(this.basePath, mockupPath) }
+        };
+      });
+  }
+
+  /**
+   * Turn testing.fidelity mappings into checks. Mappings whose component
+   * or page isn't part of this run (e.g. --component filter) are skipped;
+   * broken ones count as failed checks so a misconfigured gate fails the run.
+   */
+  planFidelity(options, results) {
+    const checks = [];
+
+    this.fidelity.forEach((mapping, position) => {
+      const label = `testing.fidelity[${position}]`;
+      const invalid = message => {
+        results.failed++;
+        results.errors.push(`${label}: ${message}`);
+      };
+      const mockupFile = path.join(this.basePath, this.config.canvas.approvedDir, `${mapping.mockup}.html`);
+
+      if (Boolean(mapping.component) === Boolean(mapping.page)) {
+        invalid('set exactly one of "component" or "page"');
+        return;
+      }
+      if (mapping.selector && mapping.region) {
+        invalid('use either "selector" or "region" for the mockup area, not both');
+        return;
+      }
+      if (!fs.existsSync(mockupFile)) {
+        invalid(`approved mockup not found: ${path.relative(this.basePath, mockupFile)}`);
+        return;
+      }
+
+      let implementation;
+      if (mapping.component) {
+        if (options.component && options.component !== mapping.component) return;
+
+        const component = this.componentPages.get(mapping.component);
+        if (!component) {
+          invalid(`component not found: ${mapping.component}`);
+          return;
         }
-      } catch (error) {
-        results.errors.push(`Mockup ${mockupFile}: ${error.message}`);
+
+        const story = mapping.story || component.stories[0];
+        if (!component.stories.includes(story)) {
+          invalid(`${mapping.component} has no story "${story}"`);
+          return;
+        }
+
+        implementation = {
+          file: component.file,
+          urlPath: component.urlPath,
+          waitFor: `[data-test-case="${story}"]`,
+          selector: `[data-test-case="${story}"] > ${component.tagName}`
+        };
+      } else {
+        if (options.component) return;
+
+        const pageFile = path.join(this.basePath, this.config.layers.pages, `${mapping.page}.html`);
+        if (!fs.existsSync(pageFile)) {
+          invalid(`page not found: ${path.relative(this.basePath, pageFile)}`);
+          return;
+        }
+
+        implementation = {
+          file: path.relative(this.basePath, pageFile),
+          urlPath: `/pages/${toUrlPath(`${mapping.page}.html`)}`,
+          selector: mapping.target
+        };
+      }
+
+      const subject = mapping.component
+        ? `${mapping.component}${mapping.story ? `-${mapping.story}` : ''}`
+        : mapping.page;
+
+      checks.push({
+        fidelity: true,
+        snapshotName: `${subject}--${mapping.mockup}`,
+        mapping,
+        implementation,
+        minSimilarity: mapping.minSimilarity ?? DEFAULT_MIN_SIMILARITY,
+        sources: [path.relative(this.basePath, mockupFile), implementation.file],
+        meta: {
+          type: 'fidelity',
+          group: subject,
+          source: path.relative(this.basePath, mockupFile)
+        }
+      });
+    });
+
+    return checks;
+  }
+
+  /**
+   * Screenshot the mapped area of the approved mockup and the implementation
+   * at the same viewport and score how closely they match
+   */
+  async measureFidelity(page, job) {
+    const { mapping, implementation } = job;
+    const stabilize = this.stabilization;
+    const captureOptions = screenshotOptions(page, stabilize);
+
+    // 1. The signed-off design
+    await gotoStable(page, `${this.server.url}/mockups/approved/${toUrlPath(`${mapping.mockup}.html`)}`, stabilize);
+    let design;
+    let designWidth = null;
+    if (mapping.selector) {
+      const area = page.locator(mapping.selector).first();
+      designWidth = (await area.boundingBox())?.width;
+      design = await area.screenshot(captureOptions);
+    } else if (mapping.region) {
+      designWidth = mapping.region.width;
+      design = await page.screenshot({ ...captureOptions, fullPage: true, clip: mapping.region });
+    } else {
+      design = await page.screenshot(captureOptions);
+    }
+
+    // 2. What we built
+    await gotoStable(page, `${this.server.url}${implementation.urlPath}`, stabilize, implementation.waitFor);
+    let built;
+    if (implementation.selector) {
+      const element = page.locator(implementation.selector).first();
+      if (mapping.component && designWidth) {
+        // Lay the component out at the width it has in the mockup
+        await element.evaluate((el, width) => {
+          el.style.boxSizing = 'border-box';
+          el.style.width = `${width}px`;
+        }, designWidth);
       }
+      built = await element.screenshot(captureOptions);
+    } else if (mapping.region) {
+      built = await page.screenshot({ ...captureOptions, fullPage: true, clip: mapping.region });
+    } else {
+      built = await page.screenshot(captureOptions);
+    }
+
+    // 3. Score (images are kept in the output folder only when the check fails)
+    const base = path.join(this.outputDir, job.id);
+    fs.mkdirSync(path.dirname(base), { recursive: true });
+    const files = { baseline: `${base}-design.png`, current: `${base}-implementation.png`, diff: `${base}-diff.png` };
+    let passed = false;
+
+    try {
+      fs.writeFileSync(files.baseline, design);
+      fs.writeFileSync(files.current, built);
+
+      const comparison = await this.compareImages(files.baseline, files.current, files.diff);
+      const similarity = Math.round((100 - comparison.diffPercentage) * 100) / 100;
+      passed = similarity >= job.minSimilarity;
+
+      console.log(`  ${passed ? '✅' : '❌'} Fidelity ${job.id}: ${similarity}% (minimum ${job.minSimilarity}%)`);
+
+      return {
+        passed,
+        similarity,
+        minSimilarity: job.minSimilarity,
+        diffPixels: comparison.diffPixels,
+        diffPercentage: comparison.diffPercentage,
+        dimensionsMatch: comparison.dimensionsMatch,
+        ...this.report.saveArtifacts(job.id, files)
+      };
+    } finally {
+      if (passed) removeFiles(...Object.values(files));
+    }
+  }
+
+  recordFidelity(results, job, result) {
+    const entry = {
+      name: job.id,
+      index: job.index,
+      mockup: job.mapping.mockup,
+      ...job.target,
+      ...job.meta,
+      ...result
+    };
+
+    results.fidelity.push(entry);
+
+    if (result.passed) {
+      results.passed++;
+    } else {
+      results.failed++;
+      results.errors.push(`${job.id}: ${result.similarity}% similar to the approved mockup (minimum ${job.minSimilarity}%)`);
+      results.failures.push(entry);
+    }
+  }
+
+  recordResult(results, job, result) {
+    if (result.passed) {
+      results.passed++;
+    } else if (result.updated) {
+      results.updated++;
+    } else {
+      results.failed++;
+      results.errors.push(`${job.id}: Visual difference detected`);
+      results.failures.push({ name: job.id, index: job.index, ...job.target, ...job.meta, ...result });
     }
-    
-    return results;
   }
 
   mergeResults(target, source) {
@@ -412,6 +921,9 @@ export class VisualTestRunner {
     target.failed += source.failed;
     target.updated += source.updated;
     target.errors.push(...source.errors);
+    target.failures.push(...source.failures);
+    target.fidelity.push(...(source.fidelity || []));
+    target.cases.push(...(source.cases || []));
   }
 
   printResults(results) {
@@ -426,23 +938,71 @@ export class VisualTestRunner {
       results.errors.forEach(error => console.log(`   ${error}`));
     }
     
+    if (results.fidelity.length > 0) {
+      console.log('\n🎯 Mockup fidelity:');
+      results.fidelity.forEach(check => {
+        console.log(`   ${check.passed ? '✅' : '❌'} ${check.name}: ${check.similarity}% (minimum ${check.minSimilarity}%)`);
+      });
+    }
+    
     console.log(`\n📊 Total tests: ${results.passed + results.failed + results.updated}`);
     
-    if (results.failed > 0) {
-      console.log('\n💡 To update failing snapshots, run: npx ui-canvas test --update-snapshots');
+    if (results.failures.some(failure => failure.type !== 'fidelity')) {
+      console.log('\n💡 Review failures in the HTML report, then approve individual snapshots:');
+      console.log('   npx ui-canvas test --approve <snapshot>');
+      console.log('   (or update all of them: npx ui-canvas test --update-snapshots)');
     }
   }
 }
 
+function removeFiles(...files) {
+  files.forEach(file => {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  });
+}
+
+function toUrlPath(file) {
+  return file.split(path.sep).map(encodeURIComponent).join('/');
+}
+
+/**
+ * Parse "--shard 2/4" into { index: 2, total: 4 }
+ */
+export function parseShard(value) {
+  if (!value) return null;
+
+  const match = String(value).match(/^(\d+)\/(\d+)$/);
+  const index = match && Number(match[1]);
+  const total = match && Number(match[2]);
+
+  if (!match || total < 1 || index < 1 || index > total) {
+    throw new Error(`Invalid shard "${value}". Use <index>/<total>, e.g. --shard 2/4`);
+  }
+
+  return { index, total };
+}
+
 // CLI interface
 export async function testCommand(options = {}) {
-  const runner = new VisualTestRunner();
-  
   try {
-    const results = await runner.runAllTests(options);
+    const config = await loadConfig();
+    const runner = new VisualTestRunner(process.cwd(), config);
+
+    if (options.prune) {
+      return await runner.prune(options);
+    }
+
+    assertReporter(options.reporter);
+    const changes = openChangeSet(options.changed, config);
+    const started = Date.now();
+    const results = await runner.runAllTests({ ...options, changes });
+
+    if (options.reporter) {
+      writeReport(options.reporter, [visualSuite(results, Date.now() - started)], options.outputFile);
+    }
     
-    // Exit with error code if tests failed
-    if (results.failed > 0 && !options.updateSnapshots) {
+    // Exit with error code if tests failed or could not run (browser launch, broken test setup)
+    if (results.errors.length > 0 || (results.failed > 0 && !options.updateSnapshots)) {
       process.exit(1);
     }
     
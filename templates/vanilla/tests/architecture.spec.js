@@ -1,6 +1,7 @@
 import { test, expect } from '@playwright/test';
 import { promises as fs } from 'fs';
 import path from 'path';
+import { findFiles } from '@ui-canvas/framework/scripts/file-walker.js';
 
 /**
  * Architecture Tests - Single Source of Truth Enforcement
@@ -201,15 +202,3 @@ test.describe('Three-Layer Architecture', () => {
     }
   });
 });
-
-// Helper function to find files with glob patterns
-async function findFiles(pattern) {
-  // Simple implementation - in real usage, use a proper glob library
-  const { execSync } = await import('child_process');
-  try {
-    const output = execSync(`find . -path "./${pattern}" -type f`, { encoding: 'utf8' });
-    return output.trim().split('\n').filter(f => f && !f.includes('node_modules'));
-  } catch {
-    return [];
-  }
-}
\ No newline at end of file
@@ -78,7 +78,7 @@ test.describe('Canvas Mockup Development', () => {
   });
 
   test('mockup template generation', async ({ page }) => {
-    // This would test that canvas.sh creates proper templates
+    // This would test that `ui-canvas canvas stage` creates proper templates
     // For now, we'll test a sample template structure
     
     const templateHTML = `
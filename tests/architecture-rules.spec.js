@@ -0,0 +1,78 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ArchitectureValidator } from '../scripts/validate-architecture.js';
+import { createComponent } from '../scripts/component-generator.js';
+import { DEFAULT_CONFIG } from '../scripts/config-loader.js';
+
+/**
+ * Architecture Rules Tests - the rule engine run against components
+ * scaffolded by create-component
+ */
+
+function createProject(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ui-canvas-rules-'));
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  });
+  return dir;
+}
+
+// The generator and the validator both work on the current directory
+async function inDirectory(dir, callback) {
+  const cwd = process.cwd();
+  process.chdir(dir);
+  try {
+    return await callback();
+  } finally {
+    process.chdir(cwd);
+  }
+}
+
+async function validate(dir) {
+  return inDirectory(dir, async () => {
+    const validator = new ArchitectureValidator(DEFAULT_CONFIG);
+    const passed = await validator.validate();
+    return { passed, violations: validator.violations };
+  });
+}
+
+test.describe('Generated components', () => {
+
+  test('create-component adds its styles to the CSS source of truth only', async () => {
+    const dir = createProject({ 'styles/main.css': ':root {\n  --spacing-md: 1rem;\n}\n' });
+    await inDirectory(dir, () => createComponent('task-card', { props: 'title,status' }));
+
+    const css = fs.readFileSync(path.join(dir, 'styles/main.css'), 'utf8');
+    expect(css.startsWith(':root {\n  --spacing-md: 1rem;\n}\n\n/* task-card Component Styles (BEM)')).toBe(true);
+    expect(css).toContain('.task-card--active');
+    expect(fs.readdirSync(path.join(dir, 'components/cards')).filter(file => file.endsWith('.css'))).toEqual([]);
+
+    const { violations } = await validate(dir);
+    expect(violations.filter(violation => violation.type === 'CSS_DUPLICATION')).toEqual([]);
+  });
+
+  test('generating the same component again leaves existing styles alone', async () => {
+    const dir = createProject({ 'styles/main.css': '' });
+    await inDirectory(dir, () => createComponent('task-card', {}));
+    const css = fs.readFileSync(path.join(dir, 'styles/main.css'), 'utf8');
+
+    await inDirectory(dir, () => createComponent('task-card', {}));
+
+    expect(fs.readFileSync(path.join(dir, 'styles/main.css'), 'utf8')).toBe(css);
+  });
+
+  test('copies of generated styles outside the CSS source are duplicates', async () => {
+    const dir = createProject({ 'styles/main.css': '' });
+    await inDirectory(dir, () => createComponent('task-card', {}));
+    fs.writeFileSync(path.join(dir, 'styles/cards.css'), '.task-card__title {\n  margin: 0;\n}\n');
+
+    const { passed, violations } = await validate(dir);
+
+    expect(passed).toBe(false);
+    expect(violations.filter(violation => violation.type === 'CSS_DUPLICATION').map(violation => [violation.file, violation.line]))
+      .toEqual([['styles/cards.css', 1]]);
+  });
+});
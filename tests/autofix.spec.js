@@ -0,0 +1,210 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AutoFixer, runAutofix } from '../scripts/autofix.js';
+import { DEFAULT_CONFIG } from '../scripts/config-loader.js';
+import { ViolationBaseline } from '../scripts/violation-baseline.js';
+
+/**
+ * AutoFixer Tests - inline style moves, token replacement, raw component
+ * markup, dry runs and disable comments against throwaway projects
+ */
+
+const MAIN_CSS = `:root {
+  --color-primary: #3b82f6;
+  --spacing-2: 8px;
+  --spacing-4: 16px;
+  --radius-sm: 4px;
+  --font-size-sm: 14px;
+}
+`;
+
+const TASK_CARD = `class TaskCard extends HTMLElement {
+  connectedCallback() {
+    this.innerHTML = \`<div class="task-card__body" style="padding: 8px; color: #3b82f6">Task</div>\`;
+  }
+}
+customElements.define('task-card', TaskCard);
+`;
+
+function createProject(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ui-canvas-autofix-'));
+  Object.entries({ 'styles/main.css': MAIN_CSS, ...files }).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  });
+  return dir;
+}
+
+async function collect(dir) {
+  const fixer = new AutoFixer(dir, DEFAULT_CONFIG);
+  const changes = await fixer.collectFixes();
+  return Object.fromEntries(changes.map(change => [change.file.split(path.sep).join('/'), change.content]));
+}
+
+// The architecture validator finds component tags relative to the working directory
+async function inDirectory(dir, callback) {
+  const cwd = process.cwd();
+  process.chdir(dir);
+  try {
+    return await callback();
+  } finally {
+    process.chdir(cwd);
+  }
+}
+
+test.describe('Inline styles', () => {
+
+  test('style attributes move to a generated BEM class in the CSS source', async () => {
+    const dir = createProject({ 'components/task-card.js': TASK_CARD });
+    const changes = await collect(dir);
+
+    expect(changes['components/task-card.js']).toContain('<div class="task-card__body task-card__div">Task</div>');
+    expect(changes['components/task-card.js']).not.toContain('style=');
+    expect(changes['styles/main.css']).toContain('/* Moved from inline styles in components/task-card.js */');
+    expect(changes['styles/main.css']).toContain('.task-card__div {\n  padding: var(--spacing-2);\n  color: var(--color-primary);\n}');
+  });
+
+  test('styles built from template expressions are left alone', async () => {
+    const dir = createProject({
+      'components/task-card.js': TASK_CARD.replace('padding: 8px', 'padding: ${this.gap}px')
+    });
+    const changes = await collect(dir);
+
+    expect(changes['components/task-card.js']).toContain('style="padding: ${this.gap}px; color: var(--color-primary)"');
+    expect(changes['styles/main.css']).toBeUndefined();
+  });
+});
+
+test.describe('Token replacement', () => {
+
+  test('exact and close literals become the matching token', async () => {
+    const dir = createProject({
+      'styles/cards.css': '.card {\n  padding: 0.5rem 16px;\n  color: #3b82f7;\n  border-radius: 4px;\n}\n'
+    });
+    const changes = await collect(dir);
+
+    expect(changes['styles/cards.css']).toBe(
+      '.card {\n  padding: var(--spacing-2) var(--spacing-4);\n  color: var(--color-primary);\n  border-radius: var(--radius-sm);\n}\n'
+    );
+  });
+
+  test('lengths only match tokens of the property category', async () => {
+    const dir = createProject({
+      'styles/cards.css': '.card {\n  border-radius: 8px;\n  font-size: 16px;\n  margin: 14px;\n}\n'
+    });
+    const changes = await collect(dir);
+
+    expect(changes['styles/cards.css']).toBeUndefined();
+  });
+
+  test('var() fallbacks are never rewritten', async () => {
+    const fixer = new AutoFixer(createProject({}), DEFAULT_CONFIG);
+    await fixer.loadTokens();
+
+    expect(fixer.replaceLiterals('border-radius: var(--radius-md, 0.5rem);').line).toBe('border-radius: var(--radius-md, 0.5rem);');
+    expect(fixer.replaceLiterals('padding: 8px var(--gap, calc(8px + 2px));').line).toBe('padding: var(--spacing-2) var(--gap, calc(8px + 2px));');
+  });
+});
+
+test.describe('Raw component markup', () => {
+
+  test('divs named after a component become the custom element', async () => {
+    const dir = createProject({
+      'components/task-card.js': 'customElements.define(\'task-card\', class extends HTMLElement {});\n',
+      'pages/home.html': '<main>\n  <div class="task-card highlighted" id="first">\n    <div class="task-card__body">Task</div>\n  </div>\n</main>\n'
+    });
+    const changes = await inDirectory(dir, () => collect(dir));
+
+    expect(changes['pages/home.html']).toBe(
+      '<main>\n  <task-card class="highlighted" id="first">\n    <div class="task-card__body">Task</div>\n  </task-card>\n</main>\n'
+    );
+  });
+});
+
+test.describe('Dry run', () => {
+
+  test('reports the changes without writing any file', async () => {
+    const dir = createProject({
+      'components/task-card.js': TASK_CARD,
+      'styles/cards.css': '.card {\n  color: #3b82f6;\n}\n'
+    });
+    const read = file => fs.readFileSync(path.join(dir, file), 'utf8');
+
+    const changes = await runAutofix(DEFAULT_CONFIG, { dryRun: true }, dir);
+
+    expect(changes.map(change => change.file.split(path.sep).join('/'))).toEqual(
+      expect.arrayContaining(['components/task-card.js', 'styles/main.css', 'styles/cards.css'])
+    );
+    expect(read('components/task-card.js')).toBe(TASK_CARD);
+    expect(read('styles/main.css')).toBe(MAIN_CSS);
+    expect(read('styles/cards.css')).toBe('.card {\n  color: #3b82f6;\n}\n');
+    expect(fs.existsSync(path.join(dir, 'components/manifest.json'))).toBe(false);
+  });
+});
+
+test.describe('Disable comments and baseline', () => {
+
+  test('inline styles under a disable comment stay inline', async () => {
+    const dir = createProject({
+      'components/task-card.js': `class TaskCard extends HTMLElement {
+  connectedCallback() {
+    this.innerHTML = \`
+      <div style="padding: 8px">Task</div>
+      <!-- ui-canvas-disable-next-line INLINE_CSS_DETECTED -->
+      <span style="display: none">Due</span>\`;
+  }
+}
+`
+    });
+    const changes = await collect(dir);
+
+    expect(changes['components/task-card.js']).toContain('<div class="task-card__div">Task</div>');
+    expect(changes['components/task-card.js']).toContain('<span style="display: none">Due</span>');
+    expect(changes['styles/main.css']).not.toContain('display: none');
+  });
+
+  test('files whose inline CSS violation is silenced are skipped', async () => {
+    const dir = createProject({
+      'components/task-card.js': TASK_CARD.replace('    this.innerHTML', '    // ui-canvas-disable-next-line\n    this.innerHTML')
+    });
+    const changes = await collect(dir);
+
+    expect(changes['components/task-card.js']).toBeUndefined();
+    expect(changes['styles/main.css']).toBeUndefined();
+  });
+
+  test('hardcoded values and raw markup under a disable comment are kept', async () => {
+    const dir = createProject({
+      'components/task-card.js': 'customElements.define(\'task-card\', class extends HTMLElement {});\n',
+      'styles/cards.css': '.card {\n  /* ui-canvas-disable-next-line hardcoded-value */\n  color: #3b82f6;\n  padding: 8px;\n}\n',
+      'pages/home.html': '<!-- ui-canvas-disable-next-line RAW_HTML_DETECTED -- legacy embed -->\n<div class="task-card">A</div>\n<div class="task-card">B</div>\n'
+    });
+    const changes = await inDirectory(dir, () => collect(dir));
+
+    expect(changes['styles/cards.css']).toBe('.card {\n  /* ui-canvas-disable-next-line hardcoded-value */\n  color: #3b82f6;\n  padding: var(--spacing-2);\n}\n');
+    expect(changes['pages/home.html']).toBeUndefined();
+  });
+
+  test('violations recorded in the baseline are not fixed', async () => {
+    const dir = createProject({
+      'components/task-card.js': TASK_CARD,
+      'styles/cards.css': '.card {\n  color: #3b82f6;\n  padding: 8px;\n}\n'
+    });
+    new ViolationBaseline(dir).write({
+      architecture: [{ type: 'INLINE_CSS_DETECTED', file: 'components/task-card.js', line: 3 }],
+      tokens: [
+        { type: 'hardcoded-value', file: 'components/task-card.js', line: 3 },
+        { type: 'hardcoded-value', file: 'styles/cards.css', line: 2 }
+      ]
+    });
+
+    const changes = await runAutofix(DEFAULT_CONFIG, { dryRun: true, baseline: true }, dir);
+    const content = Object.fromEntries(changes.map(change => [change.file.split(path.sep).join('/'), change.content]));
+
+    expect(content['components/task-card.js']).toBeUndefined();
+    expect(content['styles/main.css']).toBeUndefined();
+    expect(content['styles/cards.css']).toBe('.card {\n  color: #3b82f6;\n  padding: var(--spacing-2);\n}\n');
+  });
+});
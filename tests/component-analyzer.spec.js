@@ -0,0 +1,111 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { analyzeComponentSource, parseJSDoc, typedTag, attributeValueError } from '../scripts/component-analyzer.js';
+
+/**
+ * Component Analyzer Tests - what the registry, docs, stories and the
+ * custom elements manifest read from a component module
+ */
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'components');
+
+function analyzeFixture(name) {
+  const file = path.join('components', name);
+  return analyzeComponentSource(fs.readFileSync(path.join(fixtures, name), 'utf8'), file);
+}
+
+test.describe('Component structure', () => {
+
+  test('static observedAttributes getter, following spread constants', () => {
+    const metadata = analyzeFixture('task-card.js');
+    expect(metadata.attributes.map(attribute => attribute.name)).toEqual(['title', 'status', 'priority', 'task-id']);
+  });
+
+  test('tag name, class, base class and its import', () => {
+    const metadata = analyzeFixture('task-card.js');
+    expect(metadata.tagName).toBe('task-card');
+    expect(metadata.className).toBe('TaskCard');
+    expect(metadata.baseClass).toBe('UICanvasComponent');
+    expect(metadata.baseClassImport).toBe('../base/component-base.js');
+    expect(metadata.dependencies).toEqual(['../base/component-base.js', 'task-badge.js']);
+  });
+
+  test('public properties skip _private members', () => {
+    const metadata = analyzeFixture('task-card.js');
+    expect(metadata.properties).toEqual([
+      { name: 'expanded', default: 'false' },
+      { name: 'value', readonly: true }
+    ]);
+  });
+
+  test('events, slots and CSS parts from code, markup and JSDoc', () => {
+    const metadata = analyzeFixture('task-card.js');
+    expect(metadata.events).toEqual([
+      { name: 'task-select', type: 'CustomEvent', description: 'The card was clicked' },
+      { name: 'change', type: 'Event' }
+    ]);
+    expect(metadata.slots).toEqual([{ name: 'icon' }, { name: '' }, { name: 'footer', description: 'Actions below the content' }]);
+    expect(metadata.cssParts).toEqual([{ name: 'header', description: 'The title bar' }]);
+    expect(metadata.bemClasses).toEqual(expect.arrayContaining(['task-card']));
+  });
+
+  test('static observedAttributes array field on a class passed to define', () => {
+    const metadata = analyzeFixture('x-toggle.js');
+    expect(metadata.tagName).toBe('x-toggle');
+    expect(metadata.attributes.map(attribute => attribute.name)).toEqual(['open', 'label']);
+    expect(metadata.properties).toEqual([{ name: 'checked' }]);
+  });
+
+  test('customElements.define with the tag name in a constant', () => {
+    const metadata = analyzeFixture('badge.js');
+    expect(metadata.tagName).toBe('status-badge');
+    expect(metadata.className).toBe('StatusBadge');
+    expect(metadata.description).toBe('Colored status pill');
+    expect(metadata.exports).toEqual([{ name: 'default', declaration: 'StatusBadge' }]);
+  });
+
+  test('a file that does not parse throws with its path', () => {
+    expect(() => analyzeFixture('broken-card.js')).toThrow(/^Cannot parse components\/broken-card\.js: /);
+  });
+});
+
+test.describe('JSDoc', () => {
+
+  test('description, version and multi-line tags', () => {
+    const metadata = analyzeFixture('task-card.js');
+    expect(metadata.description).toBe('Card showing one task.\nShown on the board and in search results.');
+    expect(metadata.version).toBe('1.2.0');
+
+    const { tags } = parseJSDoc('*\n * @slot footer - Actions\n *   below the content\n ');
+    expect(tags).toEqual([{ tag: 'slot', text: 'footer - Actions\nbelow the content' }]);
+  });
+
+  test('typed @attr tags merge into observed attributes', () => {
+    const priority = analyzeFixture('task-card.js').attributes.find(attribute => attribute.name === 'priority');
+    expect(priority).toEqual({
+      name: 'priority',
+      type: "'low'|'medium'|'high'",
+      values: ['low', 'medium', 'high'],
+      default: 'medium',
+      required: false,
+      description: 'Task priority'
+    });
+  });
+
+  test('a bare name is required, brackets make it optional', () => {
+    expect(typedTag('{string} task-id - Task id')).toMatchObject({ name: 'task-id', required: true });
+    expect(typedTag('{number} [count=0]')).toMatchObject({ name: 'count', default: '0', required: false });
+    expect(typedTag("{'a'|string} [mode]").values).toBeUndefined();
+  });
+
+  test('attribute values are checked against their type', () => {
+    const priority = typedTag("{'low'|'high'} [priority]");
+    expect(attributeValueError(priority, 'low')).toBeNull();
+    expect(attributeValueError(priority, 'urgentt')).toContain('"urgentt" is not a valid priority');
+    expect(attributeValueError(typedTag('{number} [count]'), 'many')).toContain('expected a number');
+    expect(attributeValueError(typedTag('{boolean} [open]'), '')).toBeNull();
+    expect(attributeValueError(typedTag('{string} [label]'), 'anything')).toBeNull();
+  });
+});
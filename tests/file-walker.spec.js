@@ -0,0 +1,119 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileWalker, matchesGlob } from '../scripts/file-walker.js';
+
+/**
+ * File Walker Tests - glob translation and .gitignore handling that replace
+ * find and the glob package
+ */
+
+function createProject(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ui-canvas-walker-'));
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  });
+  return dir;
+}
+
+test.describe('Glob matching', () => {
+
+  test('brace sets match each alternative', () => {
+    expect(matchesGlob('pages/home.html', '{pages,workflows}/**/*.html')).toBe(true);
+    expect(matchesGlob('workflows/checkout/pay.html', '{pages,workflows}/**/*.html')).toBe(true);
+    expect(matchesGlob('components/card.html', '{pages,workflows}/**/*.html')).toBe(false);
+    expect(matchesGlob('lib/a.mjs', 'lib/*.{js,mjs}')).toBe(true);
+    expect(matchesGlob('lib/a.ts', 'lib/*.{js,mjs}')).toBe(false);
+  });
+
+  test('leading **/ matches files at any depth, including the root', () => {
+    expect(matchesGlob('main.css', '**/*.css')).toBe(true);
+    expect(matchesGlob('styles/themes/dark.css', '**/*.css')).toBe(true);
+    expect(matchesGlob('styles/main.js', '**/*.css')).toBe(false);
+  });
+
+  test('**/ in the middle matches zero or more directories', () => {
+    expect(matchesGlob('components/card.js', 'components/**/card.js')).toBe(true);
+    expect(matchesGlob('components/a/b/card.js', 'components/**/card.js')).toBe(true);
+    expect(matchesGlob('pages/card.js', 'components/**/card.js')).toBe(false);
+  });
+
+  test('wildcards skip dotfiles unless the pattern names the dot', () => {
+    expect(matchesGlob('.superdesign/mockup.html', '**/*.html')).toBe(false);
+    expect(matchesGlob('.superdesign/mockup.html', '.superdesign/**/*.html')).toBe(true);
+  });
+
+  test('? and character classes match single characters', () => {
+    expect(matchesGlob('v1.js', 'v?.js')).toBe(true);
+    expect(matchesGlob('v10.js', 'v?.js')).toBe(false);
+    expect(matchesGlob('b.js', '[abc].js')).toBe(true);
+    expect(matchesGlob('d.js', '[!abc].js')).toBe(true);
+  });
+});
+
+test.describe('Ignored files', () => {
+  let dir;
+
+  test.beforeAll(() => {
+    dir = createProject({
+      '.gitignore': 'dist/\n/build\n*.log\n!keep.log\n',
+      'dist/bundle.js': '',
+      'src/dist/nested.js': '',
+      'docs/dist': 'a file named like the ignored directory',
+      'build/out.js': '',
+      'src/build/kept.js': '',
+      'debug.log': '',
+      'src/keep.log': '',
+      'src/app.js': '',
+      'src/.gitignore': 'local.js\n',
+      'src/local.js': '',
+      'local.js': '',
+      'node_modules/pkg/index.js': '',
+      'generated/types.js': ''
+    });
+  });
+
+  test.afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('directory-only patterns skip directories at any depth but not files', () => {
+    const files = new FileWalker(dir).files();
+    expect(files).not.toContain('dist/bundle.js');
+    expect(files).not.toContain('src/dist/nested.js');
+    expect(files).toContain('docs/dist');
+  });
+
+  test('a leading slash anchors the pattern to the .gitignore directory', () => {
+    const files = new FileWalker(dir).files();
+    expect(files).not.toContain('build/out.js');
+    expect(files).toContain('src/build/kept.js');
+  });
+
+  test('! re-includes a file an earlier pattern ignored', () => {
+    const files = new FileWalker(dir).files();
+    expect(files).not.toContain('debug.log');
+    expect(files).toContain('src/keep.log');
+  });
+
+  test('nested .gitignore files only apply below their directory', () => {
+    const files = new FileWalker(dir).files();
+    expect(files).not.toContain('src/local.js');
+    expect(files).toContain('local.js');
+    expect(files).toContain('src/app.js');
+  });
+
+  test('node_modules and config ignores are skipped', () => {
+    const files = new FileWalker(dir, { ignore: ['generated/**'] }).files();
+    expect(files.some(file => file.startsWith('node_modules/'))).toBe(false);
+    expect(files).not.toContain('generated/types.js');
+  });
+
+  test('find() applies include globs and per-call ignores', () => {
+    const walker = new FileWalker(dir);
+    expect(walker.find('src/**/*.js')).toEqual(['src/app.js', 'src/build/kept.js']);
+    expect(walker.find('{src,generated}/**/*.js', { ignore: ['src/build'] })).toEqual(['generated/types.js', 'src/app.js']);
+  });
+});
@@ -0,0 +1,6 @@
+const TAG = 'status-badge';
+
+/** Colored status pill */
+export default class StatusBadge extends HTMLElement {}
+
+customElements.define(TAG, StatusBadge);
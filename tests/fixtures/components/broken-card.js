@@ -0,0 +1,4 @@
+export class BrokenCard extends HTMLElement {
+  render() {
+    return `<div>;
+  }
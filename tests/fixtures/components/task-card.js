@@ -0,0 +1,42 @@
+import { UICanvasComponent } from '../base/component-base.js';
+import './task-badge.js';
+
+const BASE_ATTRIBUTES = ['title', 'status'];
+
+/**
+ * Card showing one task.
+ * Shown on the board and in search results.
+ *
+ * @version 1.2.0
+ * @fires task-select - The card was clicked
+ * @slot footer - Actions below the content
+ * @csspart header - The title bar
+ * @attr {'low'|'medium'|'high'} [priority=medium] - Task priority
+ * @attr {string} task-id - Task the card shows
+ */
+export class TaskCard extends UICanvasComponent {
+  static get observedAttributes() {
+    return [...BASE_ATTRIBUTES, 'priority', 'task-id'];
+  }
+
+  expanded = false;
+  _cache = null;
+
+  get value() {
+    return this.getAttribute('task-id');
+  }
+
+  render() {
+    this.innerHTML = `
+      <div class="task-card task-card--${this.status}" part="header">
+        <slot name="icon"></slot>
+        <slot></slot>
+        <slot name="footer"></slot>
+      </div>
+    `;
+    this.emit('task-select', { id: this.value });
+    this.dispatchEvent(new Event('change'));
+  }
+}
+
+customElements.define('task-card', TaskCard);
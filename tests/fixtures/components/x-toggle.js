@@ -0,0 +1,7 @@
+customElements.define('x-toggle', class extends HTMLElement {
+  static observedAttributes = ['open', 'label'];
+
+  set checked(value) {
+    this.toggleAttribute('open', value);
+  }
+});